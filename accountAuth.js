@@ -0,0 +1,139 @@
+// --- ACCOUNT AUTHENTICATION ---
+// Upgrades the anonymous account every visitor starts with to a permanent one
+// (Google or an email sign-in link). Linking keeps the same UID, so the galaxy
+// under `users/{uid}/stars` stays where it is. If the credential already belongs
+// to another account, that account is signed in instead and the caller is told,
+// so it can move the anonymous galaxy over.
+
+import {
+  GoogleAuthProvider,
+  EmailAuthProvider,
+  linkWithPopup,
+  linkWithCredential,
+  signInWithPopup,
+  signInWithCredential,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut,
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
+
+const EMAIL_FOR_SIGN_IN_STORAGE_KEY = "yoursol-email-for-sign-in";
+
+// Errors that mean "this credential is already linked to a different account"
+const ACCOUNT_IN_USE_ERRORS = new Set([
+  "auth/credential-already-in-use",
+  "auth/email-already-in-use",
+]);
+
+/**
+ * @typedef {object} SignInResult
+ * @property {import("firebase/auth").User} user The signed-in user.
+ * @property {import("firebase/auth").User | null} switchedFrom The anonymous user
+ *   that was left behind when the credential belonged to an existing account,
+ *   otherwise null.
+ */
+
+/**
+ * Whether the page was opened from an email sign-in link.
+ * @param {import("firebase/auth").Auth} auth
+ */
+export function hasPendingEmailSignIn(auth) {
+  return isSignInWithEmailLink(auth, window.location.href);
+}
+
+/**
+ * Signs in with Google. An anonymous account is linked (keeping its UID);
+ * if the Google account is already registered, it is signed in instead.
+ * @param {import("firebase/auth").Auth} auth
+ * @returns {Promise<SignInResult>}
+ */
+export async function signInWithGoogle(auth) {
+  const provider = new GoogleAuthProvider();
+  const current = auth.currentUser;
+
+  if (!current || !current.isAnonymous) {
+    const { user } = await signInWithPopup(auth, provider);
+    return { user, switchedFrom: null };
+  }
+
+  try {
+    const { user } = await linkWithPopup(current, provider);
+    return { user, switchedFrom: null };
+  } catch (error) {
+    if (!ACCOUNT_IN_USE_ERRORS.has(error.code)) throw error;
+    const credential = GoogleAuthProvider.credentialFromError(error);
+    const { user } = await signInWithCredential(auth, credential);
+    return { user, switchedFrom: current };
+  }
+}
+
+/**
+ * Emails a sign-in link that brings the user back to the current page.
+ * @param {import("firebase/auth").Auth} auth
+ * @param {string} email
+ */
+export async function sendEmailSignInLink(auth, email) {
+  await sendSignInLinkToEmail(auth, email, {
+    url: window.location.origin + window.location.pathname,
+    handleCodeInApp: true,
+  });
+  // Remembered so the link can be completed without asking again on this device
+  localStorage.setItem(EMAIL_FOR_SIGN_IN_STORAGE_KEY, email);
+}
+
+/**
+ * Completes sign-in when the page was opened from an email sign-in link.
+ * Like signInWithGoogle, an anonymous account is linked when possible.
+ * @param {import("firebase/auth").Auth} auth
+ * @param {() => Promise<string | null>} askForEmail Used when the link is opened on another device.
+ * @returns {Promise<SignInResult | null>} Null if the page was not opened from a link.
+ */
+export async function completeEmailLinkSignIn(auth, askForEmail) {
+  if (!hasPendingEmailSignIn(auth)) return null;
+  const link = window.location.href;
+
+  const email =
+    localStorage.getItem(EMAIL_FOR_SIGN_IN_STORAGE_KEY) ||
+    (await askForEmail());
+  if (!email) return null;
+
+  const current = auth.currentUser;
+  let result;
+  if (current && current.isAnonymous) {
+    try {
+      const credential = EmailAuthProvider.credentialWithLink(email, link);
+      const { user } = await linkWithCredential(current, credential);
+      result = { user, switchedFrom: null };
+    } catch (error) {
+      if (!ACCOUNT_IN_USE_ERRORS.has(error.code)) throw error;
+      const { user } = await signInWithEmailLink(auth, email, link);
+      result = { user, switchedFrom: current };
+    }
+  } else {
+    const { user } = await signInWithEmailLink(auth, email, link);
+    result = { user, switchedFrom: null };
+  }
+
+  localStorage.removeItem(EMAIL_FOR_SIGN_IN_STORAGE_KEY);
+  // Drop the one-time sign-in parameters from the address bar
+  window.history.replaceState(null, "", window.location.pathname);
+  return result;
+}
+
+/**
+ * Signs out. The app then starts a fresh anonymous session.
+ * @param {import("firebase/auth").Auth} auth
+ */
+export async function signOutUser(auth) {
+  await signOut(auth);
+}
+
+/**
+ * A short, human-readable name for the signed-in account.
+ * @param {import("firebase/auth").User} user
+ */
+export function describeAccount(user) {
+  if (user.isAnonymous) return "Guest (this browser only)";
+  return user.email || user.displayName || user.uid;
+}
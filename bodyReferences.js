@@ -0,0 +1,113 @@
+// --- BODY REFERENCES ---
+// Sources and further reading for a star, planet or moon: the references the
+// model suggests with a system, plus links users add themselves. Stored on the
+// body in the star document as `references: [{title, url, type}]`. Only http
+// and https links are kept, so a stored link can always be opened safely.
+
+export const REFERENCE_TYPES = {
+  article: "Article",
+  book: "Book",
+  paper: "Paper",
+  video: "Video",
+  course: "Course",
+  website: "Website",
+};
+
+// How many references the model is asked for, and how many a body keeps
+export const MAX_GENERATED_REFERENCES = 3;
+export const MAX_REFERENCES = 12;
+const MAX_TITLE_LENGTH = 200;
+const MAX_URL_LENGTH = 2000;
+
+/**
+ * @typedef {object} Reference
+ * @property {string} title
+ * @property {string} url An absolute http or https URL.
+ * @property {keyof REFERENCE_TYPES} type
+ * @property {boolean} [userAdded] Added by a user rather than generated.
+ */
+
+/**
+ * Checks that text is an absolute http or https URL.
+ * @param {string} text
+ * @returns {string | null} The normalized URL, or null if it is not valid.
+ */
+export function normalizeReferenceUrl(text) {
+  if (typeof text !== "string") return null;
+  const trimmed = text.trim();
+  if (!trimmed || trimmed.length > MAX_URL_LENGTH) return null;
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  // A hostname without a dot (e.g. "https://example") is almost always a typo
+  if (!url.hostname.includes(".") && url.hostname !== "localhost") return null;
+  return url.href;
+}
+
+/**
+ * Returns a clean copy of one reference, or null if it has no valid URL.
+ * A missing title falls back to the link's host; an unknown type to "website".
+ * @param {any} raw
+ * @returns {Reference | null}
+ */
+export function cleanReference(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const url = normalizeReferenceUrl(raw.url);
+  if (!url) return null;
+  const title =
+    typeof raw.title === "string" && raw.title.trim()
+      ? raw.title.trim().slice(0, MAX_TITLE_LENGTH)
+      : new URL(url).hostname;
+  const reference = {
+    title,
+    url,
+    type: REFERENCE_TYPES[raw.type] ? raw.type : "website",
+  };
+  if (raw.userAdded === true) reference.userAdded = true;
+  return reference;
+}
+
+/**
+ * Cleans a body's reference list: drops entries without a valid URL and
+ * repeated URLs, and keeps at most MAX_REFERENCES.
+ * @param {any} raw
+ * @returns {{references: Reference[], dropped: number}}
+ */
+export function cleanReferences(raw) {
+  if (!Array.isArray(raw)) return { references: [], dropped: 0 };
+  const seen = new Set();
+  const references = raw.map(cleanReference).filter((reference) => {
+    if (!reference || seen.has(reference.url)) return false;
+    seen.add(reference.url);
+    return true;
+  });
+  return {
+    references: references.slice(0, MAX_REFERENCES),
+    dropped: raw.length - Math.min(references.length, MAX_REFERENCES),
+  };
+}
+
+/**
+ * Adds a user's link to a reference list.
+ * @param {Reference[]} references
+ * @param {{title: string, url: string, type: string}} input
+ * @returns {Reference[]} A new list.
+ * @throws {Error} With a message for the user if the link cannot be added.
+ */
+export function addUserReference(references, input) {
+  const url = normalizeReferenceUrl(input.url);
+  if (!url) {
+    throw new Error("Enter a full web address, starting with https://.");
+  }
+  if (references.some((reference) => reference.url === url)) {
+    throw new Error("This link is already in the list.");
+  }
+  if (references.length >= MAX_REFERENCES) {
+    throw new Error(`A body can have at most ${MAX_REFERENCES} links.`);
+  }
+  return [...references, cleanReference({ ...input, url, userAdded: true })];
+}
@@ -1,7 +1,13 @@
 // Import the functions you need from the SDKs you need
-import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
-import { getAuth } from "firebase/auth";
+import { initializeApp, deleteApp } from "firebase/app";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import {
+  getAuth,
+  initializeAuth,
+  inMemoryPersistence,
+  updateCurrentUser,
+  connectAuthEmulator,
+} from "firebase/auth";
 
 // Your web app's Firebase configuration using Vite's env variables
 const firebaseConfig = {
@@ -19,3 +25,43 @@ const app = initializeApp(firebaseConfig);
 // Initialize Cloud Firestore and get a reference to the service
 export const db = getFirestore(app);
 export const auth = getAuth(app);
+
+// Local development against the Firebase Emulator Suite (`npm run emulators`).
+// Set VITE_FIREBASE_AUTH_EMULATOR_URL (e.g. http://127.0.0.1:9099) and
+// VITE_FIRESTORE_EMULATOR_HOST (e.g. 127.0.0.1:8080) to use them.
+function connectEmulators(auth, db) {
+  if (import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_URL) {
+    connectAuthEmulator(auth, import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_URL);
+  }
+  if (import.meta.env.VITE_FIRESTORE_EMULATOR_HOST) {
+    const [host, port] = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST.split(
+      ":"
+    );
+    connectFirestoreEmulator(db, host, Number(port));
+  }
+}
+connectEmulators(auth, db);
+
+/**
+ * Opens a second connection to Firestore, signed in as a user who is no longer
+ * the current one, e.g. the anonymous account left behind by signing in to an
+ * existing account. The sign-in is kept in memory only and does not affect
+ * `auth`. Call `close` when done.
+ * @param {import("firebase/auth").User} user
+ * @returns {Promise<{db: import("firebase/firestore").Firestore, close: () => Promise<void>}>}
+ */
+export async function connectAsUser(user) {
+  const secondaryApp = initializeApp(firebaseConfig, `user-${user.uid}`);
+  const secondaryAuth = initializeAuth(secondaryApp, {
+    persistence: inMemoryPersistence,
+  });
+  const secondaryDb = getFirestore(secondaryApp);
+  connectEmulators(secondaryAuth, secondaryDb);
+  try {
+    await updateCurrentUser(secondaryAuth, user);
+  } catch (error) {
+    await deleteApp(secondaryApp);
+    throw error;
+  }
+  return { db: secondaryDb, close: () => deleteApp(secondaryApp) };
+}
@@ -0,0 +1,356 @@
+// --- SEMANTIC GALAXY LAYOUT ---
+// Places star systems by topic similarity so related knowledge forms visible
+// neighborhoods. Similarity comes from TF-IDF keyword vectors built from the
+// generated names and descriptions; placement is a force-directed simulation.
+// Everything here is deterministic: the same set of stars always gets the same layout.
+
+// Common words that say nothing about a topic
+const STOP_WORDS = new Set(
+  `a about above after again all also an and any are as at be because been before
+  being below between both but by can could did do does doing down during each
+  few for from further had has have having here how if in into is it its itself
+  just more most much no nor not now of off on once only or other our out over
+  own same should so some such than that the their them then there these they
+  this those through to too under until up very was way we were what when where
+  which while who whom why will with within without would you your core topic
+  concept concepts system systems planet planets moon moons star detail details
+  specific main key various different many including used using use`.split(
+    /\s+/
+  )
+);
+
+// Weight of each text field in a system's keyword vector
+const FIELD_WEIGHTS = {
+  starName: 3,
+  planetName: 2,
+  moonName: 1.5,
+  description: 1,
+};
+
+/**
+ * Splits text into normalized keyword tokens.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => token.length > 2 && !STOP_WORDS.has(token))
+    .map((token) =>
+      // Very light stemming so "vectors" and "vector" count as the same keyword
+      token.length > 4 && token.endsWith("s") && !token.endsWith("ss")
+        ? token.slice(0, -1)
+        : token
+    );
+}
+
+/**
+ * Counts the weighted keyword frequencies of a star system.
+ * @param {object} data The star system data.
+ * @returns {Map<string, number>}
+ */
+function getTermFrequencies(data) {
+  const terms = new Map();
+  const add = (text, weight) => {
+    tokenize(text).forEach((token) => {
+      terms.set(token, (terms.get(token) || 0) + weight);
+    });
+  };
+
+  add(data.star?.name, FIELD_WEIGHTS.starName);
+  add(data.topic, FIELD_WEIGHTS.starName);
+  add(data.star?.description, FIELD_WEIGHTS.description);
+  (data.planets || []).forEach((planet) => {
+    add(planet.name, FIELD_WEIGHTS.planetName);
+    add(planet.description, FIELD_WEIGHTS.description);
+    (planet.moons || []).forEach((moon) => {
+      add(moon.name, FIELD_WEIGHTS.moonName);
+      add(moon.description, FIELD_WEIGHTS.description);
+    });
+  });
+  return terms;
+}
+
+/**
+ * Builds L2-normalized TF-IDF vectors for a set of star systems.
+ * @param {Array<{id: string, data: object}>} systems
+ * @returns {Map<string, Map<string, number>>} Sparse vector per system ID.
+ */
+export function buildKeywordVectors(systems) {
+  const frequencies = systems.map((s) => getTermFrequencies(s.data));
+
+  const documentCounts = new Map();
+  frequencies.forEach((terms) => {
+    terms.forEach((_, term) => {
+      documentCounts.set(term, (documentCounts.get(term) || 0) + 1);
+    });
+  });
+
+  const vectors = new Map();
+  systems.forEach((system, index) => {
+    const vector = new Map();
+    let norm = 0;
+    frequencies[index].forEach((count, term) => {
+      const idf =
+        Math.log((1 + systems.length) / (1 + documentCounts.get(term))) + 1;
+      const weight = (1 + Math.log(count)) * idf;
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm) || 1;
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    vectors.set(system.id, vector);
+  });
+  return vectors;
+}
+
+/**
+ * Cosine similarity of two normalized sparse vectors.
+ */
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) sum += weight * other;
+  });
+  return sum;
+}
+
+/**
+ * Deterministic 32-bit hash of a string (FNV-1a), used instead of Math.random().
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Keeps only the strongest similarities of each system, so the spring graph
+ * stays sparse for galaxies with hundreds of systems.
+ * @returns {Array<{a: number, b: number, weight: number}>}
+ */
+function buildSimilarityEdges(ids, vectors, neighborsPerNode, minSimilarity) {
+  const best = ids.map(() => []);
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const weight = cosineSimilarity(vectors.get(ids[i]), vectors.get(ids[j]));
+      if (weight < minSimilarity) continue;
+      best[i].push({ other: j, weight });
+      best[j].push({ other: i, weight });
+    }
+  }
+
+  const edges = new Map();
+  best.forEach((candidates, i) => {
+    candidates
+      .sort((x, y) => y.weight - x.weight || x.other - y.other)
+      .slice(0, neighborsPerNode)
+      .forEach(({ other, weight }) => {
+        const key = i < other ? `${i}:${other}` : `${other}:${i}`;
+        edges.set(key, {
+          a: Math.min(i, other),
+          b: Math.max(i, other),
+          weight,
+        });
+      });
+  });
+  return [...edges.values()];
+}
+
+/**
+ * Calculates a similarity-based layout for a set of star systems.
+ * Systems are laid out on the XZ plane (like the grid layout) with a small
+ * deterministic vertical offset.
+ * @param {Array<{id: string, data: object}>} systems
+ * @param {object} [options]
+ * @param {number} [options.spacing=1125] Typical distance between neighboring systems.
+ * @param {number} [options.minDistance=750] Systems are pushed at least this far apart.
+ * @returns {Map<string, {x: number, y: number, z: number}>}
+ */
+export function calculateSemanticLayout(systems, options = {}) {
+  const spacing = options.spacing ?? 1125;
+  const minDistance = options.minDistance ?? 750;
+  const positions = new Map();
+  if (systems.length === 0) return positions;
+
+  // Sort by ID so the result does not depend on snapshot order
+  const sorted = [...systems].sort((a, b) =>
+    a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+  );
+  const ids = sorted.map((s) => s.id);
+  const count = ids.length;
+  const vectors = buildKeywordVectors(sorted);
+  const edges = buildSimilarityEdges(ids, vectors, 6, 0.05);
+
+  // 1. Deterministic start: a sunflower spiral, ordered by each ID's hash
+  const xs = new Float64Array(count);
+  const zs = new Float64Array(count);
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const order = ids
+    .map((id, index) => ({ index, hash: hashString(id) }))
+    .sort((a, b) => a.hash - b.hash || a.index - b.index);
+  order.forEach(({ index }, rank) => {
+    const radius = spacing * Math.sqrt(rank + 0.5);
+    xs[index] = radius * Math.cos(rank * goldenAngle);
+    zs[index] = radius * Math.sin(rank * goldenAngle);
+  });
+
+  // 2. Force-directed placement (Fruchterman-Reingold with similarity-weighted springs).
+  // Fewer iterations for large galaxies keep the O(n²) repulsion affordable.
+  const iterations = Math.max(
+    40,
+    Math.min(300, Math.round(4e6 / (count * count)))
+  );
+  const k = spacing;
+  const dx = new Float64Array(count);
+  const dz = new Float64Array(count);
+  let temperature = spacing * Math.sqrt(count);
+  const cooling = Math.pow(0.01, 1 / iterations);
+
+  for (let step = 0; step < iterations; step++) {
+    dx.fill(0);
+    dz.fill(0);
+
+    // Repulsion between every pair of systems
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        let ox = xs[i] - xs[j];
+        let oz = zs[i] - zs[j];
+        let distSq = ox * ox + oz * oz;
+        if (distSq < 1e-6) {
+          // Identical positions: separate them along a fixed, index-based direction
+          ox = Math.cos(i + j);
+          oz = Math.sin(i + j);
+          distSq = 1;
+        }
+        const force = (k * k) / distSq;
+        dx[i] += ox * force;
+        dz[i] += oz * force;
+        dx[j] -= ox * force;
+        dz[j] -= oz * force;
+      }
+    }
+
+    // Attraction along similarity edges; more similar topics pull harder
+    edges.forEach(({ a, b, weight }) => {
+      const ox = xs[a] - xs[b];
+      const oz = zs[a] - zs[b];
+      const dist = Math.sqrt(ox * ox + oz * oz) || 1;
+      const force = (((dist * dist) / k) * (0.5 + weight * 4)) / dist;
+      dx[a] -= ox * force;
+      dz[a] -= oz * force;
+      dx[b] += ox * force;
+      dz[b] += oz * force;
+    });
+
+    // Weak gravity towards the center keeps unrelated topics from drifting away
+    for (let i = 0; i < count; i++) {
+      dx[i] -= xs[i] * 0.5;
+      dz[i] -= zs[i] * 0.5;
+
+      const length = Math.sqrt(dx[i] * dx[i] + dz[i] * dz[i]);
+      if (length > 0) {
+        const move = Math.min(length, temperature);
+        xs[i] += (dx[i] / length) * move;
+        zs[i] += (dz[i] / length) * move;
+      }
+    }
+    temperature *= cooling;
+  }
+
+  // 3. Remove overlaps so no two systems' orbits intersect
+  for (let pass = 0; pass < 50; pass++) {
+    let moved = false;
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const ox = xs[j] - xs[i];
+        const oz = zs[j] - zs[i];
+        const dist = Math.sqrt(ox * ox + oz * oz);
+        if (dist >= minDistance) continue;
+        const push = (minDistance - dist) / 2 + 1;
+        const ux = dist > 0 ? ox / dist : Math.cos(i + j);
+        const uz = dist > 0 ? oz / dist : Math.sin(i + j);
+        xs[i] -= ux * push;
+        zs[i] -= uz * push;
+        xs[j] += ux * push;
+        zs[j] += uz * push;
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+
+  // 4. Center the galaxy on the origin
+  let cx = 0;
+  let cz = 0;
+  for (let i = 0; i < count; i++) {
+    cx += xs[i] / count;
+    cz += zs[i] / count;
+  }
+  ids.forEach((id, i) => {
+    positions.set(id, {
+      x: Math.round(xs[i] - cx),
+      y: (hashString(id) % 200) - 100,
+      z: Math.round(zs[i] - cz),
+    });
+  });
+  return positions;
+}
+
+/**
+ * Finds a spot for a new system next to the existing system it is most similar to.
+ * Returns null when nothing in the galaxy is related, so the caller can fall back
+ * to its default placement.
+ * @param {{id: string, data: object}} system The new system.
+ * @param {Array<{id: string, data: object, position: {x: number, y: number, z: number}}>} existing
+ * @param {object} [options]
+ * @param {number} [options.spacing=1125] Distance from the similar system.
+ * @param {number} [options.minDistance=750] Minimum distance to every other system.
+ * @returns {{x: number, y: number, z: number} | null}
+ */
+export function findSemanticNeighborPosition(system, existing, options = {}) {
+  const spacing = options.spacing ?? 1125;
+  const minDistance = options.minDistance ?? 750;
+  if (existing.length === 0) return null;
+
+  const vectors = buildKeywordVectors([system, ...existing]);
+  const target = vectors.get(system.id);
+  let best = null;
+  let bestSimilarity = 0.05;
+  existing.forEach((other) => {
+    const similarity = cosineSimilarity(target, vectors.get(other.id));
+    if (similarity > bestSimilarity) {
+      best = other;
+      bestSimilarity = similarity;
+    }
+  });
+  if (!best) return null;
+
+  // Try rings of increasing radius around the most similar system
+  const startAngle = (hashString(system.id) % 360) * (Math.PI / 180);
+  for (let ring = 1; ring <= 5; ring++) {
+    for (let step = 0; step < 12; step++) {
+      const angle = startAngle + (step / 12) * Math.PI * 2;
+      const candidate = {
+        x: Math.round(best.position.x + spacing * ring * Math.cos(angle)),
+        y: best.position.y,
+        z: Math.round(best.position.z + spacing * ring * Math.sin(angle)),
+      };
+      const free = existing.every(
+        (other) =>
+          Math.hypot(
+            other.position.x - candidate.x,
+            other.position.z - candidate.z
+          ) >= minDistance
+      );
+      if (free) return candidate;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,410 @@
+// --- GALAXY REPOSITORY ---
+// One interface for reading and writing a user's star systems, so the app takes the
+// same code path whether it is deployed (Firestore) or running locally (IndexedDB,
+// falling back to localStorage). Both implementations report changes in the same
+// shape as Firestore's `snapshot.docChanges()`.
+
+import {
+  collection,
+  onSnapshot,
+  query,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+// Firestore's limit on the writes in one batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * @typedef {object} GalaxyChange
+ * @property {"added" | "modified" | "removed"} type
+ * @property {string} id The star system's document ID.
+ * @property {object} data The star system data (the last known data for "removed").
+ */
+
+/**
+ * @typedef {object} GalaxyRepository
+ * @property {() => string} newId Reserves an ID for a system that is about to be created.
+ * @property {(id: string, data: object) => Promise<void>} create Saves a new system; `createdAt` is added.
+ * @property {(id: string) => Promise<object | null>} get
+ * @property {() => Promise<Array<{id: string, data: object}>>} list
+ * @property {(id: string, changes: object) => Promise<void>} update Updates top-level fields.
+ * @property {(id: string, change: (data: object) => object) => Promise<object>} modify
+ *   Reads the latest data of a system, passes a copy to `change` and writes the
+ *   top-level fields it returns, with no other write in between. `change` may be
+ *   called more than once and may throw to cancel. Resolves with the saved data.
+ * @property {(updates: Map<string, object>) => Promise<void>} updateMany Updates several systems at once.
+ * @property {(id: string) => Promise<void>} remove
+ * @property {(onChange: (event: {changes: GalaxyChange[], ids: string[]}) => void, onError?: (error: Error) => void) => () => void} subscribe
+ *   Calls `onChange` with every system as "added" first, then with each later change.
+ *   `ids` lists all current systems in display order. Returns an unsubscribe function.
+ */
+
+// `createdAt` is exposed as epoch milliseconds by both implementations
+function toMillis(value) {
+  if (typeof value === "number") return value;
+  return value?.toMillis?.() ?? null;
+}
+
+// --- FIRESTORE IMPLEMENTATION ---
+
+/**
+ * Stores star systems under `artifacts/{appId}/users/{userId}/stars`.
+ * @param {import("firebase/firestore").Firestore} db
+ * @param {string} appId
+ * @param {string} userId
+ * @returns {GalaxyRepository}
+ */
+export function createFirestoreGalaxyRepository(db, appId, userId) {
+  return createStarsCollectionRepository(
+    db,
+    collection(db, "artifacts", appId, "users", userId, "stars")
+  );
+}
+
+/**
+ * Stores the star systems of a shared galaxy under
+ * `artifacts/{appId}/public/data/galaxies/{galaxyId}/stars`. Who may read or
+ * write them is decided by the galaxy's member roles (see firestore.rules).
+ * @param {import("firebase/firestore").Firestore} db
+ * @param {string} appId
+ * @param {string} galaxyId
+ * @returns {GalaxyRepository}
+ */
+export function createSharedGalaxyRepository(db, appId, galaxyId) {
+  return createStarsCollectionRepository(
+    db,
+    collection(
+      db,
+      "artifacts",
+      appId,
+      "public",
+      "data",
+      "galaxies",
+      galaxyId,
+      "stars"
+    )
+  );
+}
+
+function createStarsCollectionRepository(db, starsCollection) {
+  const starDoc = (id) => doc(starsCollection, id);
+  // Pending server timestamps are estimated so new systems have a createdAt right away
+  const readData = (snapshot) => {
+    const data = snapshot.data({ serverTimestamps: "estimate" });
+    return { ...data, createdAt: toMillis(data.createdAt) };
+  };
+
+  return {
+    newId() {
+      return doc(starsCollection).id;
+    },
+
+    async create(id, data) {
+      await setDoc(starDoc(id), { ...data, createdAt: serverTimestamp() });
+    },
+
+    async get(id) {
+      const snapshot = await getDoc(starDoc(id));
+      return snapshot.exists() ? readData(snapshot) : null;
+    },
+
+    async list() {
+      const snapshot = await getDocs(query(starsCollection));
+      return snapshot.docs.map((d) => ({ id: d.id, data: readData(d) }));
+    },
+
+    async update(id, changes) {
+      await updateDoc(starDoc(id), changes);
+    },
+
+    async modify(id, change) {
+      // Firestore retries the transaction if the system changes before it commits
+      return runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(starDoc(id));
+        if (!snapshot.exists()) {
+          throw new Error("This star system no longer exists.");
+        }
+        const data = readData(snapshot);
+        const changes = change(structuredClone(data));
+        transaction.update(starDoc(id), changes);
+        return { ...data, ...changes };
+      });
+    },
+
+    async updateMany(updates) {
+      // Firestore allows at most MAX_BATCH_WRITES writes per batch, so large
+      // galaxies are updated in several batches; each batch is atomic
+      const entries = [...updates];
+      for (let i = 0; i < entries.length; i += MAX_BATCH_WRITES) {
+        const batch = writeBatch(db);
+        entries
+          .slice(i, i + MAX_BATCH_WRITES)
+          .forEach(([id, changes]) => batch.update(starDoc(id), changes));
+        await batch.commit();
+      }
+    },
+
+    async remove(id) {
+      await deleteDoc(starDoc(id));
+    },
+
+    subscribe(onChange, onError) {
+      return onSnapshot(
+        query(starsCollection),
+        (snapshot) => {
+          onChange({
+            changes: snapshot.docChanges().map((change) => ({
+              type: change.type,
+              id: change.doc.id,
+              data: readData(change.doc),
+            })),
+            ids: snapshot.docs.map((d) => d.id),
+          });
+        },
+        onError
+      );
+    },
+  };
+}
+
+// --- READ-ONLY IMPLEMENTATION ---
+
+/**
+ * Serves a fixed set of systems, such as a shared galaxy opened in view-only
+ * mode. Every write is rejected.
+ * @param {Array<{id: string, data: object}>} systems
+ * @returns {GalaxyRepository}
+ */
+export function createReadOnlyGalaxyRepository(systems) {
+  const copy = (data) => structuredClone(data);
+  const readOnly = async () => {
+    throw new Error("This galaxy is read-only.");
+  };
+
+  return {
+    newId: () => {
+      throw new Error("This galaxy is read-only.");
+    },
+    create: readOnly,
+    update: readOnly,
+    modify: readOnly,
+    updateMany: readOnly,
+    remove: readOnly,
+
+    async get(id) {
+      const system = systems.find((s) => s.id === id);
+      return system ? copy(system.data) : null;
+    },
+
+    async list() {
+      return systems.map(({ id, data }) => ({ id, data: copy(data) }));
+    },
+
+    subscribe(onChange) {
+      queueMicrotask(() =>
+        onChange({
+          changes: systems.map(({ id, data }) => ({
+            type: "added",
+            id,
+            data: copy(data),
+          })),
+          ids: systems.map((s) => s.id),
+        })
+      );
+      return () => {};
+    },
+  };
+}
+
+// --- LOCAL (INDEXEDDB / LOCALSTORAGE) IMPLEMENTATION ---
+
+const LOCAL_DB_NAME = "yoursol";
+const LOCAL_STORE_NAME = "stars";
+
+/**
+ * Minimal promise wrapper around an IndexedDB object store holding
+ * `{ id, userId, data }` records.
+ */
+function openIndexedDbStore() {
+  const opened = new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCAL_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(LOCAL_STORE_NAME, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  const run = async (mode, operation) => {
+    const database = await opened;
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(LOCAL_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(LOCAL_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    getAll: () => run("readonly", (store) => store.getAll()),
+    put: (record) => run("readwrite", (store) => store.put(record)),
+    delete: (id) => run("readwrite", (store) => store.delete(id)),
+  };
+}
+
+/**
+ * The same record store on top of a single localStorage entry, for browsers
+ * where IndexedDB is unavailable.
+ */
+function createLocalStorageStore() {
+  const key = `${LOCAL_DB_NAME}-${LOCAL_STORE_NAME}`;
+  const read = () => JSON.parse(localStorage.getItem(key) || "[]");
+  const write = (records) => localStorage.setItem(key, JSON.stringify(records));
+
+  return {
+    getAll: async () => read(),
+    put: async (record) => {
+      write([...read().filter((r) => r.id !== record.id), record]);
+    },
+    delete: async (id) => {
+      write(read().filter((r) => r.id !== id));
+    },
+  };
+}
+
+/**
+ * Stores star systems in the browser so a local session survives a refresh.
+ * Writes are reported to subscribers asynchronously, like Firestore snapshots.
+ * @param {string} userId The local user the systems belong to.
+ * @returns {GalaxyRepository}
+ */
+export function createLocalGalaxyRepository(userId) {
+  const store =
+    typeof indexedDB !== "undefined"
+      ? openIndexedDbStore()
+      : createLocalStorageStore();
+  const listeners = new Set();
+  // Records in creation order; loaded once, then kept in sync with the store
+  let records = null;
+
+  const load = async () => {
+    if (!records) {
+      const all = await store.getAll();
+      records = all
+        .filter((r) => r.userId === userId)
+        .sort((a, b) => a.data.createdAt - b.data.createdAt);
+    }
+    return records;
+  };
+  const copy = (data) => structuredClone(data);
+  const emit = (changes) => {
+    const ids = records.map((r) => r.id);
+    listeners.forEach((listener) =>
+      queueMicrotask(() =>
+        listener({
+          changes: changes.map((c) => ({ ...c, data: copy(c.data) })),
+          ids,
+        })
+      )
+    );
+  };
+  const findRecord = async (id) => {
+    const record = (await load()).find((r) => r.id === id);
+    if (!record) throw new Error(`No star system with ID "${id}".`);
+    return record;
+  };
+
+  return {
+    newId() {
+      return crypto.randomUUID();
+    },
+
+    async create(id, data) {
+      await load();
+      const record = {
+        id,
+        userId,
+        data: { ...copy(data), createdAt: Date.now() },
+      };
+      await store.put(record);
+      records.push(record);
+      emit([{ type: "added", id, data: record.data }]);
+    },
+
+    async get(id) {
+      const record = (await load()).find((r) => r.id === id);
+      return record ? copy(record.data) : null;
+    },
+
+    async list() {
+      return (await load()).map((r) => ({ id: r.id, data: copy(r.data) }));
+    },
+
+    async update(id, changes) {
+      const record = await findRecord(id);
+      record.data = { ...record.data, ...copy(changes) };
+      await store.put(record);
+      emit([{ type: "modified", id, data: record.data }]);
+    },
+
+    async modify(id, change) {
+      const record = await findRecord(id);
+      const changes = change(copy(record.data));
+      record.data = { ...record.data, ...copy(changes) };
+      await store.put(record);
+      emit([{ type: "modified", id, data: record.data }]);
+      return copy(record.data);
+    },
+
+    async updateMany(updates) {
+      const changes = [];
+      for (const [id, fields] of updates) {
+        const record = await findRecord(id);
+        record.data = { ...record.data, ...copy(fields) };
+        await store.put(record);
+        changes.push({ type: "modified", id, data: record.data });
+      }
+      emit(changes);
+    },
+
+    async remove(id) {
+      const record = await findRecord(id);
+      await store.delete(id);
+      records = records.filter((r) => r !== record);
+      emit([{ type: "removed", id, data: record.data }]);
+    },
+
+    subscribe(onChange, onError) {
+      let active = true;
+      load()
+        .then(() => {
+          if (!active) return;
+          listeners.add(onChange);
+          onChange({
+            changes: records.map((r) => ({
+              type: "added",
+              id: r.id,
+              data: copy(r.data),
+            })),
+            ids: records.map((r) => r.id),
+          });
+        })
+        .catch((error) => {
+          if (onError) onError(error);
+          else console.error("Failed to load the local galaxy:", error);
+        });
+      return () => {
+        active = false;
+        listeners.delete(onChange);
+      };
+    },
+  };
+}
@@ -0,0 +1,174 @@
+// --- GALAXY SHARING ---
+// Publishes read-only snapshots of a star system or a whole galaxy, so they can be
+// shown to someone else through a link. A share is a copy taken at publish time;
+// later edits to the owner's galaxy do not change it. Revoking deletes the copy.
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+// The query parameter that opens the app in view-only mode
+const SHARE_URL_PARAM = "share";
+
+/**
+ * @typedef {object} Share
+ * @property {"system" | "galaxy"} kind
+ * @property {string} title
+ * @property {Array<{id: string, data: object}>} systems
+ */
+
+/**
+ * @typedef {object} ShareStore
+ * @property {(ownerId: string, share: Share) => Promise<string>} publish Returns the share ID.
+ * @property {(shareId: string) => Promise<Share | null>} get Null if the share was revoked.
+ * @property {(ownerId: string) => Promise<Array<{id: string, kind: string, title: string, createdAt: number | null}>>} listOwned
+ * @property {(shareId: string) => Promise<void>} revoke
+ */
+
+/**
+ * Builds a share from star systems. Trash markers and creation times are left
+ * out, and a single shared system loses its link to a parent that is not shared.
+ * @param {"system" | "galaxy"} kind
+ * @param {string} title
+ * @param {Array<{id: string, data: object}>} systems
+ * @returns {Share}
+ */
+export function createShare(kind, title, systems) {
+  const sharedIds = new Set(systems.map((s) => s.id));
+  return {
+    kind,
+    title,
+    systems: systems.map(({ id, data }) => {
+      const { createdAt, deletedAt, parent, ...rest } = data;
+      return {
+        id,
+        data:
+          parent && sharedIds.has(parent.docId) ? { ...rest, parent } : rest,
+      };
+    }),
+  };
+}
+
+/**
+ * The link that opens a share in view-only mode.
+ */
+export function getShareUrl(shareId) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(SHARE_URL_PARAM, shareId);
+  return url.toString();
+}
+
+/**
+ * The share ID in the current URL, or null when the app is opened normally.
+ */
+export function getSharedIdFromUrl() {
+  return new URLSearchParams(window.location.search).get(SHARE_URL_PARAM);
+}
+
+// --- FIRESTORE IMPLEMENTATION ---
+
+/**
+ * Stores shares under `artifacts/{appId}/public/data/shares`, which anyone with
+ * the link may read and only the owner may delete (see firestore.rules).
+ * @param {import("firebase/firestore").Firestore} db
+ * @param {string} appId
+ * @returns {ShareStore}
+ */
+export function createFirestoreShareStore(db, appId) {
+  const sharesCollection = collection(
+    db,
+    "artifacts",
+    appId,
+    "public",
+    "data",
+    "shares"
+  );
+
+  return {
+    async publish(ownerId, share) {
+      const shareDoc = doc(sharesCollection);
+      await setDoc(shareDoc, {
+        ...share,
+        ownerId,
+        createdAt: serverTimestamp(),
+      });
+      return shareDoc.id;
+    },
+
+    async get(shareId) {
+      const snapshot = await getDoc(doc(sharesCollection, shareId));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+
+    async listOwned(ownerId) {
+      const snapshot = await getDocs(
+        query(sharesCollection, where("ownerId", "==", ownerId))
+      );
+      return snapshot.docs.map((d) => {
+        const { kind, title, createdAt } = d.data();
+        return {
+          id: d.id,
+          kind,
+          title,
+          createdAt: createdAt?.toMillis() ?? null,
+        };
+      });
+    },
+
+    async revoke(shareId) {
+      await deleteDoc(doc(sharesCollection, shareId));
+    },
+  };
+}
+
+// --- LOCAL IMPLEMENTATION ---
+
+/**
+ * Keeps shares in localStorage for mock mode. The links only open in the same
+ * browser, which is enough to try the view-only mode locally.
+ * @returns {ShareStore}
+ */
+export function createLocalShareStore() {
+  const key = "yoursol-shares";
+  const read = () => JSON.parse(localStorage.getItem(key) || "{}");
+  const write = (shares) => localStorage.setItem(key, JSON.stringify(shares));
+
+  return {
+    async publish(ownerId, share) {
+      const shareId = crypto.randomUUID();
+      write({
+        ...read(),
+        [shareId]: { ...share, ownerId, createdAt: Date.now() },
+      });
+      return shareId;
+    },
+
+    async get(shareId) {
+      return read()[shareId] ?? null;
+    },
+
+    async listOwned(ownerId) {
+      return Object.entries(read())
+        .filter(([, share]) => share.ownerId === ownerId)
+        .map(([id, { kind, title, createdAt }]) => ({
+          id,
+          kind,
+          title,
+          createdAt,
+        }));
+    },
+
+    async revoke(shareId) {
+      const { [shareId]: revoked, ...rest } = read();
+      write(rest);
+    },
+  };
+}
@@ -0,0 +1,203 @@
+// --- GALAXY IMPORT / EXPORT ---
+// Serializes a whole galaxy to a versioned JSON file and validates such files
+// before they are imported, so galaxies can be backed up, moved between accounts,
+// and used to seed demo environments.
+
+import { normalizeGenerationOptions } from "./generationOptions.js";
+import { cleanReferences } from "./bodyReferences.js";
+
+export const GALAXY_EXPORT_FORMAT = "yoursol-galaxy";
+export const GALAXY_EXPORT_VERSION = 1;
+
+/**
+ * Builds the export document for a list of star systems.
+ * @param {Array<{id: string, data: object}>} systems
+ * @returns {object} A JSON-serializable export with a schema version.
+ */
+export function createGalaxyExport(systems) {
+  return {
+    format: GALAXY_EXPORT_FORMAT,
+    version: GALAXY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    systems: systems.map(({ id, data }) => ({
+      id,
+      topic: data.topic ?? data.star.name,
+      createdAt: data.createdAt ? new Date(data.createdAt).toISOString() : null,
+      star: data.star,
+      planets: data.planets,
+      ...(data.position ? { position: data.position } : {}),
+      ...(data.parent ? { parent: data.parent } : {}),
+      ...(data.generationOptions
+        ? { generationOptions: data.generationOptions }
+        : {}),
+    })),
+  };
+}
+
+/**
+ * Lowercases, trims and strips punctuation so that "Machine Learning!" and
+ * " machine  learning" are treated as the same topic.
+ */
+export function normalizeTopic(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Validates one body (star, planet or moon) and returns a clean copy.
+ * Throws with a readable message if a required field is missing.
+ */
+function validateBody(body, label) {
+  if (!body || typeof body !== "object") {
+    throw new Error(`${label} is missing.`);
+  }
+  if (!isNonEmptyString(body.name)) {
+    throw new Error(`${label} has no name.`);
+  }
+  const scale = Number(body.scale);
+  const clean = {
+    name: body.name.trim(),
+    description: typeof body.description === "string" ? body.description : "",
+    scale: Number.isFinite(scale) && scale > 0 ? scale : 1,
+  };
+  if (body.color !== undefined) {
+    const color = Number(body.color);
+    if (Number.isInteger(color) && color >= 0 && color <= 0xffffff) {
+      clean.color = color;
+    }
+  }
+  const { references } = cleanReferences(body.references);
+  if (references.length) clean.references = references;
+  return clean;
+}
+
+/**
+ * Validates one exported star system.
+ * @returns {object} The system data, ready to be saved.
+ */
+function validateSystem(system) {
+  const star = validateBody(system.star, "Star");
+  if (!Array.isArray(system.planets) || system.planets.length === 0) {
+    throw new Error(`"${star.name}" has no planets.`);
+  }
+  const planets = system.planets.map((planet, planetIndex) => {
+    const label = `Planet ${planetIndex + 1} of "${star.name}"`;
+    const cleanPlanet = validateBody(planet, label);
+    const moons = planet.moons === undefined ? [] : planet.moons;
+    if (!Array.isArray(moons)) {
+      throw new Error(`${label} has an invalid moon list.`);
+    }
+    cleanPlanet.moons = moons.map((moon, moonIndex) =>
+      validateBody(moon, `Moon ${moonIndex + 1} of ${label}`)
+    );
+    return cleanPlanet;
+  });
+
+  const data = {
+    star,
+    planets,
+    topic: isNonEmptyString(system.topic) ? system.topic.trim() : star.name,
+  };
+  if (system.parent && isNonEmptyString(system.parent.docId)) {
+    data.parent = { ...system.parent };
+  }
+  if (
+    system.generationOptions &&
+    typeof system.generationOptions === "object"
+  ) {
+    data.generationOptions = normalizeGenerationOptions(
+      system.generationOptions
+    );
+  }
+  return data;
+}
+
+/**
+ * Returns a key that identifies a system's content, used to detect duplicates.
+ */
+function getDuplicateKey(data) {
+  const planetNames = data.planets.map((p) => normalizeTopic(p.name)).sort();
+  return `${normalizeTopic(data.star.name)}|${planetNames.join("|")}`;
+}
+
+/**
+ * Parses and validates an exported galaxy file.
+ * Systems that fail validation are reported in `skipped` instead of failing the
+ * whole import; systems already in the galaxy (or repeated in the file) are
+ * flagged as duplicates.
+ * @param {string} text The file contents.
+ * @param {Array<{id: string, data: object}>} existingSystems The current galaxy.
+ * @returns {{systems: Array<{sourceId: string | null, data: object, duplicate: boolean}>, skipped: Array<{index: number, reason: string}>}}
+ * @throws {Error} If the file is not a galaxy export or uses an unsupported version.
+ */
+export function parseGalaxyExport(text, existingSystems = []) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (!parsed || parsed.format !== GALAXY_EXPORT_FORMAT) {
+    throw new Error("The file is not a Your Sol galaxy export.");
+  }
+  if (
+    !Number.isInteger(parsed.version) ||
+    parsed.version > GALAXY_EXPORT_VERSION
+  ) {
+    throw new Error(
+      `Unsupported galaxy export version: ${parsed.version}. This app reads up to version ${GALAXY_EXPORT_VERSION}.`
+    );
+  }
+  if (!Array.isArray(parsed.systems)) {
+    throw new Error("The file does not contain any star systems.");
+  }
+
+  const seenKeys = new Set(existingSystems.map((s) => getDuplicateKey(s.data)));
+  const systems = [];
+  const skipped = [];
+  parsed.systems.forEach((system, index) => {
+    try {
+      const data = validateSystem(system);
+      const key = getDuplicateKey(data);
+      systems.push({
+        sourceId: isNonEmptyString(system.id) ? system.id : null,
+        data,
+        duplicate: seenKeys.has(key),
+      });
+      seenKeys.add(key);
+    } catch (error) {
+      skipped.push({ index, reason: error.message });
+    }
+  });
+  return { systems, skipped };
+}
+
+/**
+ * Orders imported systems so parents are saved before the systems expanded from
+ * them. Parent links are followed by their exported ID (`sourceId`).
+ * @param {Array<{sourceId: string | null, data: object}>} systems
+ * @returns {Array<{sourceId: string | null, data: object}>}
+ */
+export function orderForImport(systems) {
+  const bySourceId = new Map(
+    systems.filter((s) => s.sourceId).map((s) => [s.sourceId, s])
+  );
+  const ordered = [];
+  const visited = new Set();
+  const visit = (system, path = new Set()) => {
+    if (visited.has(system) || path.has(system)) return;
+    path.add(system);
+    const parent =
+      system.data.parent && bySourceId.get(system.data.parent.docId);
+    if (parent) visit(parent, path);
+    visited.add(system);
+    ordered.push(system);
+  };
+  systems.forEach((system) => visit(system));
+  return ordered;
+}
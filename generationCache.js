@@ -0,0 +1,106 @@
+// --- GENERATION CACHE ---
+// Keeps star system responses in the browser, keyed by provider, topic and
+// generation options, so generating the same topic again while developing or
+// testing costs no API call. Only star system requests are cached; quiz
+// questions, chat answers and planet refinements always reach the model.
+
+import { normalizeTopic } from "./galaxyTransfer.js";
+import { validateStarSystem } from "./starSystemSchema.js";
+
+const STORAGE_KEY = "yoursol-generation-cache";
+// Star systems are a few kilobytes each; the oldest entries are dropped first
+const MAX_ENTRIES = 30;
+
+/**
+ * A short, stable hash of a prompt, so that e.g. expansions of the same topic
+ * from different bodies are cached apart.
+ */
+function hashText(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * The cache key of a request, or null if the request is not cached.
+ * @param {string} providerName
+ * @param {import("./llmProviders.js").GenerationRequest} request
+ */
+export function getGenerationCacheKey(
+  providerName,
+  { topic, options, systemPrompt, userPrompt }
+) {
+  if (!topic || !options) return null;
+  return [
+    providerName,
+    normalizeTopic(topic),
+    JSON.stringify(options),
+    hashText(`${systemPrompt}\n${userPrompt}`),
+  ].join("|");
+}
+
+/**
+ * Wraps a provider so star system requests are answered from the cache when
+ * the same request was answered before. Responses that are not a usable star
+ * system are not kept, so a bad answer is asked for again next time.
+ * @param {import("./llmProviders.js").LlmProvider} provider
+ * @param {Storage} storage E.g. localStorage.
+ * @returns {import("./llmProviders.js").LlmProvider}
+ */
+export function createCachedProvider(provider, storage) {
+  // Entries are [key, response] pairs, the most recently stored last
+  const readEntries = () => {
+    try {
+      return JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  };
+  const lookup = (key) => {
+    const entry = key && readEntries().find(([k]) => k === key);
+    return entry ? entry[1] : null;
+  };
+  const store = (key, response) => {
+    if (!key) return;
+    try {
+      validateStarSystem(response);
+    } catch {
+      return;
+    }
+    const entries = readEntries().filter(([k]) => k !== key);
+    entries.push([key, response]);
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(entries.slice(-MAX_ENTRIES)));
+    } catch (error) {
+      // Usually the storage quota; the response is still used
+      console.warn("Could not cache the response:", error);
+    }
+  };
+
+  return {
+    ...provider,
+
+    async generateJson(request) {
+      const key = getGenerationCacheKey(provider.name, request);
+      const cached = lookup(key);
+      if (cached) return cached;
+      const response = await provider.generateJson(request);
+      store(key, response);
+      return response;
+    },
+
+    async streamJson(request, onText) {
+      const key = getGenerationCacheKey(provider.name, request);
+      const cached = lookup(key);
+      if (cached) {
+        onText(JSON.stringify(cached));
+        return cached;
+      }
+      const response = await provider.streamJson(request, onText);
+      store(key, response);
+      return response;
+    },
+  };
+}
@@ -0,0 +1,161 @@
+// --- GENERATION OPTIONS ---
+// How big and in what voice a star system is generated: the number of planets and
+// moons, the audience, the tone and the output language. The options feed the
+// prompt and the response schema, and are saved with each star system so it can
+// be regenerated the same way.
+
+import { MAX_GENERATED_REFERENCES, REFERENCE_TYPES } from "./bodyReferences.js";
+
+export const AUDIENCE_LEVELS = {
+  beginner: "a beginner with no prior knowledge of the topic",
+  intermediate: "a learner who already knows the basics",
+  expert: "an expert who wants depth, precision and technical terms",
+};
+
+export const TONES = {
+  neutral: "clear and neutral",
+  playful: "friendly and playful, with vivid analogies",
+  academic: "formal and academic",
+  concise: "as brief as possible, in short factual sentences",
+};
+
+export const DEFAULT_GENERATION_OPTIONS = {
+  planetCount: 3,
+  minMoons: 1,
+  maxMoons: 3,
+  audience: "beginner",
+  tone: "neutral",
+  language: "English",
+};
+
+// Bounds that keep a system readable in the scene and the navigator
+export const MAX_PLANETS = 8;
+export const MAX_MOONS = 6;
+
+function clampInteger(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * Fills in defaults and clamps every option to a supported value, so options
+ * from the form, localStorage or an imported file can be used as they are.
+ * @param {object} [options]
+ * @returns {typeof DEFAULT_GENERATION_OPTIONS}
+ */
+export function normalizeGenerationOptions(options = {}) {
+  const defaults = DEFAULT_GENERATION_OPTIONS;
+  const minMoons = clampInteger(
+    options.minMoons,
+    0,
+    MAX_MOONS,
+    defaults.minMoons
+  );
+  const language =
+    typeof options.language === "string" ? options.language.trim() : "";
+  return {
+    planetCount: clampInteger(
+      options.planetCount,
+      1,
+      MAX_PLANETS,
+      defaults.planetCount
+    ),
+    minMoons,
+    maxMoons: clampInteger(
+      options.maxMoons,
+      minMoons,
+      MAX_MOONS,
+      Math.max(minMoons, defaults.maxMoons)
+    ),
+    audience: AUDIENCE_LEVELS[options.audience]
+      ? options.audience
+      : defaults.audience,
+    tone: TONES[options.tone] ? options.tone : defaults.tone,
+    language: language.slice(0, 40) || defaults.language,
+  };
+}
+
+/**
+ * The part of the system prompt that describes the requested size and voice.
+ * @param {typeof DEFAULT_GENERATION_OPTIONS} options Normalized options.
+ * @returns {string}
+ */
+export function buildGenerationInstructions(options) {
+  const planets =
+    options.planetCount === 1
+      ? "exactly 1 planet"
+      : `exactly ${options.planetCount} planets`;
+  const moons =
+    options.minMoons === options.maxMoons
+      ? `exactly ${options.maxMoons}`
+      : `${options.minMoons} to ${options.maxMoons}`;
+  return [
+    `Generate ${planets}, and ${moons} moons for each planet.`,
+    `Write for ${AUDIENCE_LEVELS[options.audience]}.`,
+    `The tone should be ${TONES[options.tone]}.`,
+    `Write every name and description in ${options.language}.`,
+  ].join("\n");
+}
+
+const BODY_PROPERTIES = {
+  name: { type: "STRING" },
+  description: { type: "STRING" },
+  scale: { type: "NUMBER" },
+  references: {
+    type: "ARRAY",
+    maxItems: MAX_GENERATED_REFERENCES,
+    items: {
+      type: "OBJECT",
+      properties: {
+        title: { type: "STRING" },
+        url: { type: "STRING" },
+        type: { type: "STRING", enum: Object.keys(REFERENCE_TYPES) },
+      },
+      propertyOrdering: ["title", "url", "type"],
+    },
+  },
+};
+const BODY_ORDERING = ["name", "description", "scale", "references"];
+
+/**
+ * The structured-output schema for a star system, with the planet and moon
+ * counts from the options.
+ * @param {typeof DEFAULT_GENERATION_OPTIONS} options Normalized options.
+ * @returns {object}
+ */
+export function buildResponseSchema(options) {
+  return {
+    type: "OBJECT",
+    properties: {
+      star: {
+        type: "OBJECT",
+        properties: BODY_PROPERTIES,
+        propertyOrdering: BODY_ORDERING,
+      },
+      planets: {
+        type: "ARRAY",
+        minItems: options.planetCount,
+        maxItems: options.planetCount,
+        items: {
+          type: "OBJECT",
+          properties: {
+            ...BODY_PROPERTIES,
+            moons: {
+              type: "ARRAY",
+              minItems: options.minMoons,
+              maxItems: options.maxMoons,
+              items: {
+                type: "OBJECT",
+                properties: BODY_PROPERTIES,
+                propertyOrdering: BODY_ORDERING,
+              },
+            },
+          },
+          propertyOrdering: [...BODY_ORDERING, "moons"],
+        },
+      },
+    },
+    propertyOrdering: ["star", "planets"],
+  };
+}
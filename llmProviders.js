@@ -0,0 +1,705 @@
+// --- LLM PROVIDERS ---
+// Star systems can be generated by different language models. Every provider
+// takes the same request (prompts plus a response schema) and returns the parsed
+// JSON, so the rest of the app does not care which model answered:
+// - "gemini": Google's Gemini API with structured output.
+// - "openai": any OpenAI-compatible chat-completions server, e.g. OpenAI itself
+//   or a local Ollama or llama.cpp server.
+// - "proxy": the generation proxy in server/, which keeps the API key on a
+//   server; this is what a deployed site should use.
+// - "fixture": deterministic sample data, for local work and tests.
+
+import { DEFAULT_GENERATION_OPTIONS } from "./generationOptions.js";
+import { BAD_STAR_SYSTEM_RESPONSES } from "./starSystemFixtures.js";
+
+/**
+ * @typedef {object} GenerationRequest
+ * @property {string} systemPrompt
+ * @property {string} userPrompt
+ * @property {object} schema The response schema (Gemini's OpenAPI subset).
+ * @property {string} topic The topic being generated, for the fixture provider.
+ * @property {object} options The normalized generation options.
+ * @property {object} [fixtureResponse] What the fixture provider returns, for
+ *   requests that are not for a star system (e.g. quiz questions).
+ * @property {AbortSignal} [signal] Cancels the request, e.g. from the topic queue.
+ * @property {ProxyTask} [task] What a follow-up request was built from.
+ */
+
+/**
+ * The structured input a follow-up request was built from, e.g. the system and
+ * the planet to refine. The generation proxy only accepts this, not prompts,
+ * and builds the prompt again on the server with the same function.
+ * @typedef {object} ProxyTask
+ * @property {"refinement" | "quiz" | "chat"} kind
+ * @property {object} input
+ */
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {string} name A label for logs and the UI, e.g. "gemini (gemini-2.5-flash)".
+ * @property {(request: GenerationRequest) => Promise<object>} generateJson
+ * @property {(request: GenerationRequest, onText: (text: string) => void) => Promise<object>} streamJson
+ *   Like generateJson, but calls `onText` with the response text received so far
+ *   each time more of it arrives.
+ * @property {(request: ChatRequest, onText: (text: string) => void) => Promise<string>} streamText
+ *   Answers a conversation in plain text, streamed like streamJson.
+ */
+
+/**
+ * @typedef {object} ChatRequest
+ * @property {string} systemPrompt
+ * @property {Array<{role: "user" | "assistant", text: string}>} messages The
+ *   conversation so far, ending with the user's question.
+ * @property {AbortSignal} [signal]
+ * @property {ProxyTask} [task]
+ */
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.5-flash-preview-05-20",
+  openai: "gpt-4o-mini",
+};
+const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+// Statuses that may succeed when the same request is sent again later
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+// Longer waits are left to the caller, e.g. the topic queue pauses instead
+const MAX_RETRY_WAIT_MS = 30 * 1000;
+
+/**
+ * Reads a Retry-After header, given in seconds or as an HTTP date.
+ * @returns {number | null} Milliseconds to wait, or null without a usable header.
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Fetches with exponential backoff. Network errors, rate limits and server
+ * errors are retried, waiting as long as the server's Retry-After header asks;
+ * other errors and aborted requests are not. An error for a failed response
+ * carries its `status` and, if the server sent one, `retryAfterMs`.
+ */
+async function fetchWithRetry(url, options, maxRetries = 3) {
+  for (let i = 0; i < maxRetries; i++) {
+    let error;
+    try {
+      const response = await fetch(url, options);
+      if (response.ok) {
+        return response;
+      }
+      error = new Error(`API returned status ${response.status}`);
+      error.status = response.status;
+      error.retryAfterMs = parseRetryAfter(response.headers.get("Retry-After"));
+    } catch (fetchError) {
+      error = fetchError;
+    }
+    if (options.signal?.aborted) throw error;
+
+    const delay = error.retryAfterMs ?? (1 << i) * 1000;
+    const retryable =
+      error.status === undefined || RETRYABLE_STATUSES.has(error.status);
+    if (!retryable || delay > MAX_RETRY_WAIT_MS || i === maxRetries - 1) {
+      throw error;
+    }
+    console.warn(`Attempt ${i + 1} failed. Retrying in ${delay / 1000}s...`);
+    await wait(delay, options.signal);
+  }
+}
+
+/**
+ * Whether an error, or the error it was caused by, is the provider's rate
+ * limit (HTTP 429).
+ */
+export function isRateLimitError(error) {
+  for (let e = error; e; e = e.cause) {
+    if (e.status === 429) return true;
+  }
+  return false;
+}
+
+/**
+ * How long the provider asked to wait after a rate limit, if it said so.
+ * @returns {number | null} Milliseconds.
+ */
+export function getRetryAfterMs(error) {
+  for (let e = error; e; e = e.cause) {
+    if (typeof e.retryAfterMs === "number") return e.retryAfterMs;
+  }
+  return null;
+}
+
+/**
+ * Reads a server-sent events response and calls `onData` with the payload of
+ * every `data:` line.
+ */
+async function readServerSentEvents(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    // The last line may be incomplete until the next chunk arrives
+    buffer = done ? "" : lines.pop();
+    lines
+      .filter((line) => line.startsWith("data:"))
+      .forEach((line) => onData(line.slice(5).trim()));
+    if (done) return;
+  }
+}
+
+function parseJsonText(text, providerName) {
+  if (!text) {
+    throw new Error(`${providerName} returned no content.`);
+  }
+  // Some local models wrap the JSON in a Markdown code fence anyway
+  const unfenced = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/```$/, "");
+  return JSON.parse(unfenced);
+}
+
+// --- GEMINI ---
+
+/**
+ * @param {{apiKey: string, model?: string}} config
+ * @returns {LlmProvider}
+ */
+export function createGeminiProvider({
+  apiKey,
+  model = DEFAULT_MODELS.gemini,
+}) {
+  const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}`;
+  // The key goes in a header: URLs end up in logs and browser history
+  const post = (method, query, body, signal) =>
+    fetchWithRetry(`${baseUrl}:${method}?${query}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+      body: JSON.stringify(body),
+      signal,
+    });
+  const request = (
+    method,
+    query,
+    { systemPrompt, userPrompt, schema, signal }
+  ) =>
+    post(
+      method,
+      query,
+      {
+        contents: [{ parts: [{ text: userPrompt }] }],
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: schema,
+        },
+      },
+      signal
+    );
+  const getText = (result) =>
+    result.candidates?.[0]?.content?.parts?.[0]?.text ?? "";
+  const readStream = async (response, onText) => {
+    let text = "";
+    await readServerSentEvents(response, (data) => {
+      const chunk = getText(JSON.parse(data));
+      if (!chunk) return;
+      text += chunk;
+      onText(text);
+    });
+    return text;
+  };
+
+  return {
+    name: `gemini (${model})`,
+
+    async generateJson(generationRequest) {
+      const response = await request("generateContent", "", generationRequest);
+      const result = await response.json();
+      const text = getText(result);
+      if (!text) {
+        console.error("Gemini API failed to return JSON text:", result);
+      }
+      return parseJsonText(text, "Gemini");
+    },
+
+    async streamJson(generationRequest, onText) {
+      const response = await request(
+        "streamGenerateContent",
+        "alt=sse",
+        generationRequest
+      );
+      const text = await readStream(response, onText);
+      return parseJsonText(text, "Gemini");
+    },
+
+    async streamText({ systemPrompt, messages, signal }, onText) {
+      const response = await post(
+        "streamGenerateContent",
+        "alt=sse",
+        {
+          contents: messages.map(({ role, text }) => ({
+            role: role === "assistant" ? "model" : "user",
+            parts: [{ text }],
+          })),
+          systemInstruction: { parts: [{ text: systemPrompt }] },
+        },
+        signal
+      );
+      const text = await readStream(response, onText);
+      if (!text) throw new Error("Gemini returned no content.");
+      return text;
+    },
+  };
+}
+
+// --- OPENAI-COMPATIBLE ---
+
+/**
+ * Converts Gemini's schema dialect (upper-case types, `propertyOrdering`) to
+ * standard JSON Schema, which OpenAI-compatible servers expect.
+ */
+export function toJsonSchema(schema) {
+  const converted = { type: schema.type.toLowerCase() };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [
+        key,
+        toJsonSchema(value),
+      ])
+    );
+    converted.required = Object.keys(schema.properties);
+    converted.additionalProperties = false;
+  }
+  if (schema.items) converted.items = toJsonSchema(schema.items);
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.minItems !== undefined) converted.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) converted.maxItems = schema.maxItems;
+  return converted;
+}
+
+/**
+ * A chat-completions provider. For Ollama use `http://localhost:11434/v1` as
+ * the base URL; for llama.cpp's server, `http://localhost:8080/v1`. Local servers
+ * usually need no API key.
+ * @param {{baseUrl?: string, apiKey?: string, model?: string}} config
+ * @returns {LlmProvider}
+ */
+export function createOpenAiCompatibleProvider({
+  baseUrl = DEFAULT_OPENAI_BASE_URL,
+  apiKey,
+  model = DEFAULT_MODELS.openai,
+}) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const post = (body, signal) => {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return fetchWithRetry(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model, ...body }),
+      signal,
+    });
+  };
+  const request = ({ systemPrompt, userPrompt, schema, signal }, stream) =>
+    post(
+      {
+        stream,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt },
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: {
+            name: "star_system",
+            schema: toJsonSchema(schema),
+          },
+        },
+      },
+      signal
+    );
+  const readStream = async (response, onText) => {
+    let text = "";
+    await readServerSentEvents(response, (data) => {
+      if (data === "[DONE]") return;
+      const chunk = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (!chunk) return;
+      text += chunk;
+      onText(text);
+    });
+    return text;
+  };
+
+  return {
+    name: `openai (${model} @ ${baseUrl})`,
+
+    async generateJson(generationRequest) {
+      const response = await request(generationRequest, false);
+      const result = await response.json();
+      return parseJsonText(
+        result.choices?.[0]?.message?.content,
+        "The chat-completions server"
+      );
+    },
+
+    async streamJson(generationRequest, onText) {
+      const response = await request(generationRequest, true);
+      const text = await readStream(response, onText);
+      return parseJsonText(text, "The chat-completions server");
+    },
+
+    async streamText({ systemPrompt, messages, signal }, onText) {
+      const response = await post(
+        {
+          stream: true,
+          messages: [
+            { role: "system", content: systemPrompt },
+            ...messages.map(({ role, text }) => ({ role, content: text })),
+          ],
+        },
+        signal
+      );
+      const text = await readStream(response, onText);
+      if (!text) {
+        throw new Error("The chat-completions server returned no content.");
+      }
+      return text;
+    },
+  };
+}
+
+// --- PROXY ---
+
+/**
+ * Generates through the generation proxy (server/index.js), which holds the
+ * model's API key. Every request carries the user's Firebase ID token. A new
+ * star system is sent as its topic and options only (see starSystemPrompt.js),
+ * and follow-up requests such as quiz questions, planet refinements and chat
+ * answers as their task (see ProxyTask); the proxy builds the prompts. Answers
+ * are streamed back as server-sent events with `delta` (more text) or `error`
+ * fields.
+ * @param {{url: string, getIdToken: () => Promise<string | null>}} config
+ * @returns {LlmProvider}
+ */
+export function createProxyProvider({ url, getIdToken }) {
+  const endpoint = url.replace(/\/+$/, "");
+  const post = async (path, body, signal) => {
+    const idToken = await getIdToken();
+    if (!idToken) throw new Error("Sign in to use the generation proxy.");
+    return fetchWithRetry(`${endpoint}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${idToken}`,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  };
+  const readStream = async (response, onText) => {
+    let text = "";
+    await readServerSentEvents(response, (data) => {
+      const event = JSON.parse(data);
+      if (event.error) throw new Error(event.error);
+      if (!event.delta) return;
+      text += event.delta;
+      onText(text);
+    });
+    return text;
+  };
+  const postTask = (task, body, signal) => {
+    if (!task) {
+      throw new Error("This request cannot be sent to the generation proxy.");
+    }
+    return post(`/generate/${task.kind}`, { ...task.input, ...body }, signal);
+  };
+  const requestJson = async (request, onText) => {
+    // Star system requests are the ones with a topic
+    const { topic, options, context, variantOfPlanets, task, signal } = request;
+    const response = topic
+      ? await post(
+          "/generate/star-system",
+          { topic, options, context, variantOfPlanets },
+          signal
+        )
+      : await postTask(task, {}, signal);
+    const text = await readStream(response, onText);
+    return parseJsonText(text, "The generation proxy");
+  };
+
+  return {
+    name: `proxy (${endpoint})`,
+
+    generateJson(generationRequest) {
+      return requestJson(generationRequest, () => {});
+    },
+
+    streamJson: requestJson,
+
+    async streamText({ messages, task, signal }, onText) {
+      const response = await postTask(task, { messages }, signal);
+      const text = await readStream(response, onText);
+      if (!text) throw new Error("The generation proxy returned no content.");
+      return text;
+    },
+  };
+}
+
+// --- FIXTURE ---
+
+/**
+ * Returns the sample star system for the requested topic and options, and a
+ * canned answer to chat questions, without any network access. The same request
+ * always gives the same result.
+ * @param {{chunkDelayMs?: number, badResponse?: string}} [config]
+ *   `chunkDelayMs` pauses between streamed chunks, so progressive rendering can
+ *   be seen locally; tests can set it to 0. `badResponse` names one of the
+ *   BAD_STAR_SYSTEM_RESPONSES to return instead of the sample system.
+ * @returns {LlmProvider}
+ */
+export function createFixtureProvider({ chunkDelayMs = 20, badResponse } = {}) {
+  const CHUNK_LENGTH = 40;
+  if (badResponse && !BAD_STAR_SYSTEM_RESPONSES[badResponse]) {
+    throw new Error(`Unknown bad response fixture: "${badResponse}".`);
+  }
+  const respond = (topic, options) =>
+    badResponse
+      ? structuredClone(BAD_STAR_SYSTEM_RESPONSES[badResponse].response)
+      : createMockGalaxyData(topic, options);
+  const streamChunks = async (text, onText, signal) => {
+    for (let end = CHUNK_LENGTH; ; end += CHUNK_LENGTH) {
+      await wait(chunkDelayMs, signal);
+      onText(text.slice(0, end));
+      if (end >= text.length) return;
+    }
+  };
+
+  return {
+    name: badResponse ? `fixture (${badResponse})` : "fixture",
+
+    async generateJson({ topic, options, fixtureResponse, signal }) {
+      signal?.throwIfAborted();
+      if (fixtureResponse) return structuredClone(fixtureResponse);
+      return respond(topic, options);
+    },
+
+    async streamJson({ topic, options, fixtureResponse, signal }, onText) {
+      const data = fixtureResponse
+        ? structuredClone(fixtureResponse)
+        : respond(topic, options);
+      await streamChunks(JSON.stringify(data), onText, signal);
+      return data;
+    },
+
+    async streamText({ messages }, onText) {
+      const question = messages[messages.length - 1].text;
+      const text = `This is a sample answer to "${question}". With a configured model, the answer would build on the planets and moons of this system and go into more detail.`;
+      await streamChunks(text, onText);
+      return text;
+    },
+  };
+}
+
+/**
+ * Picks the provider from configuration (Vite env variables):
+ * - VITE_LLM_PROVIDER: "gemini", "openai", "proxy" or "fixture". Defaults to
+ *   "proxy" when a proxy URL is set, "gemini" when a Gemini key is set,
+ *   otherwise "fixture".
+ * - VITE_LLM_PROXY_URL: where the generation proxy runs, for "proxy".
+ * - VITE_LLM_MODEL: the model name; each provider has a default.
+ * - VITE_LLM_BASE_URL: the server for the "openai" provider.
+ * - VITE_LLM_API_KEY: the API key (VITE_GEMINI_API_KEY also works for Gemini).
+ * - VITE_LLM_FIXTURE: for the "fixture" provider, the name of a bad response
+ *   from starSystemFixtures.js to return, to try out validation and repair.
+ * @param {Record<string, string | undefined>} env
+ * @param {object} [config]
+ * @param {() => Promise<string | null>} [config.getIdToken] How the "proxy"
+ *   provider gets the signed-in user's Firebase ID token.
+ * @param {boolean} [config.requireModel] Throw instead of falling back to the
+ *   fixture provider when no model is configured; "fixture" must then be
+ *   chosen explicitly with VITE_LLM_PROVIDER.
+ * @returns {LlmProvider}
+ */
+export function createLlmProvider(env, { getIdToken, requireModel } = {}) {
+  if (
+    requireModel &&
+    !env.VITE_LLM_PROVIDER &&
+    !env.VITE_LLM_PROXY_URL &&
+    !env.VITE_GEMINI_API_KEY
+  ) {
+    throw new Error(
+      "No model is configured. Set VITE_LLM_PROXY_URL to the generation proxy."
+    );
+  }
+  const provider =
+    env.VITE_LLM_PROVIDER ||
+    (env.VITE_LLM_PROXY_URL
+      ? "proxy"
+      : env.VITE_GEMINI_API_KEY
+      ? "gemini"
+      : "fixture");
+  const model = env.VITE_LLM_MODEL || undefined;
+
+  if (provider === "gemini") {
+    const apiKey = env.VITE_LLM_API_KEY || env.VITE_GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error("The Gemini provider needs VITE_LLM_API_KEY.");
+    }
+    return createGeminiProvider({ apiKey, model });
+  }
+  if (provider === "openai") {
+    return createOpenAiCompatibleProvider({
+      baseUrl: env.VITE_LLM_BASE_URL || undefined,
+      apiKey: env.VITE_LLM_API_KEY,
+      model,
+    });
+  }
+  if (provider === "proxy") {
+    if (!env.VITE_LLM_PROXY_URL || !getIdToken) {
+      throw new Error("The proxy provider needs VITE_LLM_PROXY_URL.");
+    }
+    return createProxyProvider({ url: env.VITE_LLM_PROXY_URL, getIdToken });
+  }
+  if (provider === "fixture") {
+    return createFixtureProvider({
+      badResponse: env.VITE_LLM_FIXTURE || undefined,
+    });
+  }
+  throw new Error(`Unknown LLM provider: "${provider}".`);
+}
+
+// --- FIXTURE DATA ---
+
+/**
+ * The built-in sample star system, shaped by the generation options. Used by the
+ * fixture provider and to seed an empty local galaxy.
+ * @param {string} topic
+ * @param {typeof DEFAULT_GENERATION_OPTIONS} [options]
+ */
+export function createMockGalaxyData(
+  topic,
+  options = DEFAULT_GENERATION_OPTIONS
+) {
+  return fitMockDataToOptions(options, {
+    star: {
+      name: topic,
+      description: `This star represents the core concept of **${topic}**. It is the central element of this knowledge system. Click on its planets (sub-topics) and moons (details) for more info.`,
+      scale: 2,
+      references: [
+        {
+          title: `${topic} on Wikipedia`,
+          url: `https://en.wikipedia.org/wiki/Special:Search?search=${encodeURIComponent(
+            topic
+          )}`,
+          type: "article",
+        },
+      ],
+    },
+    planets: [
+      {
+        name: "Fundamental Concepts",
+        description:
+          "This planet covers the **basic building blocks and principles** necessary to understand the main topic. It's the foundation of your learning journey.",
+        scale: 1,
+        moons: [
+          {
+            name: "First Principle",
+            description:
+              "Detail of the first fundamental concept: how X works.",
+            scale: 0.3,
+            orbitRadius: 5,
+          },
+          {
+            name: "Key Vocabulary",
+            description:
+              "Detail of the second fundamental concept: important terms and definitions.",
+            scale: 0.3,
+            orbitRadius: 8,
+          },
+        ],
+      },
+      {
+        name: "Advanced Applications",
+        description:
+          "This planet explores how the core topic is **applied in real-world scenarios** and specialized fields, showing its practical value.",
+        scale: 1.2,
+        moons: [
+          {
+            name: "Case Study Alpha",
+            description:
+              "A specific case study or implementation detail in industry Z.",
+            scale: 0.4,
+            orbitRadius: 6,
+          },
+          {
+            name: "Future Trends",
+            description:
+              "Future trends and theoretical applications of this knowledge.",
+            scale: 0.4,
+            orbitRadius: 10,
+          },
+        ],
+      },
+      {
+        name: "Historical Context",
+        description:
+          "This planet maps the **origins, key discoveries, and evolution** of the topic over time, giving you perspective.",
+        scale: 0.8,
+        moons: [
+          {
+            name: "Foundational Paper",
+            description:
+              "The initial foundational paper or inventor who kickstarted this field.",
+            scale: 0.2,
+            orbitRadius: 4,
+          },
+        ],
+      },
+    ],
+  });
+}
+
+/**
+ * Trims or repeats the mock planets and moons to match the requested counts,
+ * so the generation options can be tried out without an API key.
+ */
+function fitMockDataToOptions({ planetCount, minMoons, maxMoons }, data) {
+  const templates = data.planets;
+  data.planets = Array.from({ length: planetCount }, (_, index) => {
+    const planet = structuredClone(templates[index % templates.length]);
+    const round = Math.floor(index / templates.length);
+    if (round > 0) planet.name += ` ${round + 1}`;
+    planet.moons = planet.moons.slice(0, maxMoons);
+    while (planet.moons.length < minMoons) {
+      planet.moons.push({
+        name: `Detail ${planet.moons.length + 1}`,
+        description: `A further detail of ${planet.name}.`,
+        scale: 0.3,
+        orbitRadius: 4 + planet.moons.length * 2,
+      });
+    }
+    return planet;
+  });
+  return data;
+}
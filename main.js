@@ -14,25 +14,138 @@ import {
   onAuthStateChanged,
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
 import {
-  getFirestore,
-  collection,
-  onSnapshot,
-  addDoc,
-  serverTimestamp,
-  query,
-  doc,
-  deleteDoc,
-} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+  signInWithGoogle,
+  sendEmailSignInLink,
+  hasPendingEmailSignIn,
+  completeEmailLinkSignIn,
+  signOutUser,
+  describeAccount,
+} from "./accountAuth.js";
 
 // REFACTOR: Import the initialized Firebase services and the public appId from the new config file.
-import { db, auth, appId } from "./firebaseConfig.js";
+import { db, auth, appId, connectAsUser } from "./firebaseConfig.js";
+import {
+  createFirestoreGalaxyRepository,
+  createLocalGalaxyRepository,
+  createReadOnlyGalaxyRepository,
+  createSharedGalaxyRepository,
+} from "./galaxyRepository.js";
+import {
+  GALAXY_ROLES,
+  canEditGalaxy,
+  createSharedGalaxy,
+  subscribeToMemberGalaxies,
+  joinSharedGalaxy,
+  setMemberRole,
+  removeMember,
+  getInviteUrl,
+  getInvitedGalaxyIdFromUrl,
+  createPresence,
+} from "./sharedGalaxies.js";
+import {
+  createShare,
+  getShareUrl,
+  getSharedIdFromUrl,
+  createFirestoreShareStore,
+  createLocalShareStore,
+} from "./galaxySharing.js";
+import {
+  createGalaxyExport,
+  parseGalaxyExport,
+  orderForImport,
+  normalizeTopic,
+} from "./galaxyTransfer.js";
+import { OUTLINE_FORMATS, exportOutline } from "./outlineExport.js";
+import {
+  createLlmProvider,
+  createFixtureProvider,
+  createMockGalaxyData,
+  isRateLimitError,
+} from "./llmProviders.js";
+import { normalizeGenerationOptions } from "./generationOptions.js";
+import { readPartialStarSystem } from "./partialJson.js";
+import { createNotifications } from "./notifications.js";
+import {
+  askAboutBody,
+  getPlanetIndexForAnswer,
+  createMoonFromAnswer,
+  suggestMoonName,
+} from "./starChat.js";
+import {
+  REVIEW_GRADES,
+  scheduleReview,
+  isDueToday,
+} from "./spacedRepetition.js";
+import {
+  buildStudyCards,
+  buildDescriptionQuestion,
+  generateQuizQuestions,
+  getCardId,
+} from "./studyCards.js";
+import {
+  MASTERY_APPEARANCE,
+  getMasteryAfterReview,
+  getMasteryProgress,
+} from "./mastery.js";
+import {
+  createFirestoreReviewStore,
+  createLocalReviewStore,
+} from "./reviewStore.js";
+import { makeUniqueName, validateStarSystem } from "./starSystemSchema.js";
+import { createCachedProvider } from "./generationCache.js";
+import { buildStarSystemRequest } from "./starSystemPrompt.js";
+import { REFERENCE_TYPES, addUserReference } from "./bodyReferences.js";
+import {
+  QUEUE_STATUSES,
+  createTopicQueue,
+  parseTopicList,
+} from "./topicQueue.js";
+import {
+  REFINEMENT_ACTIONS,
+  applyRefinement,
+  mergeRefinement,
+  buildRefinementRequest,
+  canRefine,
+} from "./planetRefinement.js";
+import {
+  calculateSemanticLayout,
+  findSemanticNeighborPosition,
+} from "./galaxyLayout.js";
 
 // --- GLOBAL VARIABLES & CONFIGURATION ---
 let camera, scene, renderer, controls, composer;
 let userId;
+// Where star systems are stored: Firestore when deployed, the browser in mock mode
+let galaxyRepository = null;
+// Stops listening to the current user's galaxy when another account signs in
+let unsubscribeGalaxy = null;
+const LOCAL_USER_ID_STORAGE_KEY = "yoursol-local-user-id";
+// Set when the app was opened from a share link; the galaxy is then read-only
+const sharedGalaxyId = getSharedIdFromUrl();
+// The galaxy being shown: the user's own (null) or a shared galaxy's ID
+const ACTIVE_GALAXY_STORAGE_KEY = "yoursol-active-galaxy";
+let activeGalaxyId = localStorage.getItem(ACTIVE_GALAXY_STORAGE_KEY);
+// The user's role in the active galaxy; only owners and editors may change it
+let activeGalaxyRole = "owner";
+// Shared galaxies the user is a member of, kept up to date by a subscription
+let memberGalaxies = [];
+let unsubscribeMemberGalaxies = null;
+// Who else is looking at which system of the active shared galaxy
+let presence = null;
+let unsubscribePresence = null;
+let presenceViewers = [];
+const presenceMarkers = [];
 const celestialObjects = new Map();
 const starPositions = new Map();
 const STAR_SPACING = 750;
+const GRID_WIDTH = 5;
+// Use slightly more space than the base constant to prevent overlap
+const GRID_SPACING = STAR_SPACING * 1.5;
+// "grid" places systems in creation order, "semantic" clusters related topics
+const LAYOUT_MODE_STORAGE_KEY = "yoursol-layout-mode";
+// The sidebar's generation options, remembered between visits
+const GENERATION_OPTIONS_STORAGE_KEY = "yoursol-generation-options";
+let layoutMode = localStorage.getItem(LAYOUT_MODE_STORAGE_KEY) || "grid";
 let targetPosition = new THREE.Vector3();
 let targetLookAt = new THREE.Vector3();
 const raycaster = new THREE.Raycaster();
@@ -41,6 +154,28 @@ const mouseDownPosition = new THREE.Vector2();
 let starIdToFlash = null;
 let isInitialLoad = true;
 let selectedStarId = null;
+// The body currently shown in the info panel (used by the edit form)
+let currentInfoData = null;
+// "Ask the star" conversations, by body (see getChatKey); kept for the session only
+const chatConversations = new Map();
+// The signed-in user's flashcard schedule; there is none in a share link
+let reviewStore = null;
+let reviewStates = new Map();
+// Mastery levels by card ID (see mastery.js); bodies without one are unexplored
+let masteryByCard = new Map();
+// The open study session, or null (see openStudySession)
+let studySession = null;
+// Docs whose edits were already applied to the scene; their next snapshot skips the rebuild
+const locallyEditedIds = new Set();
+// Systems shown while their generation is still streaming in; they are not saved yet
+const streamingPreviewIds = new Set();
+// Systems with a planet being regenerated or extended (see refinePlanet)
+const refiningSystemIds = new Set();
+// Soft-deleted systems (docs with a `deletedAt`), shown in the trash instead of the galaxy
+const trashedSystems = new Map();
+const purgingIds = new Set();
+const TRASH_RETENTION_STORAGE_KEY = "yoursol-trash-retention-days";
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
 
 // Visual/Glow Constants
 const ENTIRE_SCENE = 0,
@@ -49,29 +184,162 @@ const bloomLayer = new THREE.Layers();
 bloomLayer.set(BLOOM_LAYER);
 // White, Yellow, Blue, Red
 const STAR_COLORS = [0xffffff, 0xffff00, 0x00bfff, 0xff4500];
+// Mesh radius per unit of `scale` and sphere segments for each body type
+const BODY_RADIUS_FACTORS = { star: 30, planet: 15, moon: 10 };
+const BODY_SEGMENTS = { star: 32, planet: 32, moon: 16 };
 
 // --- UI ELEMENTS ---
 const topicInput = document.getElementById("topic-input");
 const generateBtn = document.getElementById("generate-btn");
+const queueInput = document.getElementById("queue-input");
+const queueAddBtn = document.getElementById("queue-add-btn");
+const queueFileBtn = document.getElementById("queue-file-btn");
+const queueFileInput = document.getElementById("queue-file-input");
+const queueStatus = document.getElementById("queue-status");
+const queueList = document.getElementById("queue-list");
+const queueClearBtn = document.getElementById("queue-clear-btn");
 const loadingIndicator = document.getElementById("loading-indicator");
 const starList = document.getElementById("star-list");
 const starSearch = document.getElementById("star-search");
+const relayoutBtn = document.getElementById("relayout-btn");
+const layoutModeSelect = document.getElementById("layout-mode-select");
 const infoTitle = document.getElementById("info-title");
 const infoDescription = document.getElementById("info-description");
-const userIdDisplay = document.getElementById("user-id-display");
+const accountDisplay = document.getElementById("account-display");
+const signInOptions = document.getElementById("sign-in-options");
+const googleSignInBtn = document.getElementById("google-sign-in-btn");
+const emailSignInForm = document.getElementById("email-sign-in-form");
+const emailSignInInput = document.getElementById("email-sign-in-input");
+const signOutBtn = document.getElementById("sign-out-btn");
 const canvasContainer = document.getElementById("canvas-container");
 const tooltip = document.getElementById("tooltip");
 const deleteStarBtn = document.getElementById("delete-star-btn");
 const systemNavigator = document.getElementById("system-navigator");
 const navigatorStarName = document.getElementById("navigator-star-name");
 const navigatorList = document.getElementById("navigator-celestial-list");
+const editBodyBtn = document.getElementById("edit-body-btn");
+const editBodyForm = document.getElementById("edit-body-form");
+const editNameInput = document.getElementById("edit-name-input");
+const editDescriptionInput = document.getElementById("edit-description-input");
+const editScaleInput = document.getElementById("edit-scale-input");
+const editCancelBtn = document.getElementById("edit-cancel-btn");
+const expandBodyBtn = document.getElementById("expand-body-btn");
+const exportGalaxyBtn = document.getElementById("export-galaxy-btn");
+const importGalaxyBtn = document.getElementById("import-galaxy-btn");
+const importGalaxyInput = document.getElementById("import-galaxy-input");
+const importPreview = document.getElementById("import-preview");
+const importPreviewList = document.getElementById("import-preview-list");
+const importConfirmBtn = document.getElementById("import-confirm-btn");
+const importCancelBtn = document.getElementById("import-cancel-btn");
+const exportSystemSelect = document.getElementById("export-system-select");
+const exportGalaxyOutlineSelect = document.getElementById(
+  "export-galaxy-outline-select"
+);
+const trashToggleBtn = document.getElementById("trash-toggle-btn");
+const trashToggleIcon = document.getElementById("trash-toggle-icon");
+const trashCount = document.getElementById("trash-count");
+const trashPanel = document.getElementById("trash-panel");
+const trashList = document.getElementById("trash-list");
+const trashRetentionSelect = document.getElementById("trash-retention-select");
+const emptyTrashBtn = document.getElementById("empty-trash-btn");
+const toastContainer = document.getElementById("toast-container");
+const { showToast, showError, confirmAction, chooseAction, askForText } =
+  createNotifications(toastContainer);
+const shareGalaxyBtn = document.getElementById("share-galaxy-btn");
+const shareSystemBtn = document.getElementById("share-system-btn");
+const shareContainer = document.getElementById("share-container");
+const shareList = document.getElementById("share-list");
+const viewOnlyBanner = document.getElementById("view-only-banner");
+const starListTitle = document.getElementById("star-list-title");
+const userInfo = document.getElementById("user-info");
+const galaxySwitcher = document.getElementById("galaxy-switcher");
+const galaxySelect = document.getElementById("galaxy-select");
+const newSharedGalaxyBtn = document.getElementById("new-shared-galaxy-btn");
+const galaxyMembers = document.getElementById("galaxy-members");
+const galaxyMemberList = document.getElementById("galaxy-member-list");
+const copyInviteBtn = document.getElementById("copy-invite-btn");
+const moveSystemSelect = document.getElementById("move-system-select");
+const generationOptionsForm = document.getElementById("generation-options");
+const genPlanetCountInput = document.getElementById("gen-planet-count");
+const genMinMoonsInput = document.getElementById("gen-min-moons");
+const genMaxMoonsInput = document.getElementById("gen-max-moons");
+const genAudienceSelect = document.getElementById("gen-audience");
+const genToneSelect = document.getElementById("gen-tone");
+const genLanguageInput = document.getElementById("gen-language");
+const chatPanel = document.getElementById("chat-panel");
+const referencesPanel = document.getElementById("references-panel");
+const referencesList = document.getElementById("references-list");
+const referenceForm = document.getElementById("reference-form");
+const referenceTitleInput = document.getElementById("reference-title-input");
+const referenceUrlInput = document.getElementById("reference-url-input");
+const referenceTypeSelect = document.getElementById("reference-type-select");
+const chatMessages = document.getElementById("chat-messages");
+const chatPlanetLabel = document.getElementById("chat-planet-label");
+const chatPlanetSelect = document.getElementById("chat-planet-select");
+const chatForm = document.getElementById("chat-form");
+const chatInput = document.getElementById("chat-input");
+const studySystemBtn = document.getElementById("study-system-btn");
+const masterySelect = document.getElementById("mastery-select");
+const dueContainer = document.getElementById("due-container");
+const dueCount = document.getElementById("due-count");
+const dueList = document.getElementById("due-list");
+const reviewDueBtn = document.getElementById("review-due-btn");
+const studyOverlay = document.getElementById("study-overlay");
+const studyTitle = document.getElementById("study-title");
+const studyModeSelect = document.getElementById("study-mode-select");
+const studyCloseBtn = document.getElementById("study-close-btn");
+const studyProgress = document.getElementById("study-progress");
+const studyCard = document.getElementById("study-card");
+const studyActions = document.getElementById("study-actions");
 
 // --- FIREBASE INITIALIZATION & CONFIGURATION HANDLING ---
 
-// REFACTOR: The logic for handling mock mode is preserved, but it now checks for the SECRET
-// Gemini key. This is a more reliable way to determine if the app is running in a "real"
-// environment with all secrets loaded.
-const isDeployed = !!import.meta.env.VITE_GEMINI_API_KEY;
+// Deployed mode stores galaxies in Firebase; mock mode keeps them in the browser.
+// VITE_APP_MODE ("deployed" or "mock") chooses explicitly; otherwise production
+// builds are deployed and the dev server runs in mock mode. Which model generates
+// systems is configured separately (see llmProviders.js).
+const isDeployed = import.meta.env.VITE_APP_MODE
+  ? import.meta.env.VITE_APP_MODE === "deployed"
+  : import.meta.env.PROD;
+let llmProvider;
+try {
+  llmProvider = createLlmProvider(import.meta.env, {
+    getIdToken: async () =>
+      auth?.currentUser ? auth.currentUser.getIdToken() : null,
+    // Sample data must never be saved as if a model had written it
+    requireModel: isDeployed,
+  });
+} catch (error) {
+  if (isDeployed) {
+    console.error(error.message);
+    const fail = async () => {
+      throw error;
+    };
+    llmProvider = {
+      name: "unconfigured",
+      generateJson: fail,
+      streamJson: fail,
+      streamText: fail,
+    };
+  } else {
+    console.error(`${error.message} Using sample data instead.`);
+    llmProvider = createFixtureProvider();
+  }
+}
+// VITE_LLM_CACHE ("on" or "off") answers repeated star system requests from the
+// browser; it is on by default in mock mode, where the same topics are tried often
+if (
+  import.meta.env.VITE_LLM_CACHE
+    ? import.meta.env.VITE_LLM_CACHE === "on"
+    : !isDeployed
+) {
+  llmProvider = createCachedProvider(llmProvider, localStorage);
+}
+console.log(`Generating star systems with the ${llmProvider.name} provider.`);
+// Published share links live in Firestore when deployed, in the browser in mock mode
+const shareStore = isDeployed
+  ? createFirestoreShareStore(db, appId)
+  : createLocalShareStore();
 
 if (isDeployed) {
   // --- REAL/DEPLOYED MODE ---
@@ -83,9 +351,8 @@ if (isDeployed) {
   generateBtn.disabled = true;
 } else {
   // --- MOCK/LOCAL MODE ---
-  // If the secret Gemini key is missing, this block will run.
-  console.warn("VITE_GEMINI_API_KEY not found. Running in MOCK mode.");
-  userIdDisplay.textContent = "Local Mock";
+  console.warn("Running in MOCK mode. Galaxies are stored in this browser.");
+  accountDisplay.textContent = "Local Mock";
   // For local testing, enable the generate button immediately.
   generateBtn.disabled = false;
 }
@@ -173,6 +440,7 @@ function animate() {
 
   // Update controls (essential for damping)
   controls.update();
+  const time = performance.now() / 1000;
 
   // Animate star systems (rotation, etc.)
   celestialObjects.forEach(({ systemGroup }) => {
@@ -187,6 +455,13 @@ function animate() {
           obj.rotation.y += 0.01;
         }
 
+        // Mastered bodies pulse gently around their glow (see applyMasteryAppearance)
+        if (obj.material?.userData.mastery === "mastered") {
+          obj.material.emissiveIntensity =
+            obj.material.userData.emissiveIntensity *
+            (1 + 0.2 * Math.sin(time * 2 + obj.id));
+        }
+
         // Rotate the MoonOrbitGroup around the planet (making moons orbit slower)
         if (obj.name === "MoonOrbitGroup") {
           // Rotates using the custom orbitSpeed set in createStarSystem
@@ -375,18 +650,24 @@ function clearScene() {
   starPositions.clear();
 }
 
+/**
+ * Returns the center of a grid cell, before any jitter is applied.
+ */
+function getGridCellCenter(index) {
+  const x = ((index % GRID_WIDTH) - Math.floor(GRID_WIDTH / 2)) * GRID_SPACING;
+  const z =
+    (Math.floor(index / GRID_WIDTH) - Math.floor(GRID_WIDTH / 2)) *
+    GRID_SPACING;
+  return { x, z };
+}
+
 /**
  * Calculates a star's position using a grid pattern with significant random jitter
- * to break the straight-line appearance.
+ * to break the straight-line appearance. Positions are only calculated when a
+ * system is created (or the galaxy is re-laid out) and are then stored with the star.
  */
 function calculateStarPosition(index) {
-  const gridWidth = 5;
-  // Use slightly more space than the base constant to prevent overlap
-  const baseSpacing = STAR_SPACING * 1.5;
-
-  const x = ((index % gridWidth) - Math.floor(gridWidth / 2)) * baseSpacing;
-  const z =
-    (Math.floor(index / gridWidth) - Math.floor(gridWidth / 2)) * baseSpacing;
+  const { x, z } = getGridCellCenter(index);
 
   // Small vertical offset
   const y = (Math.random() - 0.5) * 200;
@@ -399,6 +680,126 @@ function calculateStarPosition(index) {
   return new THREE.Vector3(finalX, y, finalZ);
 }
 
+/**
+ * Finds the first grid cell that no existing system occupies.
+ * @param {Iterable<THREE.Vector3>} occupied Positions of the existing systems.
+ */
+function findFreeGridIndex(occupied) {
+  const positions = [...occupied];
+  for (let index = 0; ; index++) {
+    const { x, z } = getGridCellCenter(index);
+    const taken = positions.some(
+      (p) =>
+        Math.abs(p.x - x) < GRID_SPACING / 2 &&
+        Math.abs(p.z - z) < GRID_SPACING / 2
+    );
+    if (!taken) return index;
+  }
+}
+
+/**
+ * Calculates the position for a system that does not have one yet: next to its
+ * parent if it was expanded from another system, otherwise in a free grid cell.
+ * @param {object} data The star system data.
+ * @param {Map<string, THREE.Vector3>} positions Positions of the existing systems.
+ * @param {number} siblingCount Systems already expanded from the same parent.
+ */
+function calculateNewSystemPosition(data, positions, siblingCount) {
+  const parentPosition = data.parent && positions.get(data.parent.docId);
+  if (parentPosition) {
+    return calculateChildStarPosition(parentPosition, siblingCount);
+  }
+  return calculateStarPosition(findFreeGridIndex(positions.values()));
+}
+
+/**
+ * Converts a THREE.Vector3 into the plain `{ x, y, z }` object stored in Firestore.
+ */
+function toStoredPosition(vector) {
+  return {
+    x: Math.round(vector.x),
+    y: Math.round(vector.y),
+    z: Math.round(vector.z),
+  };
+}
+
+function fromStoredPosition(position) {
+  return new THREE.Vector3(position.x, position.y, position.z);
+}
+
+/**
+ * Places a system expanded from a planet or moon close to its parent system.
+ * Children fan out around and above the parent so they stay clear of the grid.
+ * @param {THREE.Vector3} parentPosition The parent system's position.
+ * @param {number} childIndex How many systems were already expanded from this parent.
+ */
+function calculateChildStarPosition(parentPosition, childIndex) {
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const angle = childIndex * goldenAngle;
+  const radius = STAR_SPACING * 0.4;
+  return new THREE.Vector3(
+    parentPosition.x + radius * Math.cos(angle),
+    parentPosition.y + STAR_SPACING * 0.8,
+    parentPosition.z + radius * Math.sin(angle)
+  );
+}
+
+/**
+ * Calculates fresh positions for a full set of star documents (used by "re-layout").
+ * Top-level systems use the grid, or the semantic layout when that mode is selected;
+ * expanded systems are placed next to their parent.
+ * @param {Array<{id: string, data: object}>} systems
+ * @returns {Map<string, THREE.Vector3>}
+ */
+function calculateSystemPositions(systems) {
+  const positions = new Map();
+  const ids = new Set(systems.map((s) => s.id));
+  const childCounts = new Map();
+  const isChild = (s) => s.data.parent && ids.has(s.data.parent.docId);
+
+  const roots = systems.filter((s) => !isChild(s));
+  if (layoutMode === "semantic") {
+    calculateSemanticLayout(roots, {
+      spacing: GRID_SPACING,
+      minDistance: STAR_SPACING,
+    }).forEach((position, id) =>
+      positions.set(id, fromStoredPosition(position))
+    );
+  } else {
+    roots.forEach((s, index) =>
+      positions.set(s.id, calculateStarPosition(index))
+    );
+  }
+
+  // Resolve children level by level, so grandchildren follow their own parent
+  let pending = systems.filter(isChild);
+  while (pending.length > 0) {
+    const remaining = pending.filter(
+      (s) => !positions.has(s.data.parent.docId)
+    );
+    if (remaining.length === pending.length) {
+      // Broken parent chain (e.g. a cycle): fall back to the grid
+      remaining.forEach((s) =>
+        positions.set(s.id, calculateStarPosition(positions.size))
+      );
+      break;
+    }
+    pending
+      .filter((s) => positions.has(s.data.parent.docId))
+      .forEach((s) => {
+        const parentId = s.data.parent.docId;
+        const childIndex = childCounts.get(parentId) || 0;
+        childCounts.set(parentId, childIndex + 1);
+        positions.set(
+          s.id,
+          calculateChildStarPosition(positions.get(parentId), childIndex)
+        );
+      });
+    pending = remaining;
+  }
+  return positions;
+}
+
 function getRandomColor() {
   const color = new THREE.Color();
   color.setRGB(Math.random(), Math.random(), Math.random());
@@ -427,7 +828,11 @@ function createStarSystem(data, docId, position, shouldFlash = false) {
   systemGroup.add(starLight);
 
   // Star Mesh: UPDATED: Enlarged by 2x (12 -> 24)
-  const starGeo = new THREE.SphereGeometry(data.star.scale * 30, 32, 32);
+  const starGeo = new THREE.SphereGeometry(
+    data.star.scale * BODY_RADIUS_FACTORS.star,
+    BODY_SEGMENTS.star,
+    BODY_SEGMENTS.star
+  );
   const starMat = new THREE.MeshLambertMaterial({
     color: starColorHex,
     emissive: starColorHex,
@@ -446,7 +851,7 @@ function createStarSystem(data, docId, position, shouldFlash = false) {
 
   // Planets
   let orbitRadius = 160;
-  data.planets.forEach((planetData) => {
+  data.planets.forEach((planetData, planetIndex) => {
     // Group for the planet and its moons to handle rotation/orbit
     const planetOrbitGroup = new THREE.Group();
     // Give the planet group a random initial rotation to vary orbits
@@ -473,20 +878,25 @@ function createStarSystem(data, docId, position, shouldFlash = false) {
     systemGroup.add(orbitLine);
 
     const planetColorHex = planetData.color || getRandomColor();
-    const planetRadius = planetData.scale * 15;
-    const planetGeo = new THREE.SphereGeometry(planetRadius, 32, 32);
+    const planetRadius = planetData.scale * BODY_RADIUS_FACTORS.planet;
+    const planetGeo = new THREE.SphereGeometry(
+      planetRadius,
+      BODY_SEGMENTS.planet,
+      BODY_SEGMENTS.planet
+    );
     const planetMat = new THREE.MeshLambertMaterial({
       color: planetColorHex,
       emissive: planetColorHex,
       emissiveIntensity: 0.8,
     });
     const planet = new THREE.Mesh(planetGeo, planetMat);
-    // Added parentStarName for tooltip
+    // Added parentStarName for tooltip, planetIndex to locate the body in the doc when editing
     planet.userData = {
       type: "planet",
       docId,
       ...planetData,
       parentStarName: data.star.name,
+      planetIndex,
     };
     planet.name = planetData.name;
 
@@ -509,7 +919,11 @@ function createStarSystem(data, docId, position, shouldFlash = false) {
       planet.add(moonOrbitGroup); // This group is a child of the planet
 
       // UPDATED: Moons cut in half (24 -> 12)
-      const moonGeo = new THREE.SphereGeometry(moonData.scale * 10, 16, 16);
+      const moonGeo = new THREE.SphereGeometry(
+        moonData.scale * BODY_RADIUS_FACTORS.moon,
+        BODY_SEGMENTS.moon,
+        BODY_SEGMENTS.moon
+      );
       const moonColorHex = 0xcccccc;
       const moonMat = new THREE.MeshLambertMaterial({
         color: moonColorHex,
@@ -524,6 +938,8 @@ function createStarSystem(data, docId, position, shouldFlash = false) {
         ...moonData,
         parentPlanetName: planetData.name,
         parentStarName: data.star.name,
+        planetIndex,
+        moonIndex: index,
       };
       moon.name = moonData.name;
 
@@ -552,593 +968,3633 @@ function createStarSystem(data, docId, position, shouldFlash = false) {
 
   celestialObjects.set(docId, { systemGroup, light: starLight, clickable });
   starPositions.set(docId, position);
+  applySystemMastery(docId);
 }
 
 // --- NAVIGATION, INTERACTION, & AUTH ---
 
 async function handleAuthentication() {
   if (!isDeployed) {
-    userId = crypto.randomUUID();
-    userIdDisplay.textContent = `${userId.substring(0, 8)} (Mock)`;
-    renderInitialMockGalaxy();
+    userId = getLocalUserId();
+    accountDisplay.textContent = `${userId.substring(0, 8)} (Mock)`;
+    galaxyRepository = createLocalGalaxyRepository(userId);
+    loadReviews(createLocalReviewStore(userId));
+    // Seed the demo system only the first time; after that the saved galaxy loads
+    if ((await galaxyRepository.list()).length === 0) {
+      await renderInitialMockGalaxy();
+    }
+    await loadUserGalaxy();
     return;
   }
 
   onAuthStateChanged(auth, async (user) => {
-    if (user) {
-      userId = user.uid;
-      userIdDisplay.textContent = userId;
-      generateBtn.disabled = false;
-      await loadUserGalaxy();
-    } else {
-      try {
-        await signInAnonymously(auth);
-      } catch (error) {
-        console.error("Authentication failed:", error);
-        userIdDisplay.textContent = "Auth Error";
-      }
+    if (!user) {
+      // Signed out; a fresh anonymous session follows (see handleSignOut)
+      generateBtn.disabled = true;
+      accountDisplay.textContent = "Signed out";
+      return;
+    }
+    updateAccountDisplay(user);
+    // Linking an anonymous account keeps its UID, so its galaxy is already loaded
+    if (user.uid === userId) return;
+
+    userId = user.uid;
+    generateBtn.disabled = false;
+    loadReviews(createFirestoreReviewStore(db, appId, userId));
+    galaxySwitcher.classList.remove("hidden");
+    const invitedGalaxyId = getInvitedGalaxyIdFromUrl();
+    if (invitedGalaxyId) {
+      await acceptGalaxyInvite(user, invitedGalaxyId);
     }
+    watchMemberGalaxies();
   });
-}
-
-function renderInitialMockGalaxy() {
-  const topic = "Dual-Mode Architecture (Mock)";
-  const generatedData = createMockGalaxyData(topic);
-  const tempId = crypto.randomUUID();
-  const starPosition = calculateStarPosition(0);
 
-  // Pass true to flash the initial star in mock mode
-  createStarSystem(generatedData, tempId, starPosition, true);
-  addStarToList(generatedData, tempId);
-  navigateToStar(tempId, false);
+  try {
+    await auth.authStateReady();
+    if (hasPendingEmailSignIn(auth)) {
+      await completePendingEmailSignIn();
+    }
+    // Everyone starts with an anonymous account that can be upgraded later
+    if (!auth.currentUser) {
+      await signInAnonymously(auth);
+    }
+  } catch (error) {
+    console.error("Authentication failed:", error);
+    accountDisplay.textContent = "Auth Error";
+  }
 }
 
-function setEmptyGalaxyState() {
-  // Clear the 3D scene and sidebar list (though they should already be empty)
-  clearScene();
-  starList.innerHTML = "";
+// --- SHARE LINK LOGIC ---
 
-  // Update the info panel with a welcome message
-  infoTitle.textContent = "Welcome to Your Sol";
-  infoTitle.className = "text-xl font-bold mb-1 text-gray-300"; // Use a neutral color
-  infoDescription.innerHTML =
-    "Your personal knowledge galaxy is empty.<br><br>Enter a topic in the sidebar to generate your first star system!";
+/**
+ * Publishes a read-only snapshot and copies its link to the clipboard.
+ * @param {"system" | "galaxy"} kind
+ * @param {string} title
+ * @param {Array<{id: string, data: object}>} systems
+ */
+async function publishShare(kind, title, systems) {
+  try {
+    const shareId = await shareStore.publish(
+      userId,
+      createShare(kind, title, systems)
+    );
+    await copyShareLink(shareId);
+    renderShareList();
+  } catch (error) {
+    console.error("Failed to create the share link:", error);
+    showError(`Could not create the share link: ${error.message}`);
+  }
+}
 
-  // Ensure the delete button is hidden
-  if (deleteStarBtn) {
-    deleteStarBtn.classList.add("hidden");
+async function copyShareLink(shareId) {
+  const url = getShareUrl(shareId);
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast("Share link copied to the clipboard.");
+  } catch (error) {
+    // Clipboard access can be denied; let the user copy it by hand
+    await askForText("Copy this share link:", {
+      defaultValue: url,
+      confirmLabel: "Done",
+    });
   }
-  if (systemNavigator) {
-    systemNavigator.classList.add("hidden");
+}
+
+async function handleShareGalaxy() {
+  const systems = await listGalaxySystems();
+  if (systems.length === 0) {
+    showToast("There are no star systems to share yet.");
+    return;
   }
+  await publishShare("galaxy", "Shared Galaxy", systems);
 }
 
-async function loadUserGalaxy() {
-  if (!userId || !db) return;
+async function handleShareSystem() {
+  const docId = currentInfoData?.docId;
+  const starSystem = docId && celestialObjects.get(docId);
+  if (!starSystem) return;
+
+  const data = structuredClone(starSystem.systemGroup.userData.fullData);
+  // Use the position on screen, which exists even before it has been saved
+  data.position = toStoredPosition(starPositions.get(docId));
+  await publishShare("system", `${data.star.name} System`, [
+    { id: docId, data },
+  ]);
+}
 
-  const q = query(collection(db, "artifacts", appId, "users", userId, "stars"));
+async function revokeShare(shareId) {
+  if (
+    !(await confirmAction(
+      "Revoke this link? Anyone who has it will no longer see the galaxy.",
+      { confirmLabel: "Revoke", danger: true }
+    ))
+  ) {
+    return;
+  }
+  try {
+    await shareStore.revoke(shareId);
+    renderShareList();
+    showToast("Share link revoked.");
+  } catch (error) {
+    console.error("Failed to revoke the share link:", error);
+    showError(`Could not revoke the share link: ${error.message}`);
+  }
+}
 
-  onSnapshot(q, (snapshot) => {
-    const idToFlash = starIdToFlash; // Capture the ID of a newly created star
+/**
+ * Lists the current user's share links, each with Copy and Revoke actions.
+ */
+async function renderShareList() {
+  if (!userId) return;
+  let shares;
+  try {
+    shares = await shareStore.listOwned(userId);
+  } catch (error) {
+    console.error("Failed to load share links:", error);
+    return;
+  }
 
-    // --- 1. Rebuild the scene and sidebar from the current data ---
-    clearScene();
-    starList.innerHTML = "";
-    let firstStarId = null;
-    snapshot.docs.forEach((doc, index) => {
-      if (index === 0) firstStarId = doc.id;
-      const starData = doc.data();
-      const starPosition = calculateStarPosition(index);
-      createStarSystem(starData, doc.id, starPosition);
-      addStarToList(starData, doc.id);
+  shareList.innerHTML = "";
+  shareContainer.classList.toggle("hidden", shares.length === 0);
+  shares
+    .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0))
+    .forEach((share) => {
+      const li = document.createElement("li");
+      li.className = "flex justify-between items-center text-gray-400";
+
+      const label = document.createElement("span");
+      label.className = "truncate";
+      label.textContent = share.title;
+      label.title = share.createdAt
+        ? `Shared ${new Date(share.createdAt).toLocaleString()}`
+        : "";
+
+      const actions = document.createElement("span");
+      actions.className = "flex-shrink-0 space-x-2";
+      const copyBtn = document.createElement("button");
+      copyBtn.className = "text-xs text-blue-400 hover:text-blue-300";
+      copyBtn.textContent = "Copy";
+      copyBtn.addEventListener("click", () => copyShareLink(share.id));
+      const revokeBtn = document.createElement("button");
+      revokeBtn.className = "text-xs text-red-400 hover:text-red-300";
+      revokeBtn.textContent = "Revoke";
+      revokeBtn.addEventListener("click", () => revokeShare(share.id));
+      actions.append(copyBtn, revokeBtn);
+
+      li.append(label, actions);
+      shareList.appendChild(li);
     });
+}
 
-    // --- 2. Decide what the new selection state should be (THE FIX) ---
-    // This logic replaces all previous attempts. It determines the correct
-    // selection state BEFORE taking any action.
+// --- SHARED GALAXY LOGIC ---
 
-    let nextSelectedId = null; // Default to selecting nothing.
+function getActiveSharedGalaxy() {
+  return memberGalaxies.find((g) => g.id === activeGalaxyId) ?? null;
+}
 
-    if (idToFlash) {
-      // CASE A: A new star was just created. It becomes the selection.
-      nextSelectedId = idToFlash;
-    } else if (selectedStarId && celestialObjects.has(selectedStarId)) {
-      // CASE B: The previously selected star STILL EXISTS. Keep it selected.
-      nextSelectedId = selectedStarId;
-    } else if (isInitialLoad && firstStarId) {
-      // CASE C: This is the first time the page is loading. Select the first star.
-      nextSelectedId = firstStarId;
-    }
-    // **IMPLICIT CASE D:** If none of the above are true (i.e., the selected star was
-    // deleted), `nextSelectedId` remains `null`.
-
-    // --- 3. Apply the decided state to the UI ---
-    if (nextSelectedId) {
-      // If we decided a star should be selected, navigate to it.
-      // We pass `false` for smooth navigation as this is a state update, not a user click.
-      navigateToStar(nextSelectedId, false);
-
-      // If this was a new star, trigger the flash effect.
-      if (idToFlash) {
-        const newStar = celestialObjects.get(idToFlash);
-        if (newStar) {
-          const starMesh = newStar.systemGroup.children.find(
-            (c) => c.userData.type === "star"
-          );
-          starFlash(newStar.light, starMesh.material, starMesh);
-        }
+/**
+ * Keeps the list of shared galaxies up to date. The first result decides which
+ * galaxy opens: the last one shown, if the user is still a member of it.
+ */
+function watchMemberGalaxies() {
+  if (unsubscribeMemberGalaxies) unsubscribeMemberGalaxies();
+  let isFirstResult = true;
+
+  unsubscribeMemberGalaxies = subscribeToMemberGalaxies(
+    db,
+    appId,
+    userId,
+    (galaxies) => {
+      memberGalaxies = galaxies;
+      const isStillMember = !!getActiveSharedGalaxy();
+      if (isFirstResult) {
+        isFirstResult = false;
+        openGalaxy(isStillMember ? activeGalaxyId : null);
+        return;
+      }
+      if (activeGalaxyId && !isStillMember) {
+        showToast("You no longer have access to that shared galaxy.");
+        openGalaxy(null);
+        return;
+      }
+      updateGalaxyAccess();
+      renderGalaxySwitcher();
+    },
+    (error) => {
+      console.error("Failed to load shared galaxies:", error);
+      if (isFirstResult) {
+        isFirstResult = false;
+        openGalaxy(null);
       }
-    } else {
-      // If we decided NOTHING should be selected, clear the panels.
-      // This path is now correctly taken after deleting a selected star.
-      clearInfoPanel();
-    }
-
-    // --- 4. Handle the special case of a totally empty galaxy ---
-    if (snapshot.empty) {
-      setEmptyGalaxyState();
     }
-
-    // --- 5. Cleanup for the next snapshot event ---
-    isInitialLoad = false;
-    starIdToFlash = null;
-  });
+  );
 }
 
-function navigateToStar(docId, smooth = true) {
-  selectedStarId = docId;
-  const position = starPositions.get(docId);
-  if (!position) return;
-
-  // Set camera slightly above and behind the star
-  targetPosition.set(position.x, position.y + 100, position.z + 100);
-  targetLookAt.copy(position);
+/**
+ * Shows the user's own galaxy (null) or one of their shared galaxies.
+ * @param {string | null} galaxyId
+ */
+function openGalaxy(galaxyId) {
+  leavePresence();
+  activeGalaxyId = galaxyId;
+  if (galaxyId) {
+    localStorage.setItem(ACTIVE_GALAXY_STORAGE_KEY, galaxyId);
+    galaxyRepository = createSharedGalaxyRepository(db, appId, galaxyId);
+    presence = createPresence(db, appId, galaxyId, auth.currentUser);
+    unsubscribePresence = presence.subscribe((viewers) => {
+      presenceViewers = viewers;
+      renderPresenceMarkers();
+    });
+  } else {
+    localStorage.removeItem(ACTIVE_GALAXY_STORAGE_KEY);
+    galaxyRepository = createFirestoreGalaxyRepository(db, appId, userId);
+  }
+  updateGalaxyAccess();
+  renderGalaxySwitcher();
+  loadUserGalaxy();
+}
 
-  // Instant update: Jumps the camera to the star system.
-  // The OrbitControls (with panning enabled) allow for "free roam" afterwards.
-  controls.target.copy(targetLookAt);
-  camera.position.copy(targetPosition);
-  controls.update();
+/**
+ * Applies the user's role in the active galaxy: viewers get the same
+ * read-only interface as a share link.
+ */
+function updateGalaxyAccess() {
+  const galaxy = getActiveSharedGalaxy();
+  // Until the membership list arrives, a shared galaxy is treated as read-only
+  activeGalaxyRole = !activeGalaxyId
+    ? "owner"
+    : galaxy?.members[userId] ?? "viewer";
+  document.body.classList.toggle("view-only", !canEditGalaxy(activeGalaxyRole));
+  trashRetentionSelect.disabled = activeGalaxyRole !== "owner";
+  trashRetentionSelect.title = trashRetentionSelect.disabled
+    ? "The galaxy's owner decides when the trash is emptied."
+    : "";
+  starListTitle.textContent = galaxy ? galaxy.name : "Your Systems";
+  renderGalaxyMembers();
+}
 
-  const starData = celestialObjects
-    .get(docId)
-    .clickable.find((o) => o.userData.type === "star").userData;
-  updateInfoPanel(starData);
-  populateSystemNavigator(docId);
+function renderGalaxySwitcher() {
+  galaxySelect.innerHTML = "";
+  galaxySelect.add(new Option("My Galaxy", ""));
+  memberGalaxies
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((galaxy) => {
+      const role = GALAXY_ROLES[galaxy.members[userId]] ?? "";
+      galaxySelect.add(new Option(`${galaxy.name} (${role})`, galaxy.id));
+    });
+  galaxySelect.value = activeGalaxyId ?? "";
 }
 
 /**
- * Handles object clicks, updating the information panel.
+ * Lists the members of the active shared galaxy. The owner can change roles,
+ * remove members and copy the invite link.
  */
-function onMouseDown(event) {
-  mouseDownPosition.x = event.clientX;
-  mouseDownPosition.y = event.clientY;
+function renderGalaxyMembers() {
+  const galaxy = getActiveSharedGalaxy();
+  galaxyMembers.classList.toggle("hidden", !galaxy);
+  if (!galaxy) return;
+
+  const isOwner = galaxy.ownerId === userId;
+  copyInviteBtn.classList.toggle("hidden", !isOwner);
+  galaxyMemberList.innerHTML = "";
+  Object.entries(galaxy.members)
+    .sort(([, a], [, b]) => (a === "owner" ? -1 : b === "owner" ? 1 : 0))
+    .forEach(([memberId, role]) => {
+      const li = document.createElement("li");
+      li.className = "flex justify-between items-center text-gray-400";
+
+      const label = document.createElement("span");
+      label.className = "truncate";
+      const name = galaxy.memberNames?.[memberId] ?? memberId.substring(0, 8);
+      label.textContent = memberId === userId ? `${name} (you)` : name;
+      li.appendChild(label);
+
+      if (!isOwner || role === "owner") {
+        const roleLabel = document.createElement("span");
+        roleLabel.className = "flex-shrink-0 text-xs";
+        roleLabel.textContent = GALAXY_ROLES[role];
+        li.appendChild(roleLabel);
+      } else {
+        const controls = document.createElement("span");
+        controls.className = "flex-shrink-0 space-x-1";
+        const roleSelect = document.createElement("select");
+        roleSelect.className =
+          "text-xs bg-gray-700 border border-gray-600 rounded text-gray-300";
+        ["editor", "viewer"].forEach((value) =>
+          roleSelect.add(new Option(GALAXY_ROLES[value], value))
+        );
+        roleSelect.value = role;
+        roleSelect.addEventListener("change", () =>
+          handleMemberRoleChange(memberId, roleSelect.value)
+        );
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "text-xs text-red-400 hover:text-red-300";
+        removeBtn.textContent = "Remove";
+        removeBtn.addEventListener("click", () =>
+          handleRemoveMember(memberId, name)
+        );
+        controls.append(roleSelect, removeBtn);
+        li.appendChild(controls);
+      }
+      galaxyMemberList.appendChild(li);
+    });
 }
 
-function onMouseUp(event) {
-  // Calculate the distance the mouse moved
-  const deltaX = Math.abs(event.clientX - mouseDownPosition.x);
-  const deltaY = Math.abs(event.clientY - mouseDownPosition.y);
+function handleGalaxySelectChange() {
+  const galaxyId = galaxySelect.value || null;
+  if (galaxyId !== activeGalaxyId) openGalaxy(galaxyId);
+}
 
-  // If the mouse moved less than 5 pixels, treat it as a click
-  if (deltaX < 5 && deltaY < 5) {
-    // --- This is the logic from your old onMouseClick function ---
-    const rect = renderer.domElement.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+async function handleNewSharedGalaxy() {
+  const name = (
+    await askForText("Name the shared galaxy:", { confirmLabel: "Create" })
+  )?.trim();
+  if (!name) return;
+  try {
+    const galaxyId = await createSharedGalaxy(
+      db,
+      appId,
+      auth.currentUser,
+      name
+    );
+    openGalaxy(galaxyId);
+    showToast(`Created "${name}". Copy the invite link to add members.`);
+  } catch (error) {
+    console.error("Failed to create the shared galaxy:", error);
+    showError(`Could not create the shared galaxy: ${error.message}`);
+  }
+}
 
-    raycaster.setFromCamera(mouse, camera);
+/**
+ * Joins the shared galaxy from an invite link and makes it the one that opens.
+ */
+async function acceptGalaxyInvite(user, galaxyId) {
+  try {
+    const galaxy = await joinSharedGalaxy(db, appId, galaxyId, user);
+    if (galaxy) {
+      activeGalaxyId = galaxyId;
+      localStorage.setItem(ACTIVE_GALAXY_STORAGE_KEY, galaxyId);
+      showToast(
+        `You joined "${galaxy.name}" as ${GALAXY_ROLES[
+          galaxy.members[user.uid]
+        ].toLowerCase()}.`
+      );
+    } else {
+      showError("This invite link is no longer valid.");
+    }
+  } catch (error) {
+    console.error("Failed to join the shared galaxy:", error);
+    showError(`Could not join the shared galaxy: ${error.message}`);
+  }
+  // Drop the invite from the address bar so a refresh does not join again
+  window.history.replaceState(null, "", window.location.pathname);
+}
 
-    let allClickable = [];
-    celestialObjects.forEach((obj) => {
-      allClickable = allClickable.concat(obj.clickable);
+async function handleCopyInvite() {
+  const url = getInviteUrl(activeGalaxyId);
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast("Invite link copied. New members join as viewers.");
+  } catch (error) {
+    await askForText("Copy this invite link:", {
+      defaultValue: url,
+      confirmLabel: "Done",
     });
+  }
+}
 
-    const intersects = raycaster.intersectObjects(allClickable, true);
-
-    if (intersects.length > 0) {
-      // An object was clicked
-      const intersectedObject = intersects[0].object;
-      updateInfoPanel(intersectedObject.userData);
+async function handleMemberRoleChange(memberId, role) {
+  try {
+    await setMemberRole(db, appId, activeGalaxyId, memberId, role);
+  } catch (error) {
+    console.error("Failed to change the member's role:", error);
+    showError(`Could not change the role: ${error.message}`);
+    renderGalaxyMembers();
+  }
+}
 
-      if (intersectedObject.userData.type === "star") {
-        navigateToStar(intersectedObject.userData.docId);
-      }
-    } else {
-      // --- SEE PART 3 FOR THE FINAL FIX TO THIS BLOCK ---
-      // Empty space was clicked
-      // We only clear the panel if the galaxy is NOT in its initial empty state.
-      if (celestialObjects.size > 0) {
-        clearInfoPanel();
-      }
-    }
+async function handleRemoveMember(memberId, name) {
+  if (
+    !(await confirmAction(`Remove ${name} from this galaxy?`, {
+      confirmLabel: "Remove",
+      danger: true,
+    }))
+  ) {
+    return;
+  }
+  try {
+    await removeMember(db, appId, activeGalaxyId, memberId);
+  } catch (error) {
+    console.error("Failed to remove the member:", error);
+    showError(`Could not remove the member: ${error.message}`);
   }
-  // If the mouse moved more than 5 pixels, it was a drag, so do nothing.
 }
 
 /**
- * Handles object hovers, displaying a temporary tooltip with hierarchy.
+ * Offers the galaxies the selected system can be moved to: the user's own
+ * galaxy and every shared galaxy they can edit, except the current one.
  */
-function onMouseMove(event) {
-  const rect = renderer.domElement.getBoundingClientRect();
-  mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-  mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-
-  raycaster.setFromCamera(mouse, camera);
-
-  let allClickable = [];
-  celestialObjects.forEach((obj) => {
-    allClickable = allClickable.concat(obj.clickable);
-  });
+function renderMoveSystemOptions() {
+  const targets = [
+    { id: null, name: "My Galaxy" },
+    ...memberGalaxies.filter((g) => canEditGalaxy(g.members[userId])),
+  ].filter((target) => target.id !== activeGalaxyId);
+
+  moveSystemSelect.innerHTML = "";
+  moveSystemSelect.add(new Option("Move system to...", ""));
+  targets.forEach((target) =>
+    moveSystemSelect.add(new Option(target.name, target.id ?? "personal"))
+  );
+  moveSystemSelect.classList.toggle(
+    "hidden",
+    !isDeployed || memberGalaxies.length === 0
+  );
+}
 
-  const intersects = raycaster.intersectObjects(allClickable, true);
+/**
+ * Moves the selected system, and the systems expanded from it, into another
+ * galaxy. They are copied first and only then removed from this one.
+ */
+async function handleMoveSystem() {
+  const target = moveSystemSelect.value;
+  moveSystemSelect.value = ""; // Reset so the menu works like a button
+  const docId = currentInfoData?.docId;
+  if (!target || !docId || !canEditGalaxy(activeGalaxyRole)) return;
+
+  const targetGalaxyId = target === "personal" ? null : target;
+  const targetName = targetGalaxyId
+    ? memberGalaxies.find((g) => g.id === targetGalaxyId)?.name
+    : "My Galaxy";
+  const systems = await listGalaxySystems();
+  const moving = systems.filter((s) => s.id === docId);
+  // Expanded systems follow their parent
+  for (let i = 0; i < moving.length; i++) {
+    moving.push(
+      ...systems.filter((s) => s.data.parent?.docId === moving[i].id)
+    );
+  }
+  const starName = moving[0]?.data.star.name;
+  if (!starName) return;
+  const extra =
+    moving.length > 1
+      ? ` and the ${moving.length - 1} system(s) expanded from it`
+      : "";
+  if (
+    !(await confirmAction(`Move "${starName}"${extra} to "${targetName}"?`, {
+      confirmLabel: "Move",
+    }))
+  ) {
+    return;
+  }
+
+  try {
+    const targetRepository = targetGalaxyId
+      ? createSharedGalaxyRepository(db, appId, targetGalaxyId)
+      : createFirestoreGalaxyRepository(db, appId, userId);
+    const idMap = await copySystemsInto(targetRepository, moving);
+    for (const { id } of moving.reverse()) {
+      await galaxyRepository.remove(id);
+    }
+    moveSystemProgress(idMap);
+    showToast(`Moved "${starName}" to "${targetName}".`);
+  } catch (error) {
+    console.error("Failed to move the star system:", error);
+    showError(`Could not move the star system: ${error.message}`);
+  }
+}
+
+// --- PRESENCE LOGIC ---
+
+function leavePresence() {
+  if (unsubscribePresence) unsubscribePresence();
+  unsubscribePresence = null;
+  if (presence) {
+    presence
+      .leave()
+      .catch((error) => console.error("Failed to clear presence:", error));
+  }
+  presence = null;
+  presenceViewers = [];
+  renderPresenceMarkers();
+}
+
+/**
+ * Creates a label sprite listing who is looking at a system. Sprites always
+ * face the camera, so the label stays readable from any angle.
+ */
+function createPresenceMarker(names) {
+  const text = `\u{1F441} ${names.join(", ")}`;
+  const fontSize = 48;
+  const font = `bold ${fontSize}px sans-serif`;
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d");
+  context.font = font;
+  canvas.width = Math.ceil(context.measureText(text).width) + 32;
+  canvas.height = fontSize + 24;
+  // Resizing the canvas resets the context, so the font is set again
+  context.font = font;
+  context.fillStyle = "rgba(17, 24, 39, 0.8)";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = "#a5f3fc";
+  context.textBaseline = "middle";
+  context.fillText(text, 16, canvas.height / 2);
+
+  const material = new THREE.SpriteMaterial({
+    map: new THREE.CanvasTexture(canvas),
+    depthTest: false,
+  });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(canvas.width * 0.5, canvas.height * 0.5, 1);
+  return sprite;
+}
+
+/**
+ * Shows a marker above every system another member is currently viewing.
+ */
+function renderPresenceMarkers() {
+  presenceMarkers.forEach((sprite) => {
+    scene.remove(sprite);
+    sprite.material.map.dispose();
+    sprite.material.dispose();
+  });
+  presenceMarkers.length = 0;
+
+  const namesBySystem = new Map();
+  presenceViewers.forEach(({ systemId, name }) => {
+    if (!namesBySystem.has(systemId)) namesBySystem.set(systemId, []);
+    namesBySystem.get(systemId).push(name);
+  });
+  namesBySystem.forEach((names, systemId) => {
+    const position = starPositions.get(systemId);
+    if (!position) return;
+    const sprite = createPresenceMarker(names);
+    sprite.position.set(position.x, position.y + 90, position.z);
+    scene.add(sprite);
+    presenceMarkers.push(sprite);
+  });
+}
+
+// --- GENERATION OPTIONS LOGIC ---
+
+/**
+ * Reads the generation options from the sidebar form.
+ */
+function getGenerationOptions() {
+  return normalizeGenerationOptions({
+    planetCount: genPlanetCountInput.value,
+    minMoons: genMinMoonsInput.value,
+    maxMoons: genMaxMoonsInput.value,
+    audience: genAudienceSelect.value,
+    tone: genToneSelect.value,
+    language: genLanguageInput.value,
+  });
+}
+
+function setGenerationOptionsForm(options) {
+  genPlanetCountInput.value = options.planetCount;
+  genMinMoonsInput.value = options.minMoons;
+  genMaxMoonsInput.value = options.maxMoons;
+  genAudienceSelect.value = options.audience;
+  genToneSelect.value = options.tone;
+  genLanguageInput.value = options.language;
+}
+
+function loadGenerationOptions() {
+  let saved = {};
+  try {
+    saved = JSON.parse(
+      localStorage.getItem(GENERATION_OPTIONS_STORAGE_KEY) || "{}"
+    );
+  } catch (error) {
+    console.warn("Ignoring unreadable generation options:", error);
+  }
+  setGenerationOptionsForm(normalizeGenerationOptions(saved));
+}
+
+/**
+ * Saves the options when the form changes and shows the values that will
+ * actually be used (e.g. clamped counts).
+ */
+function handleGenerationOptionsChange() {
+  const options = getGenerationOptions();
+  setGenerationOptionsForm(options);
+  localStorage.setItem(GENERATION_OPTIONS_STORAGE_KEY, JSON.stringify(options));
+}
+
+// --- ACCOUNT LOGIC ---
+
+/**
+ * Shows who is signed in and offers sign-in to anonymous users or sign-out to
+ * permanent accounts.
+ */
+function updateAccountDisplay(user) {
+  accountDisplay.textContent = describeAccount(user);
+  accountDisplay.title = `User ID: ${user.uid}`;
+  signInOptions.classList.toggle("hidden", !user.isAnonymous);
+  signOutBtn.classList.toggle("hidden", user.isAnonymous);
+}
+
+/**
+ * Lists the signed-in anonymous user's galaxy, read before signing in to a
+ * different account makes it unreachable.
+ */
+async function listAnonymousGalaxy() {
+  const user = auth.currentUser;
+  if (!user || !user.isAnonymous) return [];
+  return createFirestoreGalaxyRepository(db, appId, user.uid).list();
+}
+
+/**
+ * Copies star systems into another galaxy. Systems get new IDs, parent links
+ * are remapped (or dropped if the parent is not copied along), and positions are
+ * left out so the systems are placed again among the target's existing ones.
+ * @param {GalaxyRepository} targetRepository
+ * @param {Array<{id: string, data: object}>} systems
+ * @returns {Promise<Map<string, string>>} The new IDs by source ID.
+ */
+async function copySystemsInto(targetRepository, systems) {
+  const idMap = new Map();
+  const ordered = orderForImport(
+    systems.map(({ id, data }) => ({ sourceId: id, data }))
+  );
+  for (const { sourceId, data } of ordered) {
+    const { createdAt, position, parent, ...rest } = data;
+    if (parent && idMap.has(parent.docId)) {
+      rest.parent = { ...parent, docId: idMap.get(parent.docId) };
+    }
+    const id = targetRepository.newId();
+    idMap.set(sourceId, id);
+    await targetRepository.create(id, rest);
+  }
+  return idMap;
+}
+
+/**
+ * Copies an anonymous galaxy into the account that was just signed in to, then
+ * deletes it from the anonymous account. Only the anonymous user may delete its
+ * systems (see firestore.rules), so that runs on a connection signed in as it.
+ * @param {Array<{id: string, data: object}>} systems
+ * @param {import("firebase/auth").User} anonymousUser
+ * @param {string} targetUserId
+ */
+async function moveGalaxyToAccount(systems, anonymousUser, targetUserId) {
+  await copySystemsInto(
+    createFirestoreGalaxyRepository(db, appId, targetUserId),
+    systems
+  );
+  // The copies are saved, so a failure here only leaves the old systems behind
+  // in an account that can no longer be opened
+  try {
+    const connection = await connectAsUser(anonymousUser);
+    try {
+      const source = createFirestoreGalaxyRepository(
+        connection.db,
+        appId,
+        anonymousUser.uid
+      );
+      for (const { id } of systems) {
+        await source.remove(id);
+      }
+    } finally {
+      await connection.close();
+    }
+  } catch (error) {
+    console.error("Failed to delete the anonymous galaxy:", error);
+  }
+}
+
+/**
+ * Finishes a sign-in: moves the anonymous galaxy over if an existing account
+ * was signed in to instead of linked, and updates the account indicator.
+ * @param {import("./accountAuth.js").SignInResult} result
+ * @param {Array<{id: string, data: object}>} anonymousSystems
+ */
+async function finishSignIn(result, anonymousSystems) {
+  updateAccountDisplay(result.user);
+  if (result.switchedFrom && anonymousSystems.length > 0) {
+    await moveGalaxyToAccount(
+      anonymousSystems,
+      result.switchedFrom,
+      result.user.uid
+    );
+    showToast(
+      `Moved ${anonymousSystems.length} star system(s) into your account.`
+    );
+  } else {
+    showToast(`Signed in as ${describeAccount(result.user)}.`);
+  }
+}
+
+async function handleGoogleSignIn() {
+  try {
+    const anonymousSystems = await listAnonymousGalaxy();
+    const result = await signInWithGoogle(auth);
+    await finishSignIn(result, anonymousSystems);
+  } catch (error) {
+    if (error.code === "auth/popup-closed-by-user") return;
+    console.error("Google sign-in failed:", error);
+    showError(`Sign-in failed: ${error.message}`);
+  }
+}
+
+async function handleEmailSignIn(event) {
+  event.preventDefault();
+  const email = emailSignInInput.value.trim();
+  if (!email) return;
+
+  try {
+    await sendEmailSignInLink(auth, email);
+    emailSignInInput.value = "";
+    showToast(`Sign-in link sent to ${email}. Open it to finish signing in.`);
+  } catch (error) {
+    console.error("Failed to send the sign-in link:", error);
+    showError(`Could not send the sign-in link: ${error.message}`);
+  }
+}
+
+/**
+ * Completes sign-in when the page was opened from an emailed sign-in link.
+ */
+async function completePendingEmailSignIn() {
+  try {
+    const anonymousSystems = await listAnonymousGalaxy();
+    const result = await completeEmailLinkSignIn(auth, () =>
+      askForText("Confirm the email address you asked the sign-in link for:", {
+        confirmLabel: "Sign in",
+      })
+    );
+    if (result) await finishSignIn(result, anonymousSystems);
+  } catch (error) {
+    console.error("Email link sign-in failed:", error);
+    showError(`Sign-in failed: ${error.message}`);
+  }
+}
+
+async function handleSignOut() {
+  try {
+    await signOutUser(auth);
+    await signInAnonymously(auth);
+  } catch (error) {
+    console.error("Sign-out failed:", error);
+    showError(`Sign-out failed: ${error.message}`);
+  }
+}
+
+/**
+ * Returns the ID of the local mock user, creating it on the first visit so the
+ * locally stored galaxy is found again after a refresh.
+ */
+function getLocalUserId() {
+  let localUserId = localStorage.getItem(LOCAL_USER_ID_STORAGE_KEY);
+  if (!localUserId) {
+    localUserId = crypto.randomUUID();
+    localStorage.setItem(LOCAL_USER_ID_STORAGE_KEY, localUserId);
+  }
+  return localUserId;
+}
+
+async function renderInitialMockGalaxy() {
+  const topic = "Dual-Mode Architecture (Mock)";
+  // Flashes and selects the initial star, like any other new system
+  await saveStarSystem(createMockGalaxyData(topic), topic);
+}
+
+function setEmptyGalaxyState() {
+  // Clear the 3D scene and sidebar list (though they should already be empty)
+  clearScene();
+  starList.innerHTML = "";
+
+  // Update the info panel with a welcome message
+  infoTitle.textContent = "Welcome to Your Sol";
+  infoTitle.className = "text-xl font-bold mb-1 text-gray-300"; // Use a neutral color
+  infoDescription.textContent =
+    "Your personal knowledge galaxy is empty.\n\nEnter a topic in the sidebar to generate your first star system!";
+
+  // Ensure the delete and edit controls are hidden
+  if (deleteStarBtn) {
+    deleteStarBtn.classList.add("hidden");
+  }
+  editBodyBtn.classList.add("hidden");
+  editBodyForm.classList.add("hidden");
+  expandBodyBtn.classList.add("hidden");
+  exportSystemSelect.classList.add("hidden");
+  shareSystemBtn.classList.add("hidden");
+  studySystemBtn.classList.add("hidden");
+  masterySelect.classList.add("hidden");
+  moveSystemSelect.classList.add("hidden");
+  referencesPanel.classList.add("hidden");
+  if (systemNavigator) {
+    systemNavigator.classList.add("hidden");
+  }
+}
+
+async function loadUserGalaxy() {
+  if (!userId || !galaxyRepository) return;
+
+  // Switching accounts: forget the previous user's galaxy before loading the new one
+  if (unsubscribeGalaxy) {
+    unsubscribeGalaxy();
+    clearScene();
+    clearInfoPanel();
+    starList.innerHTML = "";
+    trashedSystems.clear();
+    locallyEditedIds.clear();
+    renderTrashList();
+    // Queued topics would otherwise be saved into the galaxy that was left
+    topicQueue.cancelAll();
+    isInitialLoad = true;
+  }
+
+  unsubscribeGalaxy = galaxyRepository.subscribe(handleGalaxyChanges, (error) =>
+    console.error("Failed to load the galaxy:", error)
+  );
+  renderShareList();
+}
+
+/**
+ * Opens the galaxy from a share link in view-only mode: the same scene and
+ * navigator, with every control that changes the galaxy hidden.
+ */
+async function loadSharedGalaxy() {
+  activeGalaxyRole = "viewer";
+  document.body.classList.add("view-only");
+  viewOnlyBanner.classList.remove("hidden");
+  userInfo.classList.add("hidden");
+  starListTitle.textContent = "Shared Systems";
+
+  try {
+    const share = await shareStore.get(sharedGalaxyId);
+    if (!share) {
+      infoTitle.textContent = "Link Unavailable";
+      infoDescription.textContent =
+        "This share link was revoked by its owner or never existed.";
+      return;
+    }
+    document.title = `${share.title} | Your Sol`;
+    galaxyRepository = createReadOnlyGalaxyRepository(share.systems);
+    unsubscribeGalaxy = galaxyRepository.subscribe(handleGalaxyChanges);
+  } catch (error) {
+    console.error("Failed to load the shared galaxy:", error);
+    infoTitle.textContent = "Link Unavailable";
+    infoDescription.textContent = "The shared galaxy could not be loaded.";
+  }
+}
+
+/**
+ * Applies a batch of changes from the galaxy repository to the scene, the
+ * sidebar, and the current selection.
+ * @param {{changes: Array<{type: string, id: string, data: object}>, ids: string[]}} event
+ */
+function handleGalaxyChanges({ changes: allChanges, ids }) {
+  const idToFlash = starIdToFlash; // Capture the ID of a newly created star
+
+  // --- 1. Apply only the changed documents to the scene and sidebar ---
+  // Unchanged systems keep their orbit angles and moon placements.
+  const changes = [];
+  let trashChanged = false;
+  allChanges.forEach((change) => {
+    // Inline edits and position saves were already applied to the scene
+    if (change.type === "modified" && locallyEditedIds.has(change.id)) {
+      locallyEditedIds.delete(change.id);
+      return;
+    }
+
+    // Trashed systems leave the galaxy; restored ones come back as "added"
+    const isRendered = celestialObjects.has(change.id);
+    const isTrashed = change.type !== "removed" && !!change.data.deletedAt;
+    if (trashedSystems.has(change.id) || isTrashed) trashChanged = true;
+    if (isTrashed) {
+      trashedSystems.set(change.id, change.data);
+      if (isRendered) changes.push({ ...change, type: "removed" });
+      return;
+    }
+    trashedSystems.delete(change.id);
+    if (change.type === "removed") {
+      if (isRendered) changes.push(change);
+    } else {
+      changes.push({ ...change, type: isRendered ? "modified" : "added" });
+    }
+  });
+  if (trashChanged) {
+    renderTrashList();
+    purgeExpiredTrash();
+  }
+  const changedSystems = changes
+    .filter((change) => change.type !== "removed")
+    .map((change) => ({ id: change.id, data: change.data }));
+  assignMissingPositions(changedSystems);
+
+  let shownSystemChanged = false;
+  changes.forEach((change) => {
+    const id = change.id;
+    if (id === selectedStarId || id === currentInfoData?.docId) {
+      shownSystemChanged = true;
+    }
+
+    if (change.type === "removed") {
+      removeStarFromScene(id);
+      removeStarFromList(id);
+      return;
+    }
+
+    const { data } = changedSystems.find((s) => s.id === id);
+    if (change.type === "added") {
+      createStarSystem(data, id, fromStoredPosition(data.position));
+      addStarToList(data, id);
+    } else {
+      updateStarSystem(id, data);
+      // A streamed preview was saved: it now belongs in the sidebar
+      if (streamingPreviewIds.delete(id)) addStarToList(data, id);
+    }
+  });
+  handleStarSearch(); // Keep the sidebar filter applied to new entries
+  const galaxyIds = ids.filter((id) => !trashedSystems.has(id));
+  const firstStarId = galaxyIds[0] ?? null;
+
+  // --- 2. Decide what the new selection state should be (THE FIX) ---
+  // This logic replaces all previous attempts. It determines the correct
+  // selection state BEFORE taking any action.
+
+  let nextSelectedId = null; // Default to selecting nothing.
+
+  if (idToFlash) {
+    // CASE A: A new star was just created. It becomes the selection.
+    nextSelectedId = idToFlash;
+  } else if (selectedStarId && celestialObjects.has(selectedStarId)) {
+    // CASE B: The previously selected star STILL EXISTS. Keep it selected.
+    nextSelectedId = selectedStarId;
+  } else if (isInitialLoad && firstStarId) {
+    // CASE C: This is the first time the page is loading. Select the first star.
+    nextSelectedId = firstStarId;
+  }
+  // **IMPLICIT CASE D:** If none of the above are true (i.e., the selected star was
+  // deleted), `nextSelectedId` remains `null`.
+
+  // --- 3. Apply the decided state to the UI ---
+  if (nextSelectedId === selectedStarId && !idToFlash && !isInitialLoad) {
+    // The selection did not change: leave the camera alone and only refresh
+    // the panels if the system they show was modified or removed.
+    if (shownSystemChanged) {
+      refreshInfoPanels();
+    }
+  } else if (nextSelectedId) {
+    // If we decided a star should be selected, navigate to it.
+    // We pass `false` for smooth navigation as this is a state update, not a user click.
+    navigateToStar(nextSelectedId, false);
+
+    // If this was a new star, trigger the flash effect.
+    if (idToFlash) {
+      const newStar = celestialObjects.get(idToFlash);
+      if (newStar) {
+        const starMesh = newStar.systemGroup.children.find(
+          (c) => c.userData.type === "star"
+        );
+        starFlash(newStar.light, starMesh.material, starMesh);
+      }
+    }
+  } else {
+    // If we decided NOTHING should be selected, clear the panels.
+    // This path is now correctly taken after deleting a selected star.
+    clearInfoPanel();
+  }
+
+  // --- 4. Handle the special case of a totally empty galaxy ---
+  if (galaxyIds.length === 0) {
+    setEmptyGalaxyState();
+  }
+
+  // Markers follow systems that were added, moved or removed
+  renderPresenceMarkers();
+  renderDueList();
+
+  // --- 5. Cleanup for the next snapshot event ---
+  isInitialLoad = false;
+  starIdToFlash = null;
+}
+
+/**
+ * Gives systems saved before positions were stored a position once, and saves it
+ * so they stay in place from then on.
+ * @param {Array<{id: string, data: object}>} systems
+ */
+function assignMissingPositions(systems) {
+  const positions = new Map(starPositions);
+  const ids = new Set(systems.map((s) => s.id));
+  systems.forEach(({ id, data }) => {
+    if (data.position) positions.set(id, fromStoredPosition(data.position));
+  });
+
+  // Top-level systems first, so expanded systems can be placed next to them
+  const missing = systems
+    .filter(({ data }) => !data.position)
+    .sort((a, b) => !!a.data.parent - !!b.data.parent);
+  missing.forEach(({ id, data }) => {
+    if (positions.has(id)) {
+      // Already rendered: keep it where it is
+      data.position = toStoredPosition(positions.get(id));
+      return;
+    }
+    const siblingCount = data.parent
+      ? findChildSystemIds(data.parent.docId).filter((c) => !ids.has(c))
+          .length +
+        systems.filter(
+          (s) =>
+            s.id !== id &&
+            s.data.parent?.docId === data.parent.docId &&
+            positions.has(s.id)
+        ).length
+      : 0;
+    const position = calculateNewSystemPosition(data, positions, siblingCount);
+    positions.set(id, position);
+    data.position = toStoredPosition(position);
+
+    // Viewers place missing systems on screen but cannot save them
+    if (!canEditGalaxy(activeGalaxyRole)) return;
+    locallyEditedIds.add(id);
+    galaxyRepository.update(id, { position: data.position }).catch((error) => {
+      locallyEditedIds.delete(id);
+      console.error("Failed to save star position:", error);
+    });
+  });
+}
+
+/**
+ * Identifies a body by its place in the system's document.
+ */
+function getBodyKey({ type, planetIndex, moonIndex }) {
+  return `${type}:${planetIndex}:${moonIndex}`;
+}
+
+/**
+ * Rebuilds a single system after its document changed, keeping its current
+ * rotation, planet orbit angles and moon placements.
+ * @param {string} docId The Firestore document ID.
+ * @param {object} data The new star system data.
+ */
+function updateStarSystem(docId, data) {
+  const previous = celestialObjects.get(docId);
+  if (!previous) {
+    createStarSystem(data, docId, fromStoredPosition(data.position));
+    addStarToList(data, docId);
+    return;
+  }
+
+  // 1. Capture the current animation state, keyed by each body's place in the doc
+  const systemRotation = previous.systemGroup.rotation.y;
+  const orbitState = new Map();
+  previous.clickable.forEach((o) => {
+    if (o.userData.type === "star") return;
+    orbitState.set(getBodyKey(o.userData), {
+      orbitRotation: o.parent.rotation.y,
+      orbitSpeed: o.parent.userData.orbitSpeed,
+      rotation: o.rotation.y,
+      angle: Math.atan2(o.position.z, o.position.x),
+    });
+  });
+
+  // 2. Rebuild the system from the new data
+  removeStarFromScene(docId);
+  createStarSystem(data, docId, fromStoredPosition(data.position));
+  const listItem = starList.querySelector(`li[data-doc-id="${docId}"]`);
+  if (listItem) listItem.textContent = data.star.name;
+
+  // 3. Restore the animation state of the bodies that still exist
+  const rebuilt = celestialObjects.get(docId);
+  rebuilt.systemGroup.rotation.y = systemRotation;
+  rebuilt.clickable.forEach((o) => {
+    const { type } = o.userData;
+    const state = orbitState.get(getBodyKey(o.userData));
+    if (!state) return;
+    o.parent.rotation.y = state.orbitRotation;
+    o.rotation.y = state.rotation;
+    if (type === "moon") {
+      o.parent.userData.orbitSpeed = state.orbitSpeed;
+      const radius = Math.hypot(o.position.x, o.position.z);
+      o.position.x = radius * Math.cos(state.angle);
+      o.position.z = radius * Math.sin(state.angle);
+    }
+  });
+}
+
+/**
+ * Re-renders the info panel and navigator after the system they show changed,
+ * without moving the camera.
+ */
+function refreshInfoPanels() {
+  const infoDocId = currentInfoData?.docId;
+  if (infoDocId && !celestialObjects.has(infoDocId)) {
+    // The body shown in the info panel belonged to a removed system
+    clearInfoPanel();
+    return;
+  }
+  if (selectedStarId && celestialObjects.has(selectedStarId)) {
+    populateSystemNavigator(selectedStarId);
+  }
+  if (infoDocId) {
+    const mesh =
+      findBodyMesh(infoDocId, currentInfoData) ||
+      findBodyMesh(infoDocId, { type: "star" });
+    updateInfoPanel(mesh.userData);
+  }
+}
+
+/**
+ * Jumps the camera to a point in the galaxy.
+ * @param {THREE.Vector3} position
+ */
+function focusCameraOn(position) {
+  // Set camera slightly above and behind the star
+  targetPosition.set(position.x, position.y + 100, position.z + 100);
+  targetLookAt.copy(position);
+
+  // Instant update: Jumps the camera to the star system.
+  // The OrbitControls (with panning enabled) allow for "free roam" afterwards.
+  controls.target.copy(targetLookAt);
+  camera.position.copy(targetPosition);
+  controls.update();
+}
+
+function navigateToStar(docId, smooth = true) {
+  selectedStarId = docId;
+  const position = starPositions.get(docId);
+  if (!position) return;
+  focusCameraOn(position);
+
+  const starData = celestialObjects
+    .get(docId)
+    .clickable.find((o) => o.userData.type === "star").userData;
+  updateInfoPanel(starData);
+  populateSystemNavigator(docId);
+  if (presence) presence.setViewing(docId);
+}
+
+/**
+ * Handles object clicks, updating the information panel.
+ */
+function onMouseDown(event) {
+  mouseDownPosition.x = event.clientX;
+  mouseDownPosition.y = event.clientY;
+}
+
+function onMouseUp(event) {
+  // Calculate the distance the mouse moved
+  const deltaX = Math.abs(event.clientX - mouseDownPosition.x);
+  const deltaY = Math.abs(event.clientY - mouseDownPosition.y);
+
+  // If the mouse moved less than 5 pixels, treat it as a click
+  if (deltaX < 5 && deltaY < 5) {
+    // --- This is the logic from your old onMouseClick function ---
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, camera);
+
+    let allClickable = [];
+    celestialObjects.forEach((obj) => {
+      allClickable = allClickable.concat(obj.clickable);
+    });
+
+    const intersects = raycaster.intersectObjects(allClickable, true);
+
+    if (intersects.length > 0) {
+      // An object was clicked
+      const intersectedObject = intersects[0].object;
+      // Bodies of a system that is still streaming in are not saved yet
+      if (streamingPreviewIds.has(intersectedObject.userData.docId)) return;
+      updateInfoPanel(intersectedObject.userData);
+
+      if (intersectedObject.userData.type === "star") {
+        navigateToStar(intersectedObject.userData.docId);
+      }
+    } else {
+      // --- SEE PART 3 FOR THE FINAL FIX TO THIS BLOCK ---
+      // Empty space was clicked
+      // We only clear the panel if the galaxy is NOT in its initial empty state.
+      if (celestialObjects.size > 0) {
+        clearInfoPanel();
+      }
+    }
+  }
+  // If the mouse moved more than 5 pixels, it was a drag, so do nothing.
+}
+
+/**
+ * Handles object hovers, displaying a temporary tooltip with hierarchy.
+ */
+function onMouseMove(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+  raycaster.setFromCamera(mouse, camera);
+
+  let allClickable = [];
+  celestialObjects.forEach((obj) => {
+    allClickable = allClickable.concat(obj.clickable);
+  });
+
+  const intersects = raycaster.intersectObjects(allClickable, true);
+
+  if (intersects.length > 0) {
+    const object = intersects[0].object;
+    const data = object.userData;
+    let tooltipText = "";
+
+    // Generate hierarchical tooltip text
+    if (data.type === "star") {
+      // Use the actual Star Name (e.g., "Quantum System")
+      tooltipText = `${data.name} System\n(Click to Navigate)`;
+    } else if (data.type === "planet") {
+      // Star Name System / Planet Name Planet
+      tooltipText = `${data.parentStarName} System\n${data.name} Planet`;
+    } else if (data.type === "moon") {
+      // Star Name System / Planet Name Moon / Moon Name
+      tooltipText = `${data.parentStarName} System\n${data.parentPlanetName} Planet Moon\n${data.name}`;
+    }
+
+    // Names come from shared documents, so they are set as text; the
+    // tooltip's white-space rule turns the newlines into line breaks
+    tooltip.textContent = tooltipText;
+
+    // Position tooltip near mouse, slightly offset
+    tooltip.style.left = `${event.clientX + 10}px`;
+    tooltip.style.top = `${event.clientY - 20}px`;
+    tooltip.classList.remove("hidden", "opacity-0");
+    tooltip.classList.add("opacity-100");
+  } else {
+    tooltip.classList.add("opacity-0");
+    tooltip.classList.remove("opacity-100");
+    // Hide after transition
+    setTimeout(() => {
+      if (tooltip.classList.contains("opacity-0")) {
+        tooltip.classList.add("hidden");
+      }
+    }, 150);
+  }
+}
+
+// --- UI / Sidebar Functions ---
+
+function addStarToList(data, docId) {
+  const li = document.createElement("li");
+  li.className =
+    "p-2 rounded-lg cursor-pointer hover:bg-gray-600 transition duration-150";
+  li.dataset.docId = docId;
+  li.textContent = data.star.name;
+  li.addEventListener("click", () => {
+    navigateToStar(docId);
+  });
+  starList.appendChild(li);
+  updateProgressRing(docId);
+  return li;
+}
+
+function updateInfoPanel(data) {
+  currentInfoData = data;
+  editBodyForm.classList.add("hidden");
+  const colorClass =
+    data.type === "star"
+      ? "text-yellow-400"
+      : data.type === "planet"
+      ? "text-blue-400"
+      : "text-gray-400";
+
+  infoTitle.className = `text-xl font-bold mb-1 ${colorClass}`;
+  infoTitle.textContent = `${
+    data.type.charAt(0).toUpperCase() + data.type.slice(1)
+  }: ${data.name}`;
+  infoDescription.textContent = data.description;
+
+  if (data.docId) {
+    deleteStarBtn.classList.remove("hidden");
+    // Store the star's ID on the button itself for easy access
+    deleteStarBtn.dataset.docId = data.docId;
+    editBodyBtn.classList.remove("hidden");
+    exportSystemSelect.classList.remove("hidden");
+    shareSystemBtn.classList.remove("hidden");
+    studySystemBtn.classList.toggle("hidden", !reviewStore);
+    // Planets and moons are the study cards, so only they have a level
+    masterySelect.classList.toggle(
+      "hidden",
+      !reviewStore || data.type === "star"
+    );
+    masterySelect.value =
+      masteryByCard.get(getCardId(data.docId, data)) || "unexplored";
+    renderMoveSystemOptions();
+  } else {
+    deleteStarBtn.classList.add("hidden");
+    editBodyBtn.classList.add("hidden");
+    exportSystemSelect.classList.add("hidden");
+    shareSystemBtn.classList.add("hidden");
+    studySystemBtn.classList.add("hidden");
+    masterySelect.classList.add("hidden");
+    moveSystemSelect.classList.add("hidden");
+  }
+
+  // Planets and moons can be expanded into their own star system
+  if (data.docId && data.type !== "star") {
+    expandBodyBtn.textContent = findExpandedSystemId(data)
+      ? "Open Expanded System"
+      : "Expand into System";
+    expandBodyBtn.classList.remove("hidden");
+  } else {
+    expandBodyBtn.classList.add("hidden");
+  }
+
+  renderReferences();
+  renderChatPanel();
+}
+
+function handleStarSearch() {
+  const filter = starSearch.value.toLowerCase();
+  const items = starList.getElementsByTagName("li");
+  for (let i = 0; i < items.length; i++) {
+    const text = items[i].textContent || items[i].innerText;
+    if (text.toLowerCase().indexOf(filter) > -1) {
+      items[i].style.display = "";
+    } else {
+      items[i].style.display = "none";
+    }
+  }
+}
+
+function setLoading(isLoading) {
+  generateBtn.disabled = isLoading;
+  topicInput.disabled = isLoading;
+  expandBodyBtn.disabled = isLoading;
+  importGalaxyBtn.disabled = isLoading;
+  if (isLoading) {
+    loadingIndicator.classList.remove("hidden");
+    loadingIndicator.classList.add("flex");
+  } else {
+    loadingIndicator.classList.add("hidden");
+  }
+}
+
+// --- LLM GENERATION ---
+
+/**
+ * Asks the configured LLM provider for structured star system data.
+ * In mock mode, falls back to sample data if the provider fails; in deployed
+ * mode the error is thrown, so placeholder data is never saved. When `onPartial` is given, the
+ * response is streamed and `onPartial` is called each time a planet or moon has
+ * arrived; if the stream then breaks off, the error is thrown with the system
+ * so far attached as `error.partialData`. Cancelled and rate-limited requests
+ * are always thrown, since sample data is no substitute for either.
+ * @param {string} topic The core topic of the new system.
+ * @param {object} options The normalized generation options.
+ * @param {object} [extras]
+ * @param {object} [extras.context] Optional origin of the topic when expanding
+ *   a body: `{ parentStar, body }`, where both have a name and description.
+ * @param {object} [extras.variantOf] A system on the same topic that the new
+ *   one should differ from.
+ * @param {(partialData: object) => void} [extras.onPartial]
+ * @param {AbortSignal} [extras.signal] Cancels the request.
+ */
+async function generateStarSystemData(
+  topic,
+  options,
+  { context, variantOf, onPartial, signal } = {}
+) {
+  const request = {
+    ...buildStarSystemRequest(topic, options, {
+      context,
+      variantOfPlanets: variantOf?.planets.map((planet) => planet.name),
+    }),
+    signal,
+  };
+  let partialData = null;
+  const countBodies = (data) =>
+    data
+      ? data.planets.reduce((count, planet) => count + planet.moons.length, 1) +
+        data.planets.length
+      : 0;
+
+  try {
+    const data = onPartial
+      ? await llmProvider.streamJson(request, (text) => {
+          const next = readPartialStarSystem(text);
+          if (next && countBodies(next) !== countBodies(partialData)) {
+            partialData = next;
+            onPartial(next);
+          }
+        })
+      : await llmProvider.generateJson(request);
+
+    // Repairs what can be repaired; throws if there is no star or planet to keep
+    const { data: system, fixes } = validateStarSystem(data, options);
+    if (fixes.length > 0) {
+      console.warn(`Repaired the ${llmProvider.name} response:`, fixes);
+    }
+    return system;
+  } catch (error) {
+    if (signal?.aborted || isRateLimitError(error)) throw error;
+    // Part of the system already arrived: let the caller decide whether to keep it
+    if (partialData && partialData.planets.length > 0) {
+      error.partialData = partialData;
+      throw error;
+    }
+    if (isDeployed) throw error;
+    console.error(
+      `Error calling the ${llmProvider.name} provider. Falling back to mock data.`,
+      error
+    );
+    showToast(
+      `The ${llmProvider.name} provider failed (${error.message}), so sample data was used.`
+    );
+    return createMockGalaxyData(topic, options);
+  }
+}
+
+/**
+ * The systems whose topic or star name is the same topic as `topic`, ignoring
+ * case and punctuation (see normalizeTopic).
+ * @returns {string[]} Their document IDs.
+ */
+function findSystemsWithTopic(topic) {
+  const key = normalizeTopic(topic);
+  if (!key) return [];
+  return [...celestialObjects.keys()].filter((id) => {
+    if (streamingPreviewIds.has(id)) return false;
+    const data = celestialObjects.get(id).systemGroup.userData.fullData;
+    return (
+      normalizeTopic(data.topic) === key ||
+      normalizeTopic(data.star.name) === key
+    );
+  });
+}
+
+/**
+ * Asks what to do about a topic that is already in the galaxy.
+ * @returns {Promise<"open" | "variant" | "replace" | null>} Null if cancelled.
+ */
+function chooseDuplicateAction(topic, existingId) {
+  const existingName =
+    celestialObjects.get(existingId).systemGroup.userData.fullData.star.name;
+  return chooseAction(
+    `"${existingName}" is already in this galaxy. Open it, generate a variant with different planets, or replace it with a new system?`,
+    [
+      { value: "open", label: "Open Existing" },
+      { value: "variant", label: "Make a Variant" },
+      { value: "replace", label: "Replace", danger: true },
+    ]
+  );
+}
+
+async function handleGenerateStar() {
+  const topic = topicInput.value.trim();
+  if (!topic || !userId || !canEditGalaxy(activeGalaxyRole)) return;
+
+  // The same topic again would only add an identical-looking star
+  const [existingId] = findSystemsWithTopic(topic);
+  let origin = {};
+  if (existingId) {
+    const choice = await chooseDuplicateAction(topic, existingId);
+    if (!choice) return;
+    if (choice === "open") {
+      topicInput.value = "";
+      navigateToStar(existingId);
+      return;
+    }
+    origin =
+      choice === "variant"
+        ? { variantOf: existingId }
+        : { replaces: existingId };
+  }
+
+  setLoading(true);
+
+  // Ask the configured LLM provider (sample data with the fixture provider) and
+  // save the result through the galaxy repository
+  try {
+    await generateAndSaveSystem(topic, getGenerationOptions(), origin);
+    topicInput.value = ""; // Clear input on success
+  } catch (error) {
+    console.error("Failed to create star system:", error);
+    // The topic stays in the input, so it can be retried or corrected
+    showError(error.message, {
+      actionLabel: "Retry",
+      onAction: () => {
+        topicInput.value = topic;
+        handleGenerateStar();
+      },
+    });
+  }
+
+  setLoading(false);
+}
+
+/**
+ * Names the star after its topic and gives the star and planets their colors.
+ * @param {object} [reuseFrom] An earlier version of the same system (e.g. its
+ *   streamed preview) whose colors are kept.
+ */
+function assignSystemColors(generatedData, topic, reuseFrom = null) {
+  generatedData.star.name = topic;
+  generatedData.star.color =
+    reuseFrom?.star.color ??
+    STAR_COLORS[Math.floor(Math.random() * STAR_COLORS.length)];
+  generatedData.planets.forEach((planet, index) => {
+    planet.color = reuseFrom?.planets[index]?.color ?? getRandomColor();
+    // Moons are static gray, so we don't need to assign them colors.
+  });
+}
+
+/**
+ * Generates a star system and saves it. The response is streamed: the star
+ * appears as soon as it has arrived and each planet and moon flies into orbit
+ * once it has been read. If the stream breaks off, the user can keep the part
+ * that arrived.
+ * @throws {Error} With a message that says whether generating or saving failed.
+ * @param {string} topic
+ * @param {object} options The normalized generation options.
+ * @param {object} [origin]
+ * @param {object} [origin.context] The expanded body, if any.
+ * @param {object} [origin.parent]
+ * @param {string} [origin.variantOf] A system on the same topic to differ from;
+ *   the new star gets a numbered name next to it, e.g. "Topic (2)".
+ * @param {string} [origin.replaces] A system on the same topic that is moved to
+ *   the trash once the new one is saved.
+ * @returns {Promise<string | null>} The new system's ID, or null if discarded.
+ */
+async function generateAndSaveSystem(
+  topic,
+  options,
+  { context, parent, variantOf, replaces } = {}
+) {
+  const variantData =
+    variantOf && celestialObjects.get(variantOf)?.systemGroup.userData.fullData;
+  const starName = variantData
+    ? makeUniqueName(
+        topic,
+        new Set(
+          [...celestialObjects.values()].map(({ systemGroup }) =>
+            systemGroup.userData.fullData.star.name.toLowerCase()
+          )
+        )
+      )
+    : topic;
+  // Reserved up front so the preview already stands where the system is saved
+  const id = galaxyRepository.newId();
+  const position = chooseNewSystemPosition({
+    star: { name: topic, description: "" },
+    planets: [],
+    parent,
+  });
+  let preview = null;
+
+  let generatedData;
+  try {
+    generatedData = await generateStarSystemData(topic, options, {
+      context,
+      variantOf: variantData,
+      onPartial: (partialData) => {
+        assignSystemColors(partialData, starName, preview);
+        renderStreamingPreview(id, { ...partialData, parent, position });
+        preview = partialData;
+      },
+    });
+  } catch (error) {
+    if (!error.partialData) {
+      discardStreamingPreview(id);
+      throw new Error(`Could not generate "${topic}": ${error.message}`, {
+        cause: error,
+      });
+    }
+    console.error("Generation stopped partway:", error);
+    const planetCount = error.partialData.planets.length;
+    const keep = await confirmAction(
+      `Generating "${topic}" stopped partway (${
+        error.message
+      }). Keep the ${planetCount} planet${
+        planetCount === 1 ? "" : "s"
+      } that arrived?`,
+      { confirmLabel: "Keep", cancelLabel: "Discard" }
+    );
+    if (!keep) {
+      discardStreamingPreview(id);
+      return null;
+    }
+    generatedData = validateStarSystem(error.partialData, options).data;
+  }
+
+  assignSystemColors(generatedData, starName, preview);
+  // Saved with the system so it can be regenerated the same way
+  generatedData.generationOptions = options;
+  if (parent) generatedData.parent = parent;
+  generatedData.position = position;
+  try {
+    await saveStarSystem(generatedData, topic, id);
+  } catch (error) {
+    discardStreamingPreview(id);
+    throw new Error(`Could not save "${topic}": ${error.message}`, {
+      cause: error,
+    });
+  }
+  if (replaces) await trashReplacedSystem(replaces, id);
+  return id;
+}
+
+/**
+ * Moves a system that was replaced by a new one to the trash. Undo brings the
+ * old system back and moves the new one to the trash instead.
+ */
+async function trashReplacedSystem(oldId, newId) {
+  try {
+    await galaxyRepository.update(oldId, { deletedAt: Date.now() });
+    showToast("The replaced system was moved to the trash.", {
+      actionLabel: "Undo",
+      onAction: async () => {
+        await restoreStarSystem(oldId);
+        galaxyRepository
+          .update(newId, { deletedAt: Date.now() })
+          .catch((error) => {
+            console.error("Error trashing the new star system:", error);
+            showError("The new system could not be moved to the trash.");
+          });
+      },
+    });
+  } catch (error) {
+    console.error("Error trashing the replaced star system:", error);
+    showError(
+      "The new system was saved, but the old one could not be moved to the trash."
+    );
+  }
+}
+
+/**
+ * Shows a system that is still being generated. New planets and moons fly in
+ * from the body they orbit; bodies that were already shown keep their orbits.
+ */
+function renderStreamingPreview(docId, data) {
+  const position = fromStoredPosition(data.position);
+  if (!celestialObjects.has(docId)) {
+    streamingPreviewIds.add(docId);
+    createStarSystem(data, docId, position);
+    focusCameraOn(position);
+    return;
+  }
+  const shownKeys = new Set(
+    celestialObjects.get(docId).clickable.map((o) => getBodyKey(o.userData))
+  );
+  updateStarSystem(docId, data);
+  celestialObjects
+    .get(docId)
+    .clickable.filter((o) => !shownKeys.has(getBodyKey(o.userData)))
+    .forEach(flyIntoOrbit);
+}
+
+/**
+ * Grows a body from the center of what it orbits out to its place in the orbit.
+ * @param {THREE.Mesh} mesh
+ */
+function flyIntoOrbit(mesh) {
+  const target = mesh.position.clone();
+  const duration = 800;
+  const startTime = performance.now();
+  mesh.position.set(0, 0, 0);
+  mesh.scale.setScalar(0.01);
+
+  const step = () => {
+    const progress = Math.min((performance.now() - startTime) / duration, 1);
+    const eased = 1 - Math.pow(1 - progress, 3);
+    mesh.position.lerpVectors(new THREE.Vector3(), target, eased);
+    mesh.scale.setScalar(Math.max(eased, 0.01));
+    if (progress < 1) requestAnimationFrame(step);
+  };
+  requestAnimationFrame(step);
+}
+
+function discardStreamingPreview(docId) {
+  if (!streamingPreviewIds.delete(docId)) return;
+  removeStarFromScene(docId);
+}
+
+/**
+ * Picks the stored position for a new system.
+ * @param {object} data The system's data; `parent` is set for expanded systems.
+ */
+function chooseNewSystemPosition(data) {
+  const siblingCount = data.parent
+    ? findChildSystemIds(data.parent.docId).length
+    : 0;
+  // Trashed systems keep their spot, so they can be restored to it
+  const occupied = new Map(starPositions);
+  trashedSystems.forEach((trashed, id) => {
+    if (trashed.position)
+      occupied.set(id, fromStoredPosition(trashed.position));
+  });
+  queuedPositions.forEach((position, id) => occupied.set(id, position));
+  return (
+    (layoutMode === "semantic" &&
+      !data.parent &&
+      findSemanticPositionForNewSystem(data)) ||
+    toStoredPosition(calculateNewSystemPosition(data, occupied, siblingCount))
+  );
+}
+
+/**
+ * Saves a generated system through the galaxy repository. The subscription in
+ * loadUserGalaxy renders it, flashes it, and selects it.
+ * @param {string} [id] A document ID reserved earlier, e.g. for a streamed preview.
+ * @returns {Promise<string>} The new system's document ID.
+ */
+async function saveStarSystem(
+  generatedData,
+  topic,
+  id = galaxyRepository.newId()
+) {
+  // The position is calculated once and stored with the system
+  if (!generatedData.position) {
+    generatedData.position = chooseNewSystemPosition(generatedData);
+  }
+
+  // Set the global flag first so the listener knows to flash this specific star
+  starIdToFlash = id;
+  try {
+    await galaxyRepository.create(id, { ...generatedData, topic: topic });
+  } catch (error) {
+    starIdToFlash = null;
+    throw error;
+  }
+  return id;
+}
+
+// --- GALAXY LAYOUT LOGIC ---
+
+/**
+ * Moves a rendered system to a new position without rebuilding it.
+ */
+function moveStarSystem(docId, position) {
+  const starSystem = celestialObjects.get(docId);
+  if (!starSystem) return;
+  starSystem.systemGroup.position.copy(position);
+  starSystem.systemGroup.userData.fullData.position =
+    toStoredPosition(position);
+  starPositions.set(docId, position);
+}
+
+/**
+ * In semantic layout mode, places a new top-level system next to the most similar
+ * existing one. Returns null if nothing in the galaxy is related.
+ */
+function findSemanticPositionForNewSystem(data) {
+  const existing = [];
+  celestialObjects.forEach(({ systemGroup }, id) => {
+    const fullData = systemGroup.userData.fullData;
+    if (fullData.parent) return;
+    existing.push({
+      id,
+      data: fullData,
+      position: toStoredPosition(starPositions.get(id)),
+    });
+  });
+  return findSemanticNeighborPosition({ id: "new-system", data }, existing, {
+    spacing: GRID_SPACING,
+    minDistance: STAR_SPACING,
+  });
+}
+
+function handleLayoutModeChange() {
+  layoutMode = layoutModeSelect.value;
+  localStorage.setItem(LAYOUT_MODE_STORAGE_KEY, layoutMode);
+  handleRelayoutGalaxy();
+}
+
+/**
+ * Recomputes the position of every system in creation order (or by topic
+ * similarity in semantic mode) and saves them all.
+ */
+async function handleRelayoutGalaxy() {
+  if (celestialObjects.size === 0) return;
+  if (
+    !(await confirmAction(
+      "Re-layout the galaxy? Every star system will be moved to a new position.",
+      { confirmLabel: "Re-layout" }
+    ))
+  ) {
+    return;
+  }
+
+  const systems = [...celestialObjects]
+    .map(([id, { systemGroup }]) => ({
+      id,
+      data: systemGroup.userData.fullData,
+    }))
+    .sort((a, b) => (a.data.createdAt ?? 0) - (b.data.createdAt ?? 0));
+  const positions = calculateSystemPositions(systems);
+  positions.forEach((position, id) => moveStarSystem(id, position));
+
+  if (selectedStarId) {
+    navigateToStar(selectedStarId, false);
+  }
+
+  try {
+    const updates = new Map();
+    positions.forEach((position, id) => {
+      locallyEditedIds.add(id);
+      updates.set(id, { position: toStoredPosition(position) });
+    });
+    await galaxyRepository.updateMany(updates);
+  } catch (error) {
+    console.error("Error saving the new galaxy layout:", error);
+    positions.forEach((position, id) => locallyEditedIds.delete(id));
+    showError("There was an error saving the new layout. Please try again.");
+  }
+}
+
+// --- GALAXY IMPORT / EXPORT LOGIC ---
+
+// The validated contents of the file being previewed for import
+let pendingImport = null;
+
+/**
+ * Lists the systems in the galaxy, leaving out the ones in the trash.
+ */
+async function listGalaxySystems() {
+  return (await galaxyRepository.list()).filter((s) => !s.data.deletedAt);
+}
+
+/**
+ * Offers generated content to the user as a file download.
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Exports every star system in the galaxy to a versioned JSON file.
+ */
+async function handleExportGalaxy() {
+  if (!galaxyRepository) return;
+  try {
+    const systems = await listGalaxySystems();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `yoursol-galaxy-${date}.json`,
+      JSON.stringify(createGalaxyExport(systems), null, 2),
+      "application/json"
+    );
+  } catch (error) {
+    console.error("Error exporting the galaxy:", error);
+    showError("There was an error exporting your galaxy. Please try again.");
+  }
+}
+
+/**
+ * Reads and validates the selected galaxy file, then shows the import preview.
+ */
+async function handleImportFileSelected() {
+  const file = importGalaxyInput.files[0];
+  importGalaxyInput.value = ""; // Allow the same file to be selected again
+  if (!file || !galaxyRepository) return;
+
+  try {
+    const existing = await listGalaxySystems();
+    pendingImport = parseGalaxyExport(await file.text(), existing);
+    renderImportPreview();
+  } catch (error) {
+    console.error("Error reading the galaxy file:", error);
+    showError(`This file cannot be imported: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the systems of the pending import. New systems are selected by default;
+ * duplicates of systems already in the galaxy are not.
+ */
+function renderImportPreview() {
+  importPreviewList.innerHTML = "";
+
+  pendingImport.systems.forEach((system, index) => {
+    const li = document.createElement("li");
+    const label = document.createElement("label");
+    label.className = "flex items-center space-x-2 cursor-pointer";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = !system.duplicate;
+    checkbox.dataset.index = index;
+    checkbox.addEventListener("change", updateImportConfirmButton);
+    const name = document.createElement("span");
+    const moonCount = system.data.planets.reduce(
+      (sum, planet) => sum + planet.moons.length,
+      0
+    );
+    name.textContent = `${system.data.star.name} (${system.data.planets.length} planets, ${moonCount} moons)`;
+    label.append(checkbox, name);
+    if (system.duplicate) {
+      const badge = document.createElement("span");
+      badge.className = "text-xs text-yellow-400";
+      badge.textContent = "duplicate";
+      label.appendChild(badge);
+    }
+    li.appendChild(label);
+    importPreviewList.appendChild(li);
+  });
+
+  pendingImport.skipped.forEach(({ index, reason }) => {
+    const li = document.createElement("li");
+    li.className = "text-xs text-red-400";
+    li.textContent = `Skipped system ${index + 1}: ${reason}`;
+    importPreviewList.appendChild(li);
+  });
+
+  updateImportConfirmButton();
+  importPreview.classList.remove("hidden");
+}
+
+function getSelectedImportSystems() {
+  return [...importPreviewList.querySelectorAll("input[type=checkbox]")]
+    .filter((checkbox) => checkbox.checked)
+    .map((checkbox) => pendingImport.systems[Number(checkbox.dataset.index)]);
+}
+
+function updateImportConfirmButton() {
+  const count = getSelectedImportSystems().length;
+  importConfirmBtn.textContent = `Import ${count} System${
+    count === 1 ? "" : "s"
+  }`;
+  importConfirmBtn.disabled = count === 0;
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  importPreviewList.innerHTML = "";
+  importPreview.classList.add("hidden");
+}
+
+/**
+ * Saves the selected systems through the same path as newly generated ones.
+ * Links between imported parent and child systems are kept; links to systems
+ * that were not imported are dropped.
+ */
+async function handleConfirmImport() {
+  if (!pendingImport) return;
+  const selected = orderForImport(getSelectedImportSystems());
+  if (selected.length === 0) return;
+
+  setLoading(true);
+  importConfirmBtn.disabled = true;
+  const newIds = new Map(); // Exported ID -> ID in this galaxy
+  let failed = 0;
+
+  for (const system of selected) {
+    const data = structuredClone(system.data);
+    const parentId = data.parent && newIds.get(data.parent.docId);
+    if (parentId) {
+      data.parent.docId = parentId;
+    } else {
+      delete data.parent;
+    }
+    // Systems exported without colors get them now, so they render the same every time
+    data.star.color ??=
+      STAR_COLORS[Math.floor(Math.random() * STAR_COLORS.length)];
+    data.planets.forEach((planet) => {
+      planet.color ??= getRandomColor();
+    });
+
+    try {
+      const id = await saveStarSystem(data, data.topic);
+      if (system.sourceId) newIds.set(system.sourceId, id);
+    } catch (error) {
+      console.error(`Failed to import "${data.star.name}":`, error);
+      failed++;
+    }
+  }
+
+  setLoading(false);
+  closeImportPreview();
+  if (failed > 0) {
+    showError(
+      `${failed} of ${selected.length} star systems could not be imported. Please try again.`
+    );
+  }
+}
+
+/**
+ * Turns a name into a safe file name, e.g. "Machine Learning!" -> "machine-learning".
+ */
+function toFileSlug(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "") || "export"
+  );
+}
+
+/**
+ * Downloads star systems as a Markdown, OPML, or FreeMind outline.
+ * @param {string} format A key of OUTLINE_FORMATS.
+ * @param {object[]} systems Star system data objects.
+ * @param {string} title Title of the outline (used for the file name too).
+ */
+function downloadOutline(format, systems, title) {
+  const { extension, mimeType } = OUTLINE_FORMATS[format];
+  downloadFile(
+    `${toFileSlug(title)}.${extension}`,
+    exportOutline(format, systems, title),
+    mimeType
+  );
+}
+
+/**
+ * Exports the system of the body shown in the info panel as an outline.
+ */
+function handleExportSystemOutline() {
+  const format = exportSystemSelect.value;
+  exportSystemSelect.value = ""; // Reset so the menu works like a button
+  const starSystem =
+    currentInfoData && celestialObjects.get(currentInfoData.docId);
+  if (!format || !starSystem) return;
+
+  const data = starSystem.systemGroup.userData.fullData;
+  downloadOutline(format, [data], `${data.star.name} System`);
+}
+
+/**
+ * Exports every system in the galaxy as a single outline.
+ */
+async function handleExportGalaxyOutline() {
+  const format = exportGalaxyOutlineSelect.value;
+  exportGalaxyOutlineSelect.value = "";
+  if (!format || !galaxyRepository) return;
+
+  try {
+    const systems = await listGalaxySystems();
+    if (systems.length === 0) {
+      showToast("Your galaxy is empty, so there is nothing to export yet.");
+      return;
+    }
+    downloadOutline(
+      format,
+      systems.map((s) => s.data),
+      "Your Sol Galaxy"
+    );
+  } catch (error) {
+    console.error("Error exporting the galaxy outline:", error);
+    showError("There was an error exporting your galaxy. Please try again.");
+  }
+}
+
+// --- SYSTEM EXPANSION (DRILL DOWN) LOGIC ---
+
+/**
+ * Returns the IDs of all systems that were expanded from bodies of the given system.
+ */
+function findChildSystemIds(parentDocId) {
+  const ids = [];
+  celestialObjects.forEach(({ systemGroup }, id) => {
+    if (systemGroup.userData.fullData.parent?.docId === parentDocId) {
+      ids.push(id);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Returns the ID of the system expanded from a specific planet or moon, if any.
+ * @param {object} bodyData The userData (or equivalent) of the planet or moon.
+ */
+function findExpandedSystemId(bodyData) {
+  return findChildSystemIds(bodyData.docId).find((id) => {
+    const parent =
+      celestialObjects.get(id).systemGroup.userData.fullData.parent;
+    return (
+      parent.type === bodyData.type &&
+      parent.planetIndex === bodyData.planetIndex &&
+      (parent.moonIndex ?? null) === (bodyData.moonIndex ?? null)
+    );
+  });
+}
+
+/**
+ * Turns the planet or moon shown in the info panel into its own star system,
+ * generated with its parent star as context and linked back to its origin.
+ */
+function handleExpandBody() {
+  expandBody(currentInfoData);
+}
+
+/**
+ * Generates a star system for a planet or moon, or jumps to it if the body was
+ * already expanded.
+ */
+async function expandBody(bodyData) {
+  if (!bodyData || !bodyData.docId || bodyData.type === "star" || !userId) {
+    return;
+  }
+
+  // Already expanded: just jump to the existing child system
+  const existingId = findExpandedSystemId(bodyData);
+  if (existingId) {
+    navigateToStar(existingId);
+    return;
+  }
+
+  const parentSystem = celestialObjects.get(bodyData.docId);
+  if (!parentSystem) return;
+  const parentStar = parentSystem.systemGroup.userData.fullData.star;
+  const topic = bodyData.name;
+
+  setLoading(true);
+
+  try {
+    await generateAndSaveSystem(topic, getGenerationOptions(), {
+      context: { parentStar, body: bodyData },
+      parent: {
+        docId: bodyData.docId,
+        type: bodyData.type,
+        name: bodyData.name,
+        planetIndex: bodyData.planetIndex,
+        moonIndex: bodyData.moonIndex ?? null,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to create expanded star system:", error);
+    showError(error.message, {
+      actionLabel: "Retry",
+      onAction: () => expandBody(bodyData),
+    });
+  }
+
+  setLoading(false);
+}
+
+// --- STAR DELETION LOGIC ---
+
+/**
+ * Removes a star system from the 3D scene and cleans up its Three.js resources
+ * to prevent memory leaks.
+ * @param {string} docId The ID of the star system to remove.
+ */
+function removeStarFromScene(docId) {
+  const obj = celestialObjects.get(docId);
+  if (!obj) return;
+
+  // 1. Remove the entire group from the scene
+  scene.remove(obj.systemGroup);
+
+  // 2. Traverse all objects in the group to dispose of their geometry and material
+  obj.systemGroup.traverse((child) => {
+    if (child.isMesh) {
+      child.geometry.dispose();
+      if (Array.isArray(child.material)) {
+        child.material.forEach((m) => m.dispose());
+      } else {
+        child.material.dispose();
+      }
+    }
+  });
+
+  // 3. Remove the star from our internal tracking maps
+  celestialObjects.delete(docId);
+  starPositions.delete(docId);
+}
+
+/**
+ * Removes the corresponding star entry from the sidebar list.
+ * @param {string} docId The ID of the star system to remove.
+ */
+function removeStarFromList(docId) {
+  const listItem = starList.querySelector(`li[data-doc-id="${docId}"]`);
+  if (listItem) {
+    listItem.remove();
+  }
+}
+
+/**
+ * Resets the main info panel to its default, welcoming state.
+ */
+function clearInfoPanel() {
+  selectedStarId = null;
+  if (presence) presence.setViewing(null);
+  // 1. Reset the text and styles of the left column
+  infoTitle.textContent = "Select a Celestial Body";
+  infoDescription.textContent =
+    "Click on a star, planet, or moon in the 3D space, or select a system from the sidebar to view its details here.";
+  infoTitle.className = "text-xl font-bold mb-1 text-yellow-400 mt-0";
+
+  // 2. Hide the delete and edit controls
+  currentInfoData = null;
+  deleteStarBtn.classList.add("hidden");
+  editBodyBtn.classList.add("hidden");
+  editBodyForm.classList.add("hidden");
+  expandBodyBtn.classList.add("hidden");
+  exportSystemSelect.classList.add("hidden");
+  shareSystemBtn.classList.add("hidden");
+  studySystemBtn.classList.add("hidden");
+  masterySelect.classList.add("hidden");
+  moveSystemSelect.classList.add("hidden");
+  referencesPanel.classList.add("hidden");
+  chatPanel.classList.add("hidden");
 
-  if (intersects.length > 0) {
-    const object = intersects[0].object;
-    const data = object.userData;
-    let tooltipText = "";
+  // 3. CRUCIAL: Hide the system navigator (the right column)
+  if (systemNavigator) {
+    systemNavigator.classList.add("hidden");
+  } else {
+    console.warn('UI element with ID "system-navigator" was not found.');
+  }
+}
 
-    // Generate hierarchical tooltip text
-    if (data.type === "star") {
-      // Use the actual Star Name (e.g., "Quantum System")
-      tooltipText = `${data.name} System\n(Click to Navigate)`;
-    } else if (data.type === "planet") {
-      // Star Name System / Planet Name Planet
-      tooltipText = `${data.parentStarName} System\n${data.name} Planet`;
-    } else if (data.type === "moon") {
-      // Star Name System / Planet Name Moon / Moon Name
-      tooltipText = `${data.parentStarName} System\n${data.parentPlanetName} Planet Moon\n${data.name}`;
+/**
+ * The main handler for the delete button click event. It moves the system to the
+ * trash (a soft delete through the galaxy repository) and offers an "Undo" toast;
+ * the subscription then cleans up the UI and the 3D scene.
+ */
+async function handleDeleteStar() {
+  const docId = deleteStarBtn.dataset.docId;
+  if (!docId || !canEditGalaxy(activeGalaxyRole)) return;
+  const starName =
+    celestialObjects.get(docId)?.systemGroup.userData.fullData.star.name;
+
+  try {
+    await galaxyRepository.update(docId, { deletedAt: Date.now() });
+    console.log(
+      "Star system moved to the trash. The subscription will now update the UI."
+    );
+    showToast(`"${starName}" was moved to the trash.`, {
+      actionLabel: "Undo",
+      onAction: () => restoreStarSystem(docId),
+    });
+  } catch (error) {
+    console.error("Error deleting star system:", error);
+    showError("There was an error deleting the star system. Please try again.");
+  }
+}
+
+// --- TRASH LOGIC ---
+
+function getTrashRetentionDays() {
+  const stored = localStorage.getItem(TRASH_RETENTION_STORAGE_KEY);
+  return stored === null ? DEFAULT_TRASH_RETENTION_DAYS : Number(stored);
+}
+
+/**
+ * Brings a trashed system back to its original position in the galaxy.
+ */
+async function restoreStarSystem(docId) {
+  try {
+    await galaxyRepository.update(docId, { deletedAt: null });
+  } catch (error) {
+    console.error("Error restoring star system:", error);
+    showError(
+      "There was an error restoring the star system. Please try again."
+    );
+  }
+}
+
+/**
+ * Permanently deletes a trashed system.
+ */
+async function purgeStarSystem(docId) {
+  if (purgingIds.has(docId)) return;
+  purgingIds.add(docId);
+  try {
+    await galaxyRepository.remove(docId);
+  } finally {
+    purgingIds.delete(docId);
+  }
+}
+
+/**
+ * Permanently deletes trashed systems older than the retention period. The
+ * retention period is a setting of this browser, so in a shared galaxy only
+ * the owner's setting applies: other members never purge.
+ */
+function purgeExpiredTrash() {
+  if (activeGalaxyRole !== "owner") return;
+  const retentionDays = getTrashRetentionDays();
+  if (!retentionDays) return; // "Never"
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  trashedSystems.forEach((data, docId) => {
+    if (data.deletedAt < cutoff) {
+      purgeStarSystem(docId).catch((error) =>
+        console.error("Failed to purge expired star system:", error)
+      );
     }
+  });
+}
 
-    // Use innerHTML and replace newline with <br> for multi-line tooltip
-    tooltip.innerHTML = tooltipText.replace(/\n/g, "<br>");
+/**
+ * Rebuilds the trash list in the sidebar, most recently deleted first.
+ */
+function renderTrashList() {
+  trashList.innerHTML = "";
+  trashCount.textContent = trashedSystems.size;
+  emptyTrashBtn.disabled = trashedSystems.size === 0;
+
+  [...trashedSystems]
+    .sort(([, a], [, b]) => b.deletedAt - a.deletedAt)
+    .forEach(([docId, data]) => {
+      const li = document.createElement("li");
+      li.className =
+        "flex justify-between items-center p-2 rounded-lg bg-gray-800 text-sm";
+      const text = document.createElement("div");
+      const name = document.createElement("div");
+      name.className = "text-gray-300";
+      name.textContent = data.star.name;
+      const deletedAt = document.createElement("div");
+      deletedAt.className = "text-xs text-gray-500";
+      deletedAt.textContent = `Deleted ${new Date(
+        data.deletedAt
+      ).toLocaleString()}`;
+      text.append(name, deletedAt);
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.className = "text-xs text-blue-400 hover:text-blue-300";
+      restoreBtn.textContent = "Restore";
+      restoreBtn.addEventListener("click", () => restoreStarSystem(docId));
+
+      li.append(text, restoreBtn);
+      trashList.appendChild(li);
+    });
+}
 
-    // Position tooltip near mouse, slightly offset
-    tooltip.style.left = `${event.clientX + 10}px`;
-    tooltip.style.top = `${event.clientY - 20}px`;
-    tooltip.classList.remove("hidden", "opacity-0");
-    tooltip.classList.add("opacity-100");
+function toggleTrashPanel() {
+  const isHidden = trashPanel.classList.toggle("hidden");
+  trashToggleIcon.textContent = isHidden ? "▸" : "▾";
+}
+
+function handleTrashRetentionChange() {
+  localStorage.setItem(TRASH_RETENTION_STORAGE_KEY, trashRetentionSelect.value);
+  purgeExpiredTrash();
+}
+
+async function handleEmptyTrash() {
+  if (trashedSystems.size === 0) return;
+  if (
+    !(await confirmAction(
+      `Permanently delete ${trashedSystems.size} star system(s) in the trash? This cannot be undone.`,
+      { confirmLabel: "Delete", danger: true }
+    ))
+  ) {
+    return;
+  }
+
+  const results = await Promise.allSettled(
+    [...trashedSystems.keys()].map((docId) => purgeStarSystem(docId))
+  );
+  if (results.some((result) => result.status === "rejected")) {
+    console.error("Error emptying the trash:", results);
+    showError("Some star systems could not be deleted. Please try again.");
+  }
+}
+
+// --- ASK THE STAR LOGIC ---
+
+/**
+ * Identifies the body a conversation is about. Uses the body's place in the
+ * system, so a conversation survives renaming the body.
+ */
+function getChatKey(bodyData) {
+  return `${bodyData.docId}:${getBodyKey(bodyData)}`;
+}
+
+/**
+ * Shows the conversation about the body in the info panel.
+ */
+function renderChatPanel() {
+  const bodyData = currentInfoData;
+  const starSystem = bodyData?.docId && celestialObjects.get(bodyData.docId);
+  if (!starSystem) {
+    chatPanel.classList.add("hidden");
+    return;
+  }
+  chatPanel.classList.remove("hidden");
+
+  // Answers about the star itself need to be told which planet they belong to
+  const planets = starSystem.systemGroup.userData.fullData.planets;
+  if (getPlanetIndexForAnswer(bodyData) === null) {
+    const selected = chatPlanetSelect.value;
+    chatPlanetSelect.innerHTML = "";
+    planets.forEach((planet, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = planet.name;
+      chatPlanetSelect.appendChild(option);
+    });
+    if (selected && Number(selected) < planets.length) {
+      chatPlanetSelect.value = selected;
+    }
+    chatPlanetLabel.classList.remove("hidden");
   } else {
-    tooltip.classList.add("opacity-0");
-    tooltip.classList.remove("opacity-100");
-    // Hide after transition
-    setTimeout(() => {
-      if (tooltip.classList.contains("opacity-0")) {
-        tooltip.classList.add("hidden");
+    chatPlanetLabel.classList.add("hidden");
+  }
+
+  chatMessages.innerHTML = "";
+  const messages = chatConversations.get(getChatKey(bodyData)) || [];
+  messages.forEach((message) => {
+    const li = document.createElement("li");
+    li.className =
+      message.role === "user"
+        ? "ml-8 p-2 rounded-lg bg-purple-900 text-white"
+        : "mr-8 p-2 rounded-lg bg-gray-700 text-gray-200";
+    const text = document.createElement("p");
+    text.className = "whitespace-pre-line";
+    text.textContent = message.text || "…";
+    li.appendChild(text);
+
+    if (message.role === "assistant" && !message.pending) {
+      if (message.savedAs) {
+        const saved = document.createElement("p");
+        saved.className = "mt-1 text-xs text-gray-400";
+        saved.textContent = `Saved as the moon "${message.savedAs}".`;
+        li.appendChild(saved);
+      } else {
+        const saveBtn = document.createElement("button");
+        saveBtn.className =
+          "edit-only mt-1 text-xs font-bold text-purple-400 hover:text-purple-300";
+        saveBtn.textContent = "Save as moon";
+        saveBtn.addEventListener("click", () =>
+          saveAnswerAsMoon(bodyData, message)
+        );
+        li.appendChild(saveBtn);
       }
-    }, 150);
+    }
+    chatMessages.appendChild(li);
+  });
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function handleAskQuestion(event) {
+  event.preventDefault();
+  const question = chatInput.value.trim();
+  if (!question || !currentInfoData?.docId) return;
+  chatInput.value = "";
+  askQuestion(currentInfoData, question);
+}
+
+/**
+ * Asks the configured model about a body, streaming the answer into the
+ * conversation. The whole system goes along as context.
+ */
+async function askQuestion(bodyData, question) {
+  const starSystem = celestialObjects.get(bodyData.docId);
+  if (!starSystem) return;
+
+  const key = getChatKey(bodyData);
+  if (!chatConversations.has(key)) chatConversations.set(key, []);
+  const messages = chatConversations.get(key);
+  const history = messages.map(({ role, text }) => ({ role, text }));
+  const answer = { role: "assistant", text: "", question, pending: true };
+  messages.push({ role: "user", text: question }, answer);
+  const renderIfShown = () => {
+    if (currentInfoData && getChatKey(currentInfoData) === key) {
+      renderChatPanel();
+    }
+  };
+  renderIfShown();
+
+  try {
+    answer.text = await askAboutBody(
+      llmProvider,
+      {
+        systemData: starSystem.systemGroup.userData.fullData,
+        body: bodyData,
+        messages: [...history, { role: "user", text: question }],
+      },
+      (text) => {
+        answer.text = text;
+        renderIfShown();
+      }
+    );
+    answer.pending = false;
+  } catch (error) {
+    console.error("Failed to answer the question:", error);
+    // The question is taken back out, so it can be asked again
+    messages.splice(messages.indexOf(answer) - 1, 2);
+    showError(`Could not answer "${question}": ${error.message}`, {
+      actionLabel: "Retry",
+      onAction: () => askQuestion(bodyData, question),
+    });
+  }
+  renderIfShown();
+}
+
+/**
+ * Adds an answer to the system as a new moon, on the planet the question was
+ * about (or the one chosen for questions about the star).
+ */
+async function saveAnswerAsMoon(bodyData, message) {
+  const starSystem = celestialObjects.get(bodyData.docId);
+  if (!starSystem || !canEditGalaxy(activeGalaxyRole)) return;
+  const planetIndex =
+    getPlanetIndexForAnswer(bodyData) ?? Number(chatPlanetSelect.value);
+
+  const name = await askForText("Name the new moon:", {
+    defaultValue: suggestMoonName(message.question),
+    confirmLabel: "Save",
+  });
+  if (!name?.trim()) return;
+
+  let moon, planet;
+  try {
+    // The moon is added to the latest data, so edits made meanwhile are kept;
+    // the snapshot rebuilds the system with the new moon
+    await galaxyRepository.modify(bodyData.docId, (data) => {
+      planet = data.planets[planetIndex];
+      if (!planet) throw new Error("This planet no longer exists.");
+      moon = createMoonFromAnswer(data, name, message.text);
+      planet.moons = [...(planet.moons || []), moon];
+      return { planets: data.planets };
+    });
+    message.savedAs = moon.name;
+    renderChatPanel();
+    showToast(`Saved "${moon.name}" as a moon of "${planet.name}".`);
+  } catch (error) {
+    console.error("Failed to save the answer as a moon:", error);
+    showError(`Could not save the moon: ${error.message}`);
+  }
+}
+
+// --- STUDY MODE LOGIC ---
+
+/**
+ * Loads the user's review schedule and mastery levels, shows what is due and
+ * redraws the bodies at their levels.
+ * @param {import("./reviewStore.js").ReviewStore} store
+ */
+async function loadReviews(store) {
+  reviewStore = store;
+  reviewStates = new Map();
+  masteryByCard = new Map();
+  try {
+    [reviewStates, masteryByCard] = await Promise.all([
+      store.loadAll(),
+      store.loadMastery(),
+    ]);
+  } catch (error) {
+    console.error("Failed to load the review schedule:", error);
+  }
+  celestialObjects.forEach((_, docId) => applySystemMastery(docId));
+  renderDueList();
+  if (currentInfoData) updateInfoPanel(currentInfoData);
+}
+
+/**
+ * The study cards of a rendered system.
+ */
+function getSystemCards(docId) {
+  const starSystem = celestialObjects.get(docId);
+  if (!starSystem || streamingPreviewIds.has(docId)) return [];
+  return buildStudyCards(docId, starSystem.systemGroup.userData.fullData);
+}
+
+function getDueCards() {
+  return [...celestialObjects.keys()]
+    .flatMap(getSystemCards)
+    .filter((card) => isDueToday(reviewStates.get(card.id)))
+    .sort(
+      (a, b) => reviewStates.get(a.id).dueAt - reviewStates.get(b.id).dueAt
+    );
+}
+
+/**
+ * Lists the planets and moons due for review today in the sidebar. Each entry
+ * opens its body in the 3D view.
+ */
+function renderDueList() {
+  if (!reviewStore) {
+    dueContainer.classList.add("hidden");
+    return;
+  }
+  const dueCards = getDueCards();
+  dueContainer.classList.remove("hidden");
+  dueCount.textContent = dueCards.length;
+  reviewDueBtn.disabled = dueCards.length === 0;
+  dueList.innerHTML = "";
+  if (dueCards.length === 0) {
+    const li = document.createElement("li");
+    li.className = "text-gray-500 italic";
+    li.textContent = "Nothing to review.";
+    dueList.appendChild(li);
+    return;
+  }
+  dueCards.forEach((card) => {
+    const li = document.createElement("li");
+    li.className =
+      "p-1 rounded cursor-pointer hover:bg-gray-700 flex justify-between space-x-2";
+    const name = document.createElement("span");
+    name.className = "truncate";
+    name.textContent = card.name;
+    const systemName = document.createElement("span");
+    systemName.className = "text-xs text-gray-500 truncate";
+    systemName.textContent = card.systemName;
+    li.append(name, systemName);
+    li.addEventListener("click", () => showCardBody(card));
+    dueList.appendChild(li);
+  });
+}
+
+/**
+ * Moves the camera to a card's system and shows its body in the info panel.
+ */
+function showCardBody(card) {
+  if (!celestialObjects.has(card.systemId)) return;
+  navigateToStar(card.systemId);
+  const mesh = findBodyMesh(card.systemId, {
+    type: card.type,
+    planetIndex: card.planetIndex,
+    moonIndex: card.moonIndex ?? undefined,
+  });
+  if (mesh) updateInfoPanel(mesh.userData);
+}
+
+function handleStudySystem() {
+  const docId = currentInfoData?.docId;
+  const cards = docId ? getSystemCards(docId) : [];
+  if (cards.length === 0) {
+    showToast("This system has nothing to study yet.");
+    return;
+  }
+  // Due cards first, then new ones; if neither, practice everything
+  const due = cards.filter((card) => isDueToday(reviewStates.get(card.id)));
+  const fresh = cards.filter((card) => !reviewStates.has(card.id));
+  const session = due.length + fresh.length > 0 ? [...due, ...fresh] : cards;
+  openStudySession(`${cards[0].systemName} System`, session);
+}
+
+function handleReviewDue() {
+  const dueCards = getDueCards();
+  if (dueCards.length > 0) openStudySession("Due Today", dueCards);
+}
+
+/**
+ * Opens the study overlay for a list of cards, in the mode chosen last time.
+ */
+function openStudySession(title, cards) {
+  studySession = {
+    cards,
+    index: 0,
+    correctCount: 0,
+    // Per card: whether the answer is shown (flashcards) or which choice was picked
+    revealed: false,
+    pickedIndex: null,
+    questions: null,
+    isLoading: false,
+  };
+  studyTitle.textContent = `Study: ${title}`;
+  studyOverlay.classList.remove("hidden");
+  handleStudyModeChange();
+}
+
+function closeStudySession() {
+  studySession = null;
+  studyOverlay.classList.add("hidden");
+}
+
+/**
+ * Prepares the questions for the chosen mode: built from descriptions right
+ * away, or asked from the model per system.
+ */
+async function handleStudyModeChange() {
+  const session = studySession;
+  if (!session) return;
+  const mode = studyModeSelect.value;
+  session.questions = null;
+  session.revealed = false;
+  session.pickedIndex = null;
+
+  if (mode === "quiz") {
+    session.questions = new Map();
+    session.cards.forEach((card) => {
+      const question = buildDescriptionQuestion(
+        card,
+        getSystemCards(card.systemId)
+      );
+      if (question) session.questions.set(card.id, question);
+    });
+  } else if (mode === "ai-quiz") {
+    session.isLoading = true;
+    renderStudyCard();
+    const systemIds = [...new Set(session.cards.map((card) => card.systemId))];
+    try {
+      const results = await Promise.all(
+        systemIds.map((systemId) =>
+          generateQuizQuestions(
+            llmProvider,
+            celestialObjects.get(systemId).systemGroup.userData.fullData,
+            session.cards.filter((card) => card.systemId === systemId)
+          )
+        )
+      );
+      // The session was closed or switched to another mode in the meantime
+      if (session !== studySession || studyModeSelect.value !== mode) return;
+      session.questions = new Map(results.flatMap((result) => [...result]));
+    } catch (error) {
+      console.error("Failed to generate quiz questions:", error);
+      if (session !== studySession) return;
+      showError(`Could not write quiz questions: ${error.message}`, {
+        actionLabel: "Retry",
+        onAction: () => {
+          studyModeSelect.value = "ai-quiz";
+          handleStudyModeChange();
+        },
+      });
+      studyModeSelect.value = "quiz";
+      session.isLoading = false;
+      handleStudyModeChange();
+      return;
+    }
+    session.isLoading = false;
+  }
+  if (session === studySession) renderStudyCard();
+}
+
+function createStudyButton(label, className, onClick) {
+  const button = document.createElement("button");
+  button.className = `py-1 px-3 rounded text-sm font-bold text-white ${className}`;
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Shows the current card: a flashcard with grade buttons, or a multiple-choice
+ * question that is graded by whether the answer was right.
+ */
+function renderStudyCard() {
+  const session = studySession;
+  if (!session) return;
+  studyCard.innerHTML = "";
+  studyActions.innerHTML = "";
+  const addText = (text, className = "") => {
+    const p = document.createElement("p");
+    p.className = className;
+    p.textContent = text;
+    studyCard.appendChild(p);
+    return p;
+  };
+
+  if (session.isLoading) {
+    studyProgress.textContent = "";
+    addText("Writing quiz questions…", "text-gray-400 italic");
+    return;
+  }
+  if (session.index >= session.cards.length) {
+    studyProgress.textContent = "";
+    addText("Session complete!", "text-lg font-bold text-green-400");
+    const quizCount = session.questions ? session.cards.length : 0;
+    addText(
+      quizCount > 0
+        ? `You answered ${session.correctCount} of ${session.cards.length} correctly.`
+        : `You reviewed ${session.cards.length} card${
+            session.cards.length === 1 ? "" : "s"
+          }.`
+    );
+    studyActions.appendChild(
+      createStudyButton(
+        "Close",
+        "bg-gray-600 hover:bg-gray-500",
+        closeStudySession
+      )
+    );
+    return;
+  }
+
+  const card = session.cards[session.index];
+  studyProgress.textContent = `Card ${session.index + 1} of ${
+    session.cards.length
+  } · ${card.systemName}${card.planetName ? ` › ${card.planetName}` : ""}`;
+  const question = session.questions?.get(card.id);
+
+  if (question) {
+    addText(question.question, "font-semibold");
+    const picked = session.pickedIndex;
+    question.choices.forEach((choice, index) => {
+      let className = "bg-gray-700 hover:bg-gray-600";
+      if (picked !== null && index === question.answerIndex) {
+        className = "bg-green-700";
+      } else if (picked === index) {
+        className = "bg-red-700";
+      }
+      const button = createStudyButton(
+        choice,
+        `block w-full text-left font-normal ${className}`,
+        () => {
+          if (session.pickedIndex !== null) return;
+          session.pickedIndex = index;
+          renderStudyCard();
+        }
+      );
+      studyCard.appendChild(button);
+    });
+    if (picked !== null) {
+      const isCorrect = picked === question.answerIndex;
+      addText(
+        isCorrect
+          ? "Correct!"
+          : `The answer is "${card.name}": ${card.description}`,
+        isCorrect ? "text-green-400" : "text-gray-300"
+      );
+      studyActions.appendChild(
+        createStudyButton("Next", "bg-purple-600 hover:bg-purple-700", () =>
+          gradeStudyCard(isCorrect ? "good" : "again")
+        )
+      );
+    }
+    return;
+  }
+
+  // Flashcard: the name on the front, the description on the back
+  addText(card.type === "moon" ? "Moon" : "Planet", "text-xs text-gray-500");
+  addText(card.name, "text-lg font-bold");
+  if (!session.revealed) {
+    studyActions.appendChild(
+      createStudyButton(
+        "Show Answer",
+        "bg-purple-600 hover:bg-purple-700",
+        () => {
+          session.revealed = true;
+          renderStudyCard();
+        }
+      )
+    );
+    return;
+  }
+  addText(card.description, "whitespace-pre-line");
+  const gradeColors = {
+    again: "bg-red-700 hover:bg-red-600",
+    hard: "bg-yellow-700 hover:bg-yellow-600",
+    good: "bg-green-700 hover:bg-green-600",
+    easy: "bg-blue-700 hover:bg-blue-600",
+  };
+  Object.entries(REVIEW_GRADES).forEach(([grade, label]) => {
+    studyActions.appendChild(
+      createStudyButton(label, gradeColors[grade], () => gradeStudyCard(grade))
+    );
+  });
+}
+
+/**
+ * Schedules the current card's next review, saves it, and moves on.
+ * @param {keyof REVIEW_GRADES} grade
+ */
+function gradeStudyCard(grade) {
+  const session = studySession;
+  const card = session.cards[session.index];
+  const state = scheduleReview(reviewStates.get(card.id), grade);
+  reviewStates.set(card.id, state);
+  reviewStore.save(card.id, state).catch((error) => {
+    console.error("Failed to save the review:", error);
+    showError(`Could not save your review of "${card.name}".`);
+  });
+  const level = getMasteryAfterReview(masteryByCard.get(card.id), grade, state);
+  if (level !== masteryByCard.get(card.id)) setMastery(card, level);
+
+  if (grade !== "again") session.correctCount++;
+  session.index++;
+  session.revealed = false;
+  session.pickedIndex = null;
+  renderStudyCard();
+  renderDueList();
+}
+
+// --- MASTERY LOGIC ---
+
+/**
+ * Redraws a system's planets and moons at their mastery levels and updates its
+ * progress ring. Share links have no user progress, so their systems keep the
+ * generated look.
+ */
+function applySystemMastery(docId) {
+  const starSystem = celestialObjects.get(docId);
+  if (!starSystem || !reviewStore) return;
+  starSystem.clickable.forEach((mesh) => {
+    if (mesh.userData.type === "star") return;
+    const level =
+      masteryByCard.get(getCardId(docId, mesh.userData)) || "unexplored";
+    applyMasteryAppearance(mesh.material, level);
+  });
+  updateProgressRing(docId);
+}
+
+/**
+ * Dims and desaturates a body's generated color for its level. The generated
+ * color is kept on the material, so the level can change again later.
+ * @param {THREE.MeshLambertMaterial} material
+ * @param {string} level
+ */
+function applyMasteryAppearance(material, level) {
+  if (!material.userData.baseColor) {
+    material.userData.baseColor = material.color.clone();
+    material.userData.baseEmissiveIntensity = material.emissiveIntensity;
+  }
+  const { saturation, lightness, emissive } = MASTERY_APPEARANCE[level];
+  const hsl = material.userData.baseColor.getHSL({});
+  material.color.setHSL(hsl.h, hsl.s * saturation, hsl.l * lightness);
+  material.emissive.copy(material.color);
+  // The glow the render loop pulses around for mastered bodies
+  material.userData.emissiveIntensity =
+    material.userData.baseEmissiveIntensity * emissive;
+  material.emissiveIntensity = material.userData.emissiveIntensity;
+  material.userData.mastery = level;
+}
+
+/**
+ * Draws the share of mastered and learning bodies as a ring on the system's
+ * sidebar entry (see `#star-list li.has-progress` in style.css).
+ */
+function updateProgressRing(docId) {
+  const li = starList.querySelector(`li[data-doc-id="${docId}"]`);
+  if (!li || !reviewStore) return;
+  const cardIds = getSystemCards(docId).map((card) => card.id);
+  const { total, learning, mastered } = getMasteryProgress(
+    cardIds,
+    masteryByCard
+  );
+  li.classList.add("has-progress");
+  li.style.setProperty("--mastered", total ? mastered / total : 0);
+  li.style.setProperty("--started", total ? (mastered + learning) / total : 0);
+  li.title = `${mastered} of ${total} mastered, ${learning} learning`;
+}
+
+/**
+ * Saves a body's level and redraws its system.
+ * @param {{id: string, name: string, systemId: string}} card
+ * @param {string} level
+ */
+function setMastery(card, level) {
+  masteryByCard.set(card.id, level);
+  reviewStore.saveMastery(card.id, level).catch((error) => {
+    console.error("Failed to save the mastery level:", error);
+    showError(`Could not save your progress on "${card.name}".`);
+  });
+  applySystemMastery(card.systemId);
+  if (
+    currentInfoData &&
+    getCardId(currentInfoData.docId, currentInfoData) === card.id
+  ) {
+    masterySelect.value = level;
   }
 }
 
-// --- UI / Sidebar Functions ---
-
-function addStarToList(data, docId) {
-  const li = document.createElement("li");
-  li.className =
-    "p-2 rounded-lg cursor-pointer hover:bg-gray-600 transition duration-150";
-  li.dataset.docId = docId;
-  li.textContent = data.star.name;
-  li.addEventListener("click", () => {
-    navigateToStar(docId);
+/**
+ * Moves the reviews, mastery levels and conversations of systems that were
+ * moved to another galaxy over to their new document IDs, so the progress
+ * follows them (see getCardId and getChatKey, both keyed by document ID).
+ * @param {Map<string, string>} idMap The new IDs by old ID.
+ */
+function moveSystemProgress(idMap) {
+  const moveKey = (key) => {
+    const [docId, ...rest] = key.split(":");
+    return idMap.has(docId) ? [idMap.get(docId), ...rest].join(":") : null;
+  };
+  const moveEntries = (map) =>
+    [...map]
+      .map(([key, value]) => ({ key, movedKey: moveKey(key), value }))
+      .filter(({ movedKey }) => movedKey)
+      .map((entry) => {
+        map.delete(entry.key);
+        map.set(entry.movedKey, entry.value);
+        return entry;
+      });
+
+  moveEntries(chatConversations);
+  const reviews = moveEntries(reviewStates);
+  const levels = moveEntries(masteryByCard);
+  if (!reviewStore) return;
+  Promise.all([
+    ...reviews.map(({ movedKey, value }) => reviewStore.save(movedKey, value)),
+    ...levels.map(({ movedKey, value }) =>
+      reviewStore.saveMastery(movedKey, value)
+    ),
+  ])
+    .then(() =>
+      reviewStore.removeCards([
+        ...new Set([...reviews, ...levels].map(({ key }) => key)),
+      ])
+    )
+    .catch((error) =>
+      console.error("Failed to move the progress of the moved systems:", error)
+    );
+  renderDueList();
+}
+
+/**
+ * Forgets the reviews, mastery levels and conversations of a planet and its
+ * moons after the planet was rewritten. They are keyed by position (see
+ * getCardId), so the new content would otherwise inherit them.
+ * @param {string} docId
+ * @param {number} planetIndex
+ * @param {number} moonCount How many moon positions to clear.
+ */
+function forgetPlanetProgress(docId, planetIndex, moonCount) {
+  const bodies = [
+    { type: "planet", planetIndex },
+    ...Array.from({ length: moonCount }, (_, moonIndex) => ({
+      type: "moon",
+      planetIndex,
+      moonIndex,
+    })),
+  ];
+  bodies.forEach((body) =>
+    chatConversations.delete(getChatKey({ docId, ...body }))
+  );
+  if (!reviewStore) return;
+  const cardIds = bodies.map((body) => getCardId(docId, body));
+  cardIds.forEach((cardId) => {
+    reviewStates.delete(cardId);
+    masteryByCard.delete(cardId);
   });
-  starList.appendChild(li);
-  return li;
+  reviewStore
+    .removeCards(cardIds)
+    .catch((error) =>
+      console.error("Failed to clear the rewritten planet's progress:", error)
+    );
+  applySystemMastery(docId);
+  renderDueList();
+  refreshInfoPanels();
 }
 
-function updateInfoPanel(data) {
-  const colorClass =
-    data.type === "star"
-      ? "text-yellow-400"
-      : data.type === "planet"
-      ? "text-blue-400"
-      : "text-gray-400";
+function handleMasteryChange() {
+  const body = currentInfoData;
+  if (!body || !reviewStore) return;
+  setMastery(
+    { id: getCardId(body.docId, body), name: body.name, systemId: body.docId },
+    masterySelect.value
+  );
+}
 
-  infoTitle.className = `text-xl font-bold mb-1 ${colorClass}`;
-  infoTitle.textContent = `${
-    data.type.charAt(0).toUpperCase() + data.type.slice(1)
-  }: ${data.name}`;
-  infoDescription.innerHTML = data.description.replace(/\n/g, "<br>");
+// --- TOPIC QUEUE LOGIC ---
 
-  if (data.docId) {
-    deleteStarBtn.classList.remove("hidden");
-    // Store the star's ID on the button itself for easy access
-    deleteStarBtn.dataset.docId = data.docId;
-  } else {
-    deleteStarBtn.classList.add("hidden");
+const QUEUE_STATUS_COLORS = {
+  pending: "text-gray-500",
+  running: "text-purple-400",
+  done: "text-green-400",
+  failed: "text-red-400",
+  cancelled: "text-gray-500",
+};
+
+// Positions of queued systems being generated. Unlike a topic from the input,
+// they have no preview in the scene to keep other new systems off their spot.
+const queuedPositions = new Map();
+// Whether the last render had topics waiting or running (see renderTopicQueue)
+let wasTopicQueueBusy = false;
+
+const topicQueue = createTopicQueue({
+  run: generateQueuedSystem,
+  onChange: renderTopicQueue,
+});
+
+/**
+ * Generates and saves one queued topic in the background: it is not streamed
+ * into view and the camera stays where it is, so the galaxy stays usable.
+ * @param {string} topic
+ * @param {AbortSignal} signal
+ * @returns {Promise<string>} The new system's ID.
+ */
+async function generateQueuedSystem(topic, signal) {
+  if (!userId || !galaxyRepository || !canEditGalaxy(activeGalaxyRole)) {
+    throw new Error("This galaxy cannot be changed right now.");
+  }
+  const repository = galaxyRepository;
+  const options = getGenerationOptions();
+  const id = repository.newId();
+  const position = chooseNewSystemPosition({
+    star: { name: topic, description: "" },
+    planets: [],
+  });
+  queuedPositions.set(id, fromStoredPosition(position));
+  try {
+    const generatedData = await generateStarSystemData(topic, options, {
+      signal,
+    });
+    signal.throwIfAborted();
+    assignSystemColors(generatedData, topic);
+    generatedData.generationOptions = options;
+    generatedData.position = position;
+    await repository.create(id, { ...generatedData, topic });
+    return id;
+  } finally {
+    queuedPositions.delete(id);
   }
 }
 
-function handleStarSearch() {
-  const filter = starSearch.value.toLowerCase();
-  const items = starList.getElementsByTagName("li");
-  for (let i = 0; i < items.length; i++) {
-    const text = items[i].textContent || items[i].innerText;
-    if (text.toLowerCase().indexOf(filter) > -1) {
-      items[i].style.display = "";
+/**
+ * Lists the queued topics with their status and a cancel, retry or show
+ * button, and says when the queue is paused by a rate limit.
+ * @param {import("./topicQueue.js").QueueItem[]} items
+ * @param {number} pausedUntil
+ */
+function renderTopicQueue(items, pausedUntil) {
+  queueList.innerHTML = "";
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.className =
+      "flex justify-between items-center p-2 rounded-lg bg-gray-800 text-sm";
+    const text = document.createElement("div");
+    text.className = "min-w-0";
+    const name = document.createElement("div");
+    name.className = "text-gray-300 truncate";
+    name.textContent = item.topic;
+    const status = document.createElement("div");
+    status.className = `text-xs truncate ${QUEUE_STATUS_COLORS[item.status]}`;
+    status.textContent = item.error
+      ? `${QUEUE_STATUSES[item.status]}: ${item.error}`
+      : QUEUE_STATUSES[item.status];
+    status.title = item.error || "";
+    text.append(name, status);
+    li.appendChild(text);
+
+    const actionBtn = document.createElement("button");
+    actionBtn.className = "text-xs text-blue-400 hover:text-blue-300 ml-2";
+    if (item.status === "pending" || item.status === "running") {
+      actionBtn.textContent = "Cancel";
+      actionBtn.addEventListener("click", () => topicQueue.cancel(item.id));
+    } else if (item.status === "done") {
+      actionBtn.textContent = "Show";
+      actionBtn.disabled = !celestialObjects.has(item.result);
+      actionBtn.addEventListener("click", () => navigateToStar(item.result));
     } else {
-      items[i].style.display = "none";
+      actionBtn.textContent = "Retry";
+      actionBtn.addEventListener("click", () => topicQueue.retry(item.id));
     }
+    li.appendChild(actionBtn);
+    queueList.appendChild(li);
+  });
+
+  const isBusy = items.some(
+    (item) => item.status === "pending" || item.status === "running"
+  );
+  queueClearBtn.classList.toggle(
+    "hidden",
+    items.every(
+      (item) => item.status === "pending" || item.status === "running"
+    )
+  );
+  queueStatus.classList.toggle("hidden", !pausedUntil);
+  queueStatus.textContent = pausedUntil
+    ? `The provider's rate limit was reached; the queue resumes at ${new Date(
+        pausedUntil
+      ).toLocaleTimeString()}.`
+    : "";
+
+  if (wasTopicQueueBusy && !isBusy) {
+    const done = items.filter((item) => item.status === "done").length;
+    const failed = items.filter((item) => item.status === "failed").length;
+    showToast(
+      `The topic queue is finished: ${done} generated${
+        failed ? `, ${failed} failed` : ""
+      }.`
+    );
   }
+  wasTopicQueueBusy = isBusy;
 }
 
-function setLoading(isLoading) {
-  generateBtn.disabled = isLoading;
-  topicInput.disabled = isLoading;
-  if (isLoading) {
-    loadingIndicator.classList.remove("hidden");
-    loadingIndicator.classList.add("flex");
-  } else {
-    loadingIndicator.classList.add("hidden");
+function handleQueueTopics() {
+  const topics = parseTopicList(queueInput.value);
+  if (topics.length === 0) return;
+  // Nobody is asked about duplicates in the background, so they are left out
+  const duplicates = topics.filter(
+    (topic) => findSystemsWithTopic(topic).length > 0
+  );
+  topicQueue.add(topics.filter((topic) => !duplicates.includes(topic)));
+  queueInput.value = "";
+  if (duplicates.length > 0) {
+    showToast(
+      `Skipped ${duplicates.length} topic${
+        duplicates.length === 1 ? "" : "s"
+      } already in this galaxy: ${duplicates.join(", ")}.`
+    );
   }
 }
 
-// --- GEMINI API INTEGRATION ---
-
-const MODEL_NAME = "gemini-2.5-flash-preview-05-20";
-const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent`;
-
-// Helper function to handle exponential backoff for retries
-async function fetchWithRetry(url, options, maxRetries = 3) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      const response = await fetch(url, options);
-      if (response.ok) {
-        return response;
-      }
-      throw new Error(`API returned status ${response.status}`);
-    } catch (error) {
-      console.warn(`Attempt ${i + 1} failed. Retrying in ${1 << i}s...`);
-      if (i === maxRetries - 1) throw error;
-      await new Promise((resolve) => setTimeout(resolve, (1 << i) * 1000));
+/**
+ * Adds the topics of a text file (one per line) to the queue input, where they
+ * can be checked before they are queued.
+ */
+async function handleQueueFileSelected() {
+  const file = queueFileInput.files[0];
+  queueFileInput.value = ""; // Allow the same file to be selected again
+  if (!file) return;
+  try {
+    const topics = parseTopicList(await file.text());
+    if (topics.length === 0) {
+      showError(`"${file.name}" has no topics. Put one topic on each line.`);
+      return;
     }
+    queueInput.value = [queueInput.value.trim(), ...topics]
+      .filter(Boolean)
+      .join("\n");
+  } catch (error) {
+    console.error("Failed to read the topic file:", error);
+    showError(`This file cannot be read: ${error.message}`);
   }
 }
 
+// --- PLANET REFINEMENT LOGIC ---
+
 /**
- * Calls the Gemini API to generate structured star system data.
- * Falls back to mock data if the API fails.
- */
-async function _geminiApiExecutor(topic) {
-  const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-
-  const systemPrompt = `You are a helpful knowledge structuring engine. Your task is to take a core topic and break it down into a structured JSON format representing a star system:
-- The **star** is the main Core Idea/Topic.
-- **Planets** are the main sub-topics or conceptual pillars.
-- **Moons** are specific details, examples, or supporting points for their parent planet.
-
-Generate exactly 3 planets, and 1 to 3 moons for each planet.
-Ensure the name and description are concise and relevant to the topic.
-The 'scale' property should be a float between 0.5 and 2.0.
-
-Your response MUST be a JSON array of objects following this schema. Do not include any text, markdown formatting, or explanations outside the JSON block.`;
-
-  const userQuery = `Core Topic: "${topic}"`;
-
-  const payload = {
-    contents: [{ parts: [{ text: userQuery }] }],
-    systemInstruction: { parts: [{ text: systemPrompt }] },
-    generationConfig: {
-      responseMimeType: "application/json",
-      responseSchema: {
-        type: "OBJECT",
-        properties: {
-          star: {
-            type: "OBJECT",
-            properties: {
-              name: { type: "STRING" },
-              description: { type: "STRING" },
-              scale: { type: "NUMBER" },
-            },
-            propertyOrdering: ["name", "description", "scale"],
-          },
-          planets: {
-            type: "ARRAY",
-            items: {
-              type: "OBJECT",
-              properties: {
-                name: { type: "STRING" },
-                description: { type: "STRING" },
-                scale: { type: "NUMBER" },
-                moons: {
-                  type: "ARRAY",
-                  items: {
-                    type: "OBJECT",
-                    properties: {
-                      name: { type: "STRING" },
-                      description: { type: "STRING" },
-                      scale: { type: "NUMBER" },
-                    },
-                    propertyOrdering: ["name", "description", "scale"],
-                  },
-                },
-              },
-              propertyOrdering: ["name", "description", "scale", "moons"],
-            },
-          },
-        },
-        propertyOrdering: ["star", "planets"],
-      },
-    },
+ * Regenerates or extends one planet of a saved system, or adds a planet (see
+ * planetRefinement.js). The change is shown right away, with the new bodies
+ * flying into orbit, and saved back to the star document; if saving fails, the
+ * system is put back as it was.
+ * @param {string} docId
+ * @param {keyof REFINEMENT_ACTIONS} action
+ * @param {number} [planetIndex] Not used by "addPlanet".
+ */
+async function refinePlanet(docId, action, planetIndex) {
+  const starSystem = celestialObjects.get(docId);
+  if (
+    !starSystem ||
+    refiningSystemIds.has(docId) ||
+    streamingPreviewIds.has(docId) ||
+    !canEditGalaxy(activeGalaxyRole)
+  ) {
+    return;
+  }
+  const fullData = starSystem.systemGroup.userData.fullData;
+  const bodyName =
+    action === "addPlanet"
+      ? fullData.star.name
+      : fullData.planets[planetIndex].name;
+  const retry = {
+    actionLabel: "Retry",
+    onAction: () => refinePlanet(docId, action, planetIndex),
   };
 
+  refiningSystemIds.add(docId);
+  if (selectedStarId === docId) populateSystemNavigator(docId);
   try {
-    // --- API CALL LOGIC ENABLED ---
-    const response = await fetchWithRetry(`${API_URL}?key=${apiKey}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    const result = await response.json();
-    const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!jsonText) {
-      console.error("Gemini API failed to return JSON text:", result);
-      throw new Error("API content generation failed.");
+    let result;
+    try {
+      const raw = await llmProvider.generateJson(
+        buildRefinementRequest(fullData, action, planetIndex)
+      );
+      result = applyRefinement(fullData, action, planetIndex, raw);
+    } catch (error) {
+      console.error(`Failed to ${action} in ${docId}:`, error);
+      showError(
+        `"${REFINEMENT_ACTIONS[action]}" failed for "${bodyName}": ${error.message}`,
+        retry
+      );
+      return;
+    }
+    if (result.fixes.length > 0) {
+      console.warn(`Repaired the ${llmProvider.name} response:`, result.fixes);
     }
+    // The system may have been removed while the model was answering
+    if (!celestialObjects.has(docId)) return;
 
-    const data = JSON.parse(jsonText);
+    result.planets.forEach((planet) => {
+      planet.color ??= getRandomColor();
+    });
+    const previousData =
+      celestialObjects.get(docId).systemGroup.userData.fullData;
+    locallyEditedIds.add(docId);
+    updateStarSystem(docId, { ...previousData, planets: result.planets });
+    result.newBodies
+      .map((body) => findBodyMesh(docId, body))
+      .filter(Boolean)
+      .forEach(flyIntoOrbit);
+    refreshInfoPanels();
+    renderDueList();
 
-    if (!data.star || !data.planets || data.planets.length === 0) {
-      throw new Error("Generated JSON structure is invalid.");
+    try {
+      const saved = await galaxyRepository.modify(docId, (data) => ({
+        planets: mergeRefinement(data.planets, result, action, planetIndex),
+      }));
+      showSavedSystem(docId, saved);
+      if (action === "regeneratePlanet") {
+        forgetPlanetProgress(
+          docId,
+          planetIndex,
+          Math.max(
+            previousData.planets[planetIndex].moons.length,
+            result.planets[planetIndex].moons.length
+          )
+        );
+      }
+    } catch (error) {
+      console.error("Failed to save the refined system:", error);
+      locallyEditedIds.delete(docId);
+      if (celestialObjects.has(docId)) {
+        updateStarSystem(docId, previousData);
+        refreshInfoPanels();
+        renderDueList();
+      }
+      showError(
+        `Could not save the change to "${bodyName}": ${error.message}`,
+        retry
+      );
+    }
+  } finally {
+    refiningSystemIds.delete(docId);
+    if (selectedStarId === docId && celestialObjects.has(docId)) {
+      populateSystemNavigator(docId);
     }
-
-    return data;
-    // --- API CALL LOGIC ENABLED END ---
-  } catch (error) {
-    console.error(
-      "Error calling Gemini API. Falling back to mock data.",
-      error
-    );
-    return createMockGalaxyData(topic);
   }
 }
 
-async function handleGenerateStar() {
-  const topic = topicInput.value.trim();
-  if (!topic || !userId) return;
-
-  setLoading(true);
-
-  let generatedData;
-
-  console.log("Checking conditions:", { db, userId, isDeployed });
-
-  if (isDeployed) {
-    // 1. Attempt to call the Gemini API
-    generatedData = await _geminiApiExecutor(topic);
+// --- BODY EDITING LOGIC ---
 
-    generatedData.star.name = topic;
-    generatedData.star.color =
-      STAR_COLORS[Math.floor(Math.random() * STAR_COLORS.length)];
-    generatedData.planets.forEach((planet) => {
-      planet.color = getRandomColor();
-      // Moons are static gray, so we don't need to assign them colors.
-    });
+/**
+ * Shows the inline edit form, pre-filled with the body currently in the info panel.
+ */
+function openEditForm() {
+  if (!currentInfoData) return;
+  editNameInput.value = currentInfoData.name;
+  editDescriptionInput.value = currentInfoData.description;
+  editScaleInput.value = currentInfoData.scale;
+  editBodyForm.classList.remove("hidden");
+  editBodyBtn.classList.add("hidden");
+  editNameInput.focus();
+}
 
-    // 2. Save the data to Firestore
-    try {
-      const docRef = await addDoc(
-        collection(db, "artifacts", appId, "users", userId, "stars"),
-        {
-          ...generatedData,
-          topic: topic,
-          createdAt: serverTimestamp(),
-        }
-      );
-      // Set the global flag so the onSnapshot listener knows to flash this specific star
-      starIdToFlash = docRef.id;
-      topicInput.value = ""; // Clear input on success
-    } catch (error) {
-      console.error("Failed to save star system:", error);
-      // In case of Firestore save failure, still clear input
-      topicInput.value = "";
-    }
-  } else {
-    // Handle mock mode generation (adds local system to the current list)
-    generatedData = createMockGalaxyData(topic);
-    const tempId = crypto.randomUUID();
-    const newPosition = calculateStarPosition(celestialObjects.size);
-    // Pass true to flash the new star in mock mode
-    createStarSystem(generatedData, tempId, newPosition, true);
-    addStarToList(generatedData, tempId);
-    navigateToStar(tempId, true);
-    topicInput.value = "";
+function closeEditForm() {
+  editBodyForm.classList.add("hidden");
+  if (currentInfoData && currentInfoData.docId) {
+    editBodyBtn.classList.remove("hidden");
   }
+}
 
-  setLoading(false);
+/**
+ * Shows the data a local edit was saved with when it differs from what is
+ * rendered, i.e. when someone else changed the system while it was saving.
+ * @param {string} docId
+ * @param {object} saved The system's data as saved.
+ */
+function showSavedSystem(docId, saved) {
+  const starSystem = celestialObjects.get(docId);
+  if (!starSystem) return;
+  const { fullData } = starSystem.systemGroup.userData;
+  // Firestore does not keep the order of fields, so keys are sorted first
+  const sortKeys = (_, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.entries(value).sort(([a], [b]) => (a < b ? -1 : 1))
+        )
+      : value;
+  const bodies = ({ star, planets }) =>
+    JSON.stringify({ star, planets }, sortKeys);
+  if (bodies(fullData) === bodies(saved)) return;
+  updateStarSystem(docId, saved);
+  refreshInfoPanels();
+  renderDueList();
 }
 
-// --- STAR DELETION LOGIC ---
+/**
+ * Returns the object inside a star document's data that holds the given body's fields.
+ * @param {object} fullData The star document data.
+ * @param {object} bodyData The userData of the star, planet, or moon mesh.
+ */
+function getBodyDataTarget(fullData, bodyData) {
+  if (bodyData.type === "star") return fullData.star;
+  const planet = fullData.planets[bodyData.planetIndex];
+  if (bodyData.type === "planet") return planet;
+  return planet.moons[bodyData.moonIndex];
+}
 
 /**
- * Removes a star system from the 3D scene and cleans up its Three.js resources
- * to prevent memory leaks.
- * @param {string} docId The ID of the star system to remove.
+ * Finds the mesh of a star, planet, or moon within a rendered star system.
  */
-function removeStarFromScene(docId) {
-  const obj = celestialObjects.get(docId);
-  if (!obj) return;
+function findBodyMesh(docId, bodyData) {
+  const starSystem = celestialObjects.get(docId);
+  if (!starSystem) return null;
+  return starSystem.clickable.find(
+    (o) =>
+      o.userData.type === bodyData.type &&
+      o.userData.planetIndex === bodyData.planetIndex &&
+      o.userData.moonIndex === bodyData.moonIndex
+  );
+}
 
-  // 1. Remove the entire group from the scene
-  scene.remove(obj.systemGroup);
+/**
+ * Applies a name/description/scale change to a body's data and its meshes in place,
+ * so the rest of the system (orbit angles, moon placements) is left untouched.
+ * @param {string} docId The star system's document ID.
+ * @param {object} bodyData The userData of the edited body.
+ * @param {{name: string, description: string, scale: number, references?: object[]}} changes
+ */
+function applyBodyEdit(docId, bodyData, changes) {
+  const starSystem = celestialObjects.get(docId);
+  const mesh = findBodyMesh(docId, bodyData);
+  if (!starSystem || !mesh) return;
 
-  // 2. Traverse all objects in the group to dispose of their geometry and material
-  obj.systemGroup.traverse((child) => {
-    if (child.isMesh) {
-      child.geometry.dispose();
-      if (Array.isArray(child.material)) {
-        child.material.forEach((m) => m.dispose());
-      } else {
-        child.material.dispose();
+  // 1. Update the stored document data
+  Object.assign(
+    getBodyDataTarget(starSystem.systemGroup.userData.fullData, bodyData),
+    changes
+  );
+
+  // 2. Update the mesh itself
+  const scaleChanged = mesh.userData.scale !== changes.scale;
+  Object.assign(mesh.userData, changes);
+  mesh.name = changes.name;
+  if (scaleChanged) {
+    const radius = changes.scale * BODY_RADIUS_FACTORS[bodyData.type];
+    const segments = BODY_SEGMENTS[bodyData.type];
+    mesh.geometry.dispose();
+    mesh.geometry = new THREE.SphereGeometry(radius, segments, segments);
+  }
+
+  // 3. Propagate the change to dependent bodies
+  starSystem.clickable.forEach((o) => {
+    if (bodyData.type === "star") {
+      o.userData.parentStarName = changes.name;
+    } else if (
+      bodyData.type === "planet" &&
+      o.userData.type === "moon" &&
+      o.userData.planetIndex === bodyData.planetIndex
+    ) {
+      o.userData.parentPlanetName = changes.name;
+      if (scaleChanged) {
+        // Keep each moon at its current angle but clear of the resized planet
+        const radius =
+          changes.scale * BODY_RADIUS_FACTORS.planet +
+          15 +
+          o.userData.moonIndex * 10;
+        const angle = Math.atan2(o.position.z, o.position.x);
+        o.position.x = radius * Math.cos(angle);
+        o.position.z = radius * Math.sin(angle);
       }
     }
   });
 
-  // 3. Remove the star from our internal tracking maps
-  celestialObjects.delete(docId);
-  starPositions.delete(docId);
+  // 4. Refresh the UI
+  if (bodyData.type === "star") {
+    const listItem = starList.querySelector(`li[data-doc-id="${docId}"]`);
+    if (listItem) listItem.textContent = changes.name;
+  }
+  if (selectedStarId === docId) {
+    populateSystemNavigator(docId);
+  }
+  updateInfoPanel(mesh.userData);
 }
 
 /**
- * Removes the corresponding star entry from the sidebar list.
- * @param {string} docId The ID of the star system to remove.
+ * Submit handler for the inline edit form. Updates the scene immediately and
+ * saves the change back to the same star document through the galaxy repository.
  */
-function removeStarFromList(docId) {
-  const listItem = starList.querySelector(`li[data-doc-id="${docId}"]`);
-  if (listItem) {
-    listItem.remove();
+async function handleSaveBodyEdit(event) {
+  event.preventDefault();
+  if (!currentInfoData || !currentInfoData.docId) return;
+
+  const name = editNameInput.value.trim();
+  const scale = parseFloat(editScaleInput.value);
+  if (!name || !Number.isFinite(scale) || scale <= 0) {
+    showError("Please enter a name and a positive scale.");
+    return;
   }
+
+  await saveBodyChanges(currentInfoData, {
+    name,
+    description: editDescriptionInput.value.trim(),
+    scale,
+  });
 }
 
 /**
- * Resets the main info panel to its default, welcoming state.
+ * Applies a change to a body (see applyBodyEdit) and saves it back to the same
+ * star document through the galaxy repository, undoing it if the save fails.
+ * @param {object} bodyData The userData of the edited body.
+ * @param {object} changes The fields to change.
+ * @returns {Promise<boolean>} Whether the change was saved.
  */
-function clearInfoPanel() {
-  selectedStarId = null;
-  // 1. Reset the text and styles of the left column
-  infoTitle.textContent = "Select a Celestial Body";
-  infoDescription.innerHTML =
-    "Click on a star, planet, or moon in the 3D space, or select a system from the sidebar to view its details here.";
-  infoTitle.className = "text-xl font-bold mb-1 text-yellow-400 mt-0";
-
-  // 2. Hide the delete button
-  deleteStarBtn.classList.add("hidden");
+async function saveBodyChanges(bodyData, changes) {
+  const docId = bodyData.docId;
+  const previous = {
+    name: bodyData.name,
+    description: bodyData.description,
+    scale: bodyData.scale,
+    references: bodyData.references || [],
+  };
+  applyBodyEdit(docId, bodyData, {
+    name: bodyData.name,
+    description: bodyData.description,
+    scale: bodyData.scale,
+    ...changes,
+  });
 
-  // 3. CRUCIAL: Hide the system navigator (the right column)
-  if (systemNavigator) {
-    systemNavigator.classList.add("hidden");
-  } else {
-    console.warn('UI element with ID "system-navigator" was not found.');
+  try {
+    locallyEditedIds.add(docId);
+    // Only this body is written, on the latest data of the system
+    const saved = await galaxyRepository.modify(docId, (data) => {
+      const target =
+        bodyData.type === "star" || data.planets[bodyData.planetIndex]
+          ? getBodyDataTarget(data, bodyData)
+          : null;
+      if (!target) throw new Error("This body no longer exists.");
+      Object.assign(target, changes);
+      return bodyData.type === "star"
+        ? { star: data.star }
+        : { planets: data.planets };
+    });
+    showSavedSystem(docId, saved);
+    return true;
+  } catch (error) {
+    console.error("Error saving star system edit:", error);
+    locallyEditedIds.delete(docId);
+    applyBodyEdit(docId, bodyData, previous);
+    showError("There was an error saving your changes. Please try again.");
+    return false;
   }
 }
 
+// --- FURTHER READING LOGIC ---
+
 /**
- * The main handler for the delete button click event. It confirms the action,
- * deletes from Firestore, and then cleans up the UI and the 3D scene.
+ * Lists the references of the body in the info panel, with a form to add links
+ * for users who can edit the galaxy.
  */
-async function handleDeleteStar() {
-  const docId = deleteStarBtn.dataset.docId;
-  if (!docId) return;
-
-  if (
-    !confirm("Are you sure you want to permanently delete this star system?")
-  ) {
+function renderReferences() {
+  const bodyData = currentInfoData;
+  const references = bodyData?.references || [];
+  const canEdit = canEditGalaxy(activeGalaxyRole);
+  if (!bodyData?.docId || (!references.length && !canEdit)) {
+    referencesPanel.classList.add("hidden");
     return;
   }
+  referencesPanel.classList.remove("hidden");
+
+  referencesList.innerHTML = "";
+  if (!references.length) {
+    const empty = document.createElement("li");
+    empty.className = "text-gray-500";
+    empty.textContent = "No links yet.";
+    referencesList.appendChild(empty);
+  }
+  references.forEach((reference) => {
+    const li = document.createElement("li");
+    li.className = "flex items-center justify-between space-x-2";
+    const link = document.createElement("a");
+    link.className =
+      "text-blue-400 hover:text-blue-300 hover:underline truncate";
+    // URLs are checked to be http(s) when saved (see bodyReferences.js)
+    link.href = reference.url;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.textContent = reference.title;
+    link.title = reference.url;
+    const type = document.createElement("span");
+    type.className = "text-xs text-gray-500 flex-shrink-0";
+    type.textContent = `${REFERENCE_TYPES[reference.type] || ""}${
+      reference.userAdded ? " · added" : ""
+    }`;
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "edit-only navigator-action";
+    removeBtn.textContent = "✕";
+    removeBtn.title = "Remove this link";
+    removeBtn.addEventListener("click", () =>
+      handleRemoveReference(bodyData, reference)
+    );
+    li.append(link, type, removeBtn);
+    referencesList.appendChild(li);
+  });
+}
+
+async function handleAddReference(event) {
+  event.preventDefault();
+  const bodyData = currentInfoData;
+  if (!bodyData?.docId || !canEditGalaxy(activeGalaxyRole)) return;
 
+  let references;
   try {
-    const docRef = doc(db, "artifacts", appId, "users", userId, "stars", docId);
-    await deleteDoc(docRef);
-    console.log(
-      "Star system deleted successfully. onSnapshot will now update the UI."
-    );
+    references = addUserReference(bodyData.references || [], {
+      title: referenceTitleInput.value,
+      url: referenceUrlInput.value,
+      type: referenceTypeSelect.value,
+    });
   } catch (error) {
-    console.error("Error deleting star system:", error);
-    alert("There was an error deleting the star system. Please try again.");
+    showError(error.message);
+    referenceUrlInput.focus();
+    return;
+  }
+  if (await saveBodyChanges(bodyData, { references })) {
+    referenceForm.reset();
   }
 }
 
+async function handleRemoveReference(bodyData, reference) {
+  if (!canEditGalaxy(activeGalaxyRole)) return;
+  const references = (bodyData.references || []).filter(
+    (r) => r.url !== reference.url
+  );
+  if (!(await saveBodyChanges(bodyData, { references }))) return;
+  showToast(`Removed "${reference.title}".`, {
+    actionLabel: "Undo",
+    onAction: () => {
+      // The system may have been redrawn since, so look the body up again
+      const current = findBodyMesh(bodyData.docId, bodyData)?.userData;
+      if (!current) return;
+      saveBodyChanges(current, {
+        references: [...(current.references || []), reference],
+      });
+    },
+  });
+}
+
 /**
  * Populates and displays the system navigator panel for a selected star system.
  * @param {string} docId The Firestore document ID of the selected star system.
@@ -1160,12 +4616,22 @@ function populateSystemNavigator(docId) {
   navigatorList.innerHTML = "";
   navigatorStarName.textContent = fullStarData.star.name + " System";
 
+  // If this system was expanded from another system's body, link back to it
+  const parentLink = fullStarData.parent;
+  if (parentLink && celestialObjects.has(parentLink.docId)) {
+    const parentStarName = celestialObjects.get(parentLink.docId).systemGroup
+      .userData.fullData.star.name;
+    navigatorList.appendChild(
+      createSystemLinkItem(`↑ ${parentStarName} System`, parentLink.docId)
+    );
+  }
+
   // 2. Loop through planets to build the list
-  fullStarData.planets.forEach((planetData) => {
+  fullStarData.planets.forEach((planetData, planetIndex) => {
     // --- Create Planet Element ---
     const planetLi = document.createElement("li");
     const planetSpan = document.createElement("span");
-    planetSpan.className = "navigator-item planet block";
+    planetSpan.className = "navigator-item planet block flex-1";
     planetSpan.textContent = planetData.name + " Planet";
 
     // Add click listener for the planet
@@ -1178,12 +4644,24 @@ function populateSystemNavigator(docId) {
         updateInfoPanel(planetObject.userData);
       }
     });
-    planetLi.appendChild(planetSpan);
+    const planetRow = document.createElement("div");
+    planetRow.className = "flex items-center";
+    planetRow.append(
+      planetSpan,
+      createRefineButton("↻", docId, "regeneratePlanet", planetIndex),
+      createRefineButton("+ Moons", docId, "addMoons", planetIndex)
+    );
+    planetLi.appendChild(planetRow);
+    appendExpandedSystemLink(planetLi, {
+      docId,
+      type: "planet",
+      planetIndex,
+    });
 
     // --- Create Moon Elements (if they exist) ---
     if (planetData.moons && planetData.moons.length > 0) {
       const moonUl = document.createElement("ul");
-      planetData.moons.forEach((moonData) => {
+      planetData.moons.forEach((moonData, moonIndex) => {
         const moonLi = document.createElement("li");
         const moonSpan = document.createElement("span");
         moonSpan.className = "navigator-item moon block";
@@ -1201,6 +4679,12 @@ function populateSystemNavigator(docId) {
           }
         });
         moonLi.appendChild(moonSpan);
+        appendExpandedSystemLink(moonLi, {
+          docId,
+          type: "moon",
+          planetIndex,
+          moonIndex,
+        });
         moonUl.appendChild(moonLi);
       });
       planetLi.appendChild(moonUl);
@@ -1209,89 +4693,120 @@ function populateSystemNavigator(docId) {
     navigatorList.appendChild(planetLi);
   });
 
+  const addPlanetLi = document.createElement("li");
+  addPlanetLi.appendChild(
+    createRefineButton(`+ ${REFINEMENT_ACTIONS.addPlanet}`, docId, "addPlanet")
+  );
+  navigatorList.appendChild(addPlanetLi);
+
   // 3. Make the navigator visible
   systemNavigator.classList.remove("hidden");
 }
 
-// --- MOCK DATA STRUCTURE (Required for local testing) ---
+/**
+ * Creates a navigator button for one of the planet actions of refinePlanet.
+ * Buttons are disabled while the system is being changed, and when the
+ * system or planet is already as big as the scene allows.
+ */
+function createRefineButton(label, docId, action, planetIndex) {
+  const fullData = celestialObjects.get(docId).systemGroup.userData.fullData;
+  const button = document.createElement("button");
+  button.className = "navigator-action edit-only";
+  button.textContent = label;
+  button.title = REFINEMENT_ACTIONS[action];
+  button.disabled =
+    refiningSystemIds.has(docId) ||
+    streamingPreviewIds.has(docId) ||
+    !canRefine(fullData, action, planetIndex);
+  button.addEventListener("click", (e) => {
+    e.stopPropagation();
+    refinePlanet(docId, action, planetIndex);
+  });
+  return button;
+}
 
-function createMockGalaxyData(topic) {
-  return {
-    star: {
-      name: topic,
-      description: `This star represents the core concept of **${topic}**. It is the central element of this knowledge system. Click on its planets (sub-topics) and moons (details) for more info.`,
-      scale: 2,
-    },
-    planets: [
-      {
-        name: "Fundamental Concepts",
-        description:
-          "This planet covers the **basic building blocks and principles** necessary to understand the main topic. It's the foundation of your learning journey.",
-        scale: 1,
-        moons: [
-          {
-            name: "First Principle",
-            description:
-              "Detail of the first fundamental concept: how X works.",
-            scale: 0.3,
-            orbitRadius: 5,
-          },
-          {
-            name: "Key Vocabulary",
-            description:
-              "Detail of the second fundamental concept: important terms and definitions.",
-            scale: 0.3,
-            orbitRadius: 8,
-          },
-        ],
-      },
-      {
-        name: "Advanced Applications",
-        description:
-          "This planet explores how the core topic is **applied in real-world scenarios** and specialized fields, showing its practical value.",
-        scale: 1.2,
-        moons: [
-          {
-            name: "Case Study Alpha",
-            description:
-              "A specific case study or implementation detail in industry Z.",
-            scale: 0.4,
-            orbitRadius: 6,
-          },
-          {
-            name: "Future Trends",
-            description:
-              "Future trends and theoretical applications of this knowledge.",
-            scale: 0.4,
-            orbitRadius: 10,
-          },
-        ],
-      },
-      {
-        name: "Historical Context",
-        description:
-          "This planet maps the **origins, key discoveries, and evolution** of the topic over time, giving you perspective.",
-        scale: 0.8,
-        moons: [
-          {
-            name: "Foundational Paper",
-            description:
-              "The initial foundational paper or inventor who kickstarted this field.",
-            scale: 0.2,
-            orbitRadius: 4,
-          },
-        ],
-      },
-    ],
-  };
+/**
+ * Creates a navigator entry that jumps to another star system.
+ */
+function createSystemLinkItem(label, targetDocId) {
+  const li = document.createElement("li");
+  const span = document.createElement("span");
+  span.className = "navigator-item system-link block";
+  span.textContent = label;
+  span.addEventListener("click", (e) => {
+    e.stopPropagation();
+    navigateToStar(targetDocId);
+  });
+  li.appendChild(span);
+  return li;
+}
+
+/**
+ * Adds a "jump to child system" link under a planet or moon that has been expanded.
+ */
+function appendExpandedSystemLink(parentLi, bodyData) {
+  const childId = findExpandedSystemId(bodyData);
+  if (!childId) return;
+  const childName =
+    celestialObjects.get(childId).systemGroup.userData.fullData.star.name;
+  const link = createSystemLinkItem(`↳ ${childName} System`, childId);
+  link.firstChild.classList.add(`${bodyData.type}-child`);
+  parentLi.appendChild(link);
 }
 
 // --- MAIN APP ENTRY POINT ---
 
 function setupEventListeners() {
   generateBtn.addEventListener("click", handleGenerateStar);
+  queueAddBtn.addEventListener("click", handleQueueTopics);
+  queueFileBtn.addEventListener("click", () => queueFileInput.click());
+  queueFileInput.addEventListener("change", handleQueueFileSelected);
+  queueClearBtn.addEventListener("click", () => topicQueue.clearFinished());
+  googleSignInBtn.addEventListener("click", handleGoogleSignIn);
+  emailSignInForm.addEventListener("submit", handleEmailSignIn);
+  signOutBtn.addEventListener("click", handleSignOut);
   starSearch.addEventListener("input", handleStarSearch);
+  relayoutBtn.addEventListener("click", handleRelayoutGalaxy);
+  layoutModeSelect.value = layoutMode;
+  layoutModeSelect.addEventListener("change", handleLayoutModeChange);
   deleteStarBtn.addEventListener("click", handleDeleteStar);
+  editBodyBtn.addEventListener("click", openEditForm);
+  editCancelBtn.addEventListener("click", closeEditForm);
+  editBodyForm.addEventListener("submit", handleSaveBodyEdit);
+  expandBodyBtn.addEventListener("click", handleExpandBody);
+  chatForm.addEventListener("submit", handleAskQuestion);
+  referenceForm.addEventListener("submit", handleAddReference);
+  studySystemBtn.addEventListener("click", handleStudySystem);
+  masterySelect.addEventListener("change", handleMasteryChange);
+  reviewDueBtn.addEventListener("click", handleReviewDue);
+  studyModeSelect.addEventListener("change", handleStudyModeChange);
+  studyCloseBtn.addEventListener("click", closeStudySession);
+  exportGalaxyBtn.addEventListener("click", handleExportGalaxy);
+  importGalaxyBtn.addEventListener("click", () => importGalaxyInput.click());
+  importGalaxyInput.addEventListener("change", handleImportFileSelected);
+  importConfirmBtn.addEventListener("click", handleConfirmImport);
+  importCancelBtn.addEventListener("click", closeImportPreview);
+  exportSystemSelect.addEventListener("change", handleExportSystemOutline);
+  shareGalaxyBtn.addEventListener("click", handleShareGalaxy);
+  shareSystemBtn.addEventListener("click", handleShareSystem);
+  galaxySelect.addEventListener("change", handleGalaxySelectChange);
+  newSharedGalaxyBtn.addEventListener("click", handleNewSharedGalaxy);
+  copyInviteBtn.addEventListener("click", handleCopyInvite);
+  moveSystemSelect.addEventListener("change", handleMoveSystem);
+  generationOptionsForm.addEventListener(
+    "change",
+    handleGenerationOptionsChange
+  );
+  // Best effort: tell the other members right away when this tab closes
+  window.addEventListener("pagehide", leavePresence);
+  trashToggleBtn.addEventListener("click", toggleTrashPanel);
+  trashRetentionSelect.value = String(getTrashRetentionDays());
+  trashRetentionSelect.addEventListener("change", handleTrashRetentionChange);
+  emptyTrashBtn.addEventListener("click", handleEmptyTrash);
+  exportGalaxyOutlineSelect.addEventListener(
+    "change",
+    handleExportGalaxyOutline
+  );
   canvasContainer.addEventListener("mousedown", onMouseDown);
   canvasContainer.addEventListener("mouseup", onMouseUp);
   canvasContainer.addEventListener("mousemove", onMouseMove);
@@ -1303,7 +4818,12 @@ function setupEventListeners() {
 function setupApp() {
   // The THREE.js logic must run first to ensure the canvas is ready
   init3D();
-  handleAuthentication();
+  loadGenerationOptions();
+  if (sharedGalaxyId) {
+    loadSharedGalaxy();
+  } else {
+    handleAuthentication();
+  }
   setupEventListeners();
 }
 
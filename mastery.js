@@ -0,0 +1,54 @@
+// --- MASTERY ---
+// How well the user knows each planet and moon: unexplored, learning or
+// mastered. Levels are set by hand or follow from study results, and decide how
+// bodies look in the galaxy, so the map shows what is already known.
+
+export const MASTERY_LEVELS = {
+  unexplored: "Unexplored",
+  learning: "Learning",
+  mastered: "Mastered",
+};
+
+// Successful reviews in a row after which a card counts as mastered
+const MASTERED_AFTER_REPETITIONS = 3;
+
+/**
+ * How a body is drawn at each level, relative to its generated color:
+ * saturation and lightness factors, and an emissive (glow) factor. Mastered
+ * bodies also pulse in the render loop.
+ */
+export const MASTERY_APPEARANCE = {
+  unexplored: { saturation: 0.25, lightness: 0.55, emissive: 0.3 },
+  learning: { saturation: 0.75, lightness: 0.85, emissive: 0.8 },
+  mastered: { saturation: 1, lightness: 1, emissive: 1.8 },
+};
+
+/**
+ * The level after a study review. A forgotten card goes back to learning; a
+ * card becomes mastered after enough successful reviews in a row. A level set
+ * by hand to mastered is kept while the card keeps being remembered.
+ * @param {keyof MASTERY_LEVELS | undefined} current
+ * @param {string} grade See REVIEW_GRADES in spacedRepetition.js.
+ * @param {import("./spacedRepetition.js").ReviewState} reviewState The state after the review.
+ * @returns {keyof MASTERY_LEVELS}
+ */
+export function getMasteryAfterReview(current, grade, reviewState) {
+  if (grade === "again") return "learning";
+  if (reviewState.repetitions >= MASTERED_AFTER_REPETITIONS) return "mastered";
+  return current === "mastered" ? "mastered" : "learning";
+}
+
+/**
+ * Sums up the levels of a system's cards.
+ * @param {string[]} cardIds
+ * @param {Map<string, keyof MASTERY_LEVELS>} masteryByCard
+ * @returns {{total: number, learning: number, mastered: number}}
+ */
+export function getMasteryProgress(cardIds, masteryByCard) {
+  const progress = { total: cardIds.length, learning: 0, mastered: 0 };
+  cardIds.forEach((cardId) => {
+    const level = masteryByCard.get(cardId);
+    if (level === "learning" || level === "mastered") progress[level]++;
+  });
+  return progress;
+}
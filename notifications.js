@@ -0,0 +1,214 @@
+// --- NOTIFICATIONS ---
+// The app's one way of telling the user something or asking a question: toasts
+// for notices and errors, and a modal dialog in place of the browser's
+// alert/confirm/prompt, which block the render loop and cannot be styled.
+
+const TOAST_TONES = {
+  info: "bg-gray-900 border-gray-700",
+  error: "bg-red-950 border-red-700",
+};
+
+/**
+ * @typedef {object} ToastOptions
+ * @property {string} [actionLabel] A button shown in the toast, e.g. "Undo".
+ * @property {() => void} [onAction] Called when the button is clicked.
+ * @property {number} [duration] How long the toast stays, in milliseconds.
+ */
+
+/**
+ * @param {HTMLElement} toastContainer Where toasts are stacked.
+ */
+export function createNotifications(toastContainer) {
+  /**
+   * Shows a short notice.
+   * @param {string} message
+   * @param {ToastOptions & {tone?: "info" | "error"}} [options]
+   * @returns {() => void} Dismisses the toast early.
+   */
+  function showToast(
+    message,
+    { actionLabel, onAction, duration = 8000, tone = "info" } = {}
+  ) {
+    const toast = document.createElement("div");
+    toast.className = `flex items-center space-x-4 border text-white text-sm px-4 py-2 rounded-lg shadow-lg ${TOAST_TONES[tone]}`;
+    toast.setAttribute("role", tone === "error" ? "alert" : "status");
+    const text = document.createElement("span");
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const dismiss = () => toast.remove();
+    if (actionLabel && onAction) {
+      const actionBtn = document.createElement("button");
+      actionBtn.className = "font-bold text-purple-400 hover:text-purple-300";
+      actionBtn.textContent = actionLabel;
+      actionBtn.addEventListener("click", () => {
+        dismiss();
+        onAction();
+      });
+      toast.appendChild(actionBtn);
+    }
+
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "text-gray-400 hover:text-white";
+    closeBtn.textContent = "✕";
+    closeBtn.setAttribute("aria-label", "Dismiss");
+    closeBtn.addEventListener("click", dismiss);
+    toast.appendChild(closeBtn);
+
+    toastContainer.appendChild(toast);
+    setTimeout(dismiss, duration);
+    return dismiss;
+  }
+
+  /**
+   * Shows an error. It stays longer than a notice, since it usually needs to be
+   * read (and maybe retried).
+   * @param {string} message
+   * @param {ToastOptions} [options]
+   */
+  function showError(message, options = {}) {
+    return showToast(message, { duration: 15000, ...options, tone: "error" });
+  }
+
+  /**
+   * Opens a modal dialog and resolves with the user's answer: the input's value
+   * (or the chosen button's value without an input) when confirmed, null when
+   * cancelled. The first choice is the default, picked with Enter.
+   * @param {string} message
+   * @param {{choices: Array<{value: *, label: string, danger?: boolean}>, cancelLabel: string, withInput: boolean, defaultValue?: string}} options
+   */
+  function openDialog(
+    message,
+    { choices, cancelLabel, withInput, defaultValue }
+  ) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement("div");
+      overlay.className =
+        "fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60";
+      const dialog = document.createElement("form");
+      dialog.className =
+        "bg-gray-800 border border-gray-700 text-white rounded-xl shadow-2xl p-5 w-full max-w-md space-y-4";
+      dialog.setAttribute("role", "dialog");
+      dialog.setAttribute("aria-modal", "true");
+
+      const text = document.createElement("p");
+      text.className = "text-sm whitespace-pre-line";
+      text.textContent = message;
+      dialog.appendChild(text);
+
+      let input = null;
+      if (withInput) {
+        input = document.createElement("input");
+        input.type = "text";
+        input.value = defaultValue;
+        input.className =
+          "w-full p-2 rounded-lg bg-gray-900 border border-gray-600 text-white text-sm focus:outline-none focus:border-purple-500";
+        dialog.appendChild(input);
+      }
+
+      const buttons = document.createElement("div");
+      buttons.className = "flex justify-end space-x-2";
+      const cancelBtn = document.createElement("button");
+      cancelBtn.type = "button";
+      cancelBtn.className =
+        "px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-500 text-sm";
+      cancelBtn.textContent = cancelLabel;
+      const choiceBtns = choices.map(({ value, label, danger }, index) => {
+        const choiceBtn = document.createElement("button");
+        choiceBtn.type = index === 0 ? "submit" : "button";
+        choiceBtn.className = `px-3 py-1 rounded-lg text-sm font-bold ${
+          danger
+            ? "bg-red-600 hover:bg-red-500"
+            : "bg-purple-600 hover:bg-purple-500"
+        }`;
+        choiceBtn.textContent = label;
+        if (index > 0) {
+          choiceBtn.addEventListener("click", () => close(value));
+        }
+        return choiceBtn;
+      });
+      buttons.append(cancelBtn, ...choiceBtns);
+      dialog.appendChild(buttons);
+
+      const close = (answer) => {
+        document.removeEventListener("keydown", onKeyDown);
+        overlay.remove();
+        resolve(answer);
+      };
+      const onKeyDown = (event) => {
+        if (event.key === "Escape") close(null);
+      };
+      dialog.addEventListener("submit", (event) => {
+        event.preventDefault();
+        close(input ? input.value : choices[0].value);
+      });
+      cancelBtn.addEventListener("click", () => close(null));
+      overlay.addEventListener("click", (event) => {
+        if (event.target === overlay) close(null);
+      });
+      document.addEventListener("keydown", onKeyDown);
+
+      overlay.appendChild(dialog);
+      document.body.appendChild(overlay);
+      if (input) {
+        input.focus();
+        input.select();
+      } else {
+        choiceBtns[0].focus();
+      }
+    });
+  }
+
+  /**
+   * Asks a yes/no question.
+   * @param {string} message
+   * @param {{confirmLabel?: string, cancelLabel?: string, danger?: boolean}} [options]
+   *   `danger` styles the confirm button for actions that delete something.
+   * @returns {Promise<boolean>}
+   */
+  async function confirmAction(
+    message,
+    { confirmLabel = "OK", cancelLabel = "Cancel", danger = false } = {}
+  ) {
+    const answer = await openDialog(message, {
+      choices: [{ value: true, label: confirmLabel, danger }],
+      cancelLabel,
+      withInput: false,
+    });
+    return answer === true;
+  }
+
+  /**
+   * Asks the user to pick one of several actions, e.g. what to do about a
+   * topic that is already in the galaxy.
+   * @param {string} message
+   * @param {Array<{value: string, label: string, danger?: boolean}>} choices
+   *   One button each; the first is the default.
+   * @param {{cancelLabel?: string}} [options]
+   * @returns {Promise<string | null>} The chosen value, or null if cancelled.
+   */
+  function chooseAction(message, choices, { cancelLabel = "Cancel" } = {}) {
+    return openDialog(message, { choices, cancelLabel, withInput: false });
+  }
+
+  /**
+   * Asks for a line of text. Also used to show a link that could not be copied
+   * to the clipboard, selected so it can be copied by hand.
+   * @param {string} message
+   * @param {{defaultValue?: string, confirmLabel?: string, cancelLabel?: string}} [options]
+   * @returns {Promise<string | null>} Null if cancelled.
+   */
+  function askForText(
+    message,
+    { defaultValue = "", confirmLabel = "OK", cancelLabel = "Cancel" } = {}
+  ) {
+    return openDialog(message, {
+      choices: [{ value: true, label: confirmLabel }],
+      cancelLabel,
+      withInput: true,
+      defaultValue,
+    });
+  }
+
+  return { showToast, showError, confirmAction, chooseAction, askForText };
+}
@@ -0,0 +1,192 @@
+// --- OUTLINE EXPORT ---
+// Turns the star -> planet -> moon hierarchy into formats that note-taking tools
+// understand: a Markdown outline, OPML for outliners, and FreeMind (.mm) mind maps.
+// Every exporter takes a list of star system data objects, so the same code
+// exports a single system or the whole galaxy.
+
+/**
+ * The supported outline formats, keyed by the value used in the export menus.
+ */
+export const OUTLINE_FORMATS = {
+  markdown: { extension: "md", mimeType: "text/markdown" },
+  opml: { extension: "opml", mimeType: "text/x-opml" },
+  freemind: { extension: "mm", mimeType: "application/x-freemind" },
+};
+
+/**
+ * Removes the Markdown emphasis the generator uses (e.g. **bold**), for formats
+ * that cannot display it.
+ */
+export function stripMarkdown(text) {
+  return (text || "")
+    .replace(/(\*\*|__)(.*?)\1/g, "$2")
+    .replace(/\*(.*?)\*/g, "$1");
+}
+
+function escapeXml(text) {
+  return (text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    .replace(/\r?\n/g, "&#10;");
+}
+
+// --- MARKDOWN ---
+
+/**
+ * Exports systems as nested headings (star, planet) and bullets (moons), each
+ * followed by its description.
+ * @param {object[]} systems Star system data objects.
+ * @param {string} [title] Optional document title; systems are nested under it.
+ * @returns {string}
+ */
+export function toMarkdown(systems, title) {
+  const lines = [];
+  const level = title ? 2 : 1;
+  if (title) lines.push(`# ${title}`, "");
+
+  systems.forEach((data) => {
+    lines.push(`${"#".repeat(level)} ${data.star.name}`, "");
+    if (data.star.description) lines.push(data.star.description, "");
+
+    data.planets.forEach((planet) => {
+      lines.push(`${"#".repeat(level + 1)} ${planet.name}`, "");
+      if (planet.description) lines.push(planet.description, "");
+      (planet.moons || []).forEach((moon) => {
+        const description = moon.description
+          ? `: ${moon.description.replace(/\n+/g, " ")}`
+          : "";
+        lines.push(`- **${moon.name}**${description}`);
+      });
+      if (planet.moons && planet.moons.length > 0) lines.push("");
+    });
+  });
+
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+// --- OPML ---
+
+function opmlOutline(body, children, indent) {
+  const pad = "  ".repeat(indent);
+  const note = body.description
+    ? ` _note="${escapeXml(stripMarkdown(body.description))}"`
+    : "";
+  const open = `${pad}<outline text="${escapeXml(body.name)}"${note}`;
+  if (children.length === 0) return `${open}/>`;
+  return [`${open}>`, ...children, `${pad}</outline>`].join("\n");
+}
+
+/**
+ * Exports systems as OPML 2.0. Descriptions are stored in the `_note`
+ * attribute, which most outliners show as the item's note.
+ * @param {object[]} systems Star system data objects.
+ * @param {string} title The document title.
+ * @returns {string}
+ */
+export function toOpml(systems, title) {
+  const outlines = systems.map((data) =>
+    opmlOutline(
+      data.star,
+      data.planets.map((planet) =>
+        opmlOutline(
+          planet,
+          (planet.moons || []).map((moon) => opmlOutline(moon, [], 4)),
+          3
+        )
+      ),
+      2
+    )
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+    ...outlines,
+    "  </body>",
+    "</opml>",
+    "",
+  ].join("\n");
+}
+
+// --- FREEMIND ---
+
+function freeMindNode(body, children, indent, position) {
+  const pad = "  ".repeat(indent);
+  const positionAttr = position ? ` POSITION="${position}"` : "";
+  const lines = [`${pad}<node TEXT="${escapeXml(body.name)}"${positionAttr}>`];
+  if (body.description) {
+    // Notes are stored as rich content, which FreeMind and Freeplane both read
+    const paragraphs = stripMarkdown(body.description)
+      .split(/\n+/)
+      .map((p) => `<p>${escapeXml(p)}</p>`)
+      .join("");
+    lines.push(
+      `${pad}  <richcontent TYPE="NOTE"><html><head></head><body>${paragraphs}</body></html></richcontent>`
+    );
+  }
+  lines.push(...children, `${pad}</node>`);
+  return lines.join("\n");
+}
+
+function freeMindSystem(data, indent, position) {
+  return freeMindNode(
+    data.star,
+    data.planets.map((planet, index) =>
+      freeMindNode(
+        planet,
+        (planet.moons || []).map((moon) => freeMindNode(moon, [], indent + 2)),
+        indent + 1,
+        // First-level branches alternate sides around the root
+        position ? null : index % 2 === 0 ? "right" : "left"
+      )
+    ),
+    indent,
+    position
+  );
+}
+
+/**
+ * Exports systems as a FreeMind mind map. A single system becomes the root
+ * node; several systems are branches of a root node named after the title.
+ * @param {object[]} systems Star system data objects.
+ * @param {string} title The root node's text when exporting several systems.
+ * @returns {string}
+ */
+export function toFreeMind(systems, title) {
+  const root =
+    systems.length === 1
+      ? freeMindSystem(systems[0], 1, null)
+      : freeMindNode(
+          { name: title },
+          systems.map((data, index) =>
+            freeMindSystem(data, 2, index % 2 === 0 ? "right" : "left")
+          ),
+          1,
+          null
+        );
+  return ['<map version="1.0.1">', root, "</map>", ""].join("\n");
+}
+
+/**
+ * Exports systems in one of the OUTLINE_FORMATS.
+ * @param {"markdown" | "opml" | "freemind"} format
+ * @param {object[]} systems Star system data objects.
+ * @param {string} title Title for multi-system exports.
+ * @returns {string}
+ */
+export function exportOutline(format, systems, title) {
+  if (format === "markdown") {
+    return toMarkdown(systems, systems.length === 1 ? undefined : title);
+  }
+  if (format === "opml") return toOpml(systems, title);
+  if (format === "freemind") return toFreeMind(systems, title);
+  throw new Error(`Unknown outline format: ${format}`);
+}
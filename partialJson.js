@@ -0,0 +1,176 @@
+// --- PARTIAL JSON ---
+// Reads a JSON document while it is still being streamed, so a star system can be
+// shown body by body instead of all at once when the response is complete.
+
+const INCOMPLETE = Symbol("incomplete");
+const NUMBER_TOKEN = /[-+.\deE]+/y;
+
+/**
+ * Parses the beginning of a JSON document. Strings, numbers and literals that
+ * may still be cut off are left out; objects and arrays that are not closed yet
+ * are returned with what they contain so far. Parsing stops quietly at anything
+ * that is not JSON, such as a trailing Markdown code fence.
+ * @param {string} text
+ * @returns {{value: any, isComplete: (node: object) => boolean}}
+ */
+export function parsePartialJson(text) {
+  const complete = new WeakSet();
+  // Skip anything before the document, e.g. an opening code fence
+  let i = text.search(/[{[]/);
+  if (i === -1) return { value: undefined, isComplete: () => false };
+
+  const stop = () => {
+    i = text.length;
+    return INCOMPLETE;
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const parseString = () => {
+    const start = i;
+    i++; // Opening quote
+    while (i < text.length) {
+      if (text[i] === "\\") {
+        i += 2;
+      } else if (text[i] === '"') {
+        i++;
+        return JSON.parse(text.slice(start, i));
+      } else {
+        i++;
+      }
+    }
+    return INCOMPLETE;
+  };
+
+  const parseNumber = () => {
+    NUMBER_TOKEN.lastIndex = i;
+    const token = NUMBER_TOKEN.exec(text)[0];
+    i += token.length;
+    // A number at the very end may still be growing ("1." of "1.5")
+    if (i >= text.length) return INCOMPLETE;
+    const number = Number(token);
+    return Number.isNaN(number) ? stop() : number;
+  };
+
+  const parseLiteral = () => {
+    for (const [word, value] of [
+      ["true", true],
+      ["false", false],
+      ["null", null],
+    ]) {
+      if (text.startsWith(word, i)) {
+        i += word.length;
+        return value;
+      }
+      if (word.startsWith(text.slice(i))) return stop();
+    }
+    return stop();
+  };
+
+  const parseArray = () => {
+    const array = [];
+    i++; // [
+    while (true) {
+      skipWhitespace();
+      if (i >= text.length) return array;
+      if (text[i] === "]") {
+        i++;
+        complete.add(array);
+        return array;
+      }
+      if (text[i] === ",") {
+        i++;
+        continue;
+      }
+      const value = parseValue();
+      if (value === INCOMPLETE) return array;
+      array.push(value);
+    }
+  };
+
+  const parseObject = () => {
+    const object = {};
+    i++; // {
+    while (true) {
+      skipWhitespace();
+      if (i >= text.length) return object;
+      if (text[i] === "}") {
+        i++;
+        complete.add(object);
+        return object;
+      }
+      if (text[i] === ",") {
+        i++;
+        continue;
+      }
+      if (text[i] !== '"') {
+        stop();
+        return object;
+      }
+      const key = parseString();
+      if (key === INCOMPLETE) return object;
+      skipWhitespace();
+      if (i >= text.length) return object;
+      if (text[i] !== ":") {
+        stop();
+        return object;
+      }
+      i++;
+      skipWhitespace();
+      const value = parseValue();
+      if (value === INCOMPLETE) return object;
+      object[key] = value;
+    }
+  };
+
+  const parseValue = () => {
+    const char = text[i];
+    if (char === undefined) return INCOMPLETE;
+    if (char === "{") return parseObject();
+    if (char === "[") return parseArray();
+    if (char === '"') return parseString();
+    if (char === "-" || (char >= "0" && char <= "9")) return parseNumber();
+    return parseLiteral();
+  };
+
+  const value = parseValue();
+  return {
+    value: value === INCOMPLETE ? undefined : value,
+    isComplete: (node) => complete.has(node),
+  };
+}
+
+/**
+ * Returns the part of a streamed star system that can already be shown: the
+ * star once its name, description and scale have arrived, each planet as soon
+ * as its own fields have, and each moon once it is complete.
+ * @param {string} text The response text received so far.
+ * @returns {{star: object, planets: object[]} | null} Null until the star is ready.
+ */
+export function readPartialStarSystem(text) {
+  const { value, isComplete } = parsePartialJson(text);
+  const isReady = (body) =>
+    !!body &&
+    typeof body === "object" &&
+    typeof body.name === "string" &&
+    typeof body.description === "string" &&
+    (typeof body.scale === "number" || isComplete(body));
+  const pick = (body) => ({
+    name: body.name,
+    description: body.description,
+    scale: typeof body.scale === "number" ? body.scale : 1,
+  });
+
+  if (!value || !isReady(value.star)) return null;
+  const planets = Array.isArray(value.planets) ? value.planets : [];
+  return {
+    star: pick(value.star),
+    planets: planets.filter(isReady).map((planet) => ({
+      ...pick(planet),
+      moons: (Array.isArray(planet.moons) ? planet.moons : [])
+        .filter((moon) => isReady(moon) && isComplete(moon))
+        .map(pick),
+    })),
+  };
+}
@@ -0,0 +1,262 @@
+// --- PLANET REFINEMENT ---
+// Changes one planet of a saved system instead of regenerating all of it:
+// rewriting a weak planet, adding moons to a planet, or adding a new planet.
+// The whole system is sent along as an outline, so the model builds on what is
+// there without repeating it, in the options the system was generated with.
+
+import { toMarkdown } from "./outlineExport.js";
+import { createMockGalaxyData } from "./llmProviders.js";
+import {
+  AUDIENCE_LEVELS,
+  TONES,
+  MAX_PLANETS,
+  MAX_MOONS,
+  buildResponseSchema,
+  normalizeGenerationOptions,
+} from "./generationOptions.js";
+import { makeUniqueName, validateStarSystem } from "./starSystemSchema.js";
+import { toSystemInput } from "./starSystemPrompt.js";
+
+export const REFINEMENT_ACTIONS = {
+  regeneratePlanet: "Regenerate this planet",
+  addMoons: "Add more moons",
+  addPlanet: "Add a new planet",
+};
+
+/**
+ * @typedef {object} RefinementResult
+ * @property {object[]} planets The system's planets with the change applied.
+ * @property {string[]} fixes What was repaired in the response.
+ * @property {Array<{type: string, planetIndex: number, moonIndex?: number}>} newBodies
+ *   The bodies that were added or rewritten, to be animated into the scene.
+ */
+
+/**
+ * Whether an action can still be applied, given the size limits of a system.
+ * @param {object} systemData
+ * @param {keyof REFINEMENT_ACTIONS} action
+ * @param {number} [planetIndex]
+ */
+export function canRefine(systemData, action, planetIndex) {
+  if (action === "addPlanet") return systemData.planets.length < MAX_PLANETS;
+  if (action === "addMoons") {
+    return (systemData.planets[planetIndex].moons || []).length < MAX_MOONS;
+  }
+  return true;
+}
+
+function describeMoonCount(options, maxMoons) {
+  const min = Math.min(Math.max(options.minMoons, 1), maxMoons);
+  return min === maxMoons ? `exactly ${maxMoons}` : `${min} to ${maxMoons}`;
+}
+
+/**
+ * How many moons the model may return for an action, so planets stay within
+ * the requested size and the scene's limit.
+ */
+function getMoonLimit(systemData, action, planetIndex, options) {
+  if (action !== "addMoons") return options.maxMoons;
+  const moonCount = (systemData.planets[planetIndex].moons || []).length;
+  return Math.min(options.maxMoons, MAX_MOONS - moonCount);
+}
+
+/**
+ * The generation request for an action on a system.
+ * @param {object} systemData The system's full data.
+ * @param {keyof REFINEMENT_ACTIONS} action
+ * @param {number} [planetIndex] The planet to change; not used by "addPlanet".
+ * @returns {import("./llmProviders.js").GenerationRequest}
+ */
+export function buildRefinementRequest(systemData, action, planetIndex) {
+  // Older systems were saved without options and use the defaults
+  const options = normalizeGenerationOptions(systemData.generationOptions);
+  const maxMoons = getMoonLimit(systemData, action, planetIndex, options);
+  const moons = describeMoonCount(options, maxMoons);
+  const starName = systemData.star.name;
+  const planet = systemData.planets[planetIndex];
+
+  const tasks = {
+    regeneratePlanet: `Write a replacement for the planet "${planet?.name}": a stronger sub-topic of "${starName}" that does not overlap with the other planets, with ${moons} moons. Respond with a list of exactly 1 planet.`,
+    addMoons: `Add ${moons} new moons to the planet "${planet?.name}": details, examples or supporting points that its current moons do not cover yet.`,
+    addPlanet: `Add one new planet: a sub-topic of "${starName}" that the current planets do not cover yet, with ${moons} moons. Respond with a list of exactly 1 planet.`,
+  };
+
+  const planetSchema = buildResponseSchema({
+    ...options,
+    planetCount: 1,
+    maxMoons,
+  }).properties.planets;
+  const schema =
+    action === "addMoons"
+      ? {
+          type: "OBJECT",
+          properties: { moons: planetSchema.items.properties.moons },
+          propertyOrdering: ["moons"],
+        }
+      : {
+          type: "OBJECT",
+          properties: { planets: planetSchema },
+          propertyOrdering: ["planets"],
+        };
+
+  // The fixture provider answers with sample bodies in the same shape
+  const sample = createMockGalaxyData(starName, {
+    ...options,
+    planetCount: 1,
+    maxMoons,
+  });
+
+  return {
+    systemPrompt: `You extend a knowledge map shaped like a star system: the star is the core topic, planets are its sub-topics and moons are details of their planet.
+
+This is the whole system:
+
+${toMarkdown([systemData])}
+${tasks[action]}
+Never repeat a planet or moon that is already in the system.
+Write for ${AUDIENCE_LEVELS[options.audience]}. The tone should be ${
+      TONES[options.tone]
+    }. Write every name and description in ${options.language}.
+The 'scale' property should be a float between 0.5 and 2.0.
+
+Your response MUST be a single JSON object following the schema, without any text outside it.`,
+    userPrompt: tasks[action],
+    schema,
+    fixtureResponse:
+      action === "addMoons"
+        ? { moons: sample.planets[0].moons }
+        : { planets: sample.planets },
+    task: {
+      kind: "refinement",
+      input: { system: toSystemInput(systemData), action, planetIndex },
+    },
+  };
+}
+
+/**
+ * Validates the response to a refinement request and applies it to a copy of
+ * the system's planets. New names that are already taken elsewhere in the
+ * system are made unique; the existing bodies are never renamed.
+ * @param {object} systemData The system's full data.
+ * @param {keyof REFINEMENT_ACTIONS} action
+ * @param {number | undefined} planetIndex
+ * @param {any} raw The parsed model response.
+ * @returns {RefinementResult}
+ * @throws {Error} If the response has no usable planet or moon.
+ */
+export function applyRefinement(systemData, action, planetIndex, raw) {
+  const options = normalizeGenerationOptions(systemData.generationOptions);
+  const maxMoons = getMoonLimit(systemData, action, planetIndex, options);
+  const planets = structuredClone(systemData.planets);
+  planets.forEach((planet) => (planet.moons = planet.moons || []));
+  const target = planets[planetIndex];
+
+  // The new bodies are validated as a one-planet system of their own
+  const { data, fixes } = validateStarSystem(
+    {
+      star: systemData.star,
+      planets:
+        action === "addMoons"
+          ? [{ ...target, moons: raw?.moons }]
+          : raw?.planets,
+    },
+    { planetCount: 1, maxMoons }
+  );
+  const [planet] = data.planets;
+  if (planet.moons.length === 0 && action === "addMoons") {
+    throw new Error("The response has no usable moons.");
+  }
+
+  // Names stay unique per body type across the system (see validateStarSystem)
+  const otherPlanets = planets.filter(
+    (_, index) => action === "addPlanet" || index !== planetIndex
+  );
+  const takenPlanetNames = new Set(
+    otherPlanets.map((p) => p.name.toLowerCase())
+  );
+  const takenMoonNames = new Set(
+    (action === "addMoons" ? planets : otherPlanets).flatMap((p) =>
+      p.moons.map((moon) => moon.name.toLowerCase())
+    )
+  );
+  const rename = (body, takenNames, type) => {
+    const unique = makeUniqueName(body.name, takenNames);
+    if (unique !== body.name) {
+      fixes.push(`Renamed a duplicate ${type} "${body.name}" to "${unique}".`);
+      body.name = unique;
+    }
+    takenNames.add(unique.toLowerCase());
+  };
+  planet.moons.forEach((moon) => rename(moon, takenMoonNames, "moon"));
+
+  if (action === "addMoons") {
+    const firstMoonIndex = target.moons.length;
+    target.moons.push(...planet.moons);
+    return {
+      planets,
+      fixes,
+      newBodies: planet.moons.map((_, index) => ({
+        type: "moon",
+        planetIndex,
+        moonIndex: firstMoonIndex + index,
+      })),
+    };
+  }
+
+  rename(planet, takenPlanetNames, "planet");
+  const newIndex = action === "addPlanet" ? planets.length : planetIndex;
+  // A rewritten planet keeps its color, so it is still recognizable
+  if (action === "regeneratePlanet") planet.color = target.color;
+  planets[newIndex] = planet;
+  return {
+    planets,
+    fixes,
+    newBodies: [
+      { type: "planet", planetIndex: newIndex },
+      ...planet.moons.map((_, moonIndex) => ({
+        type: "moon",
+        planetIndex: newIndex,
+        moonIndex,
+      })),
+    ],
+  };
+}
+
+/**
+ * Applies a refinement to newer planets of the same system, e.g. after someone
+ * else edited the system while the model was answering. Only the refined planet
+ * is replaced, or only the new planet or moons are added, so the other edits
+ * are kept.
+ * @param {object[]} planets The system's latest planets.
+ * @param {RefinementResult} result What applyRefinement returned for the
+ *   system as it was when the request was sent.
+ * @param {keyof REFINEMENT_ACTIONS} action
+ * @param {number | undefined} planetIndex
+ * @returns {object[]} A copy of `planets` with the change applied.
+ * @throws {Error} If the refined planet was removed, or the system is full.
+ */
+export function mergeRefinement(planets, result, action, planetIndex) {
+  const merged = structuredClone(planets);
+  const [first] = result.newBodies;
+  const refined = result.planets[first.planetIndex];
+  if (action === "addPlanet") {
+    if (merged.length >= MAX_PLANETS) {
+      throw new Error(`This system already has ${MAX_PLANETS} planets.`);
+    }
+    merged.push(refined);
+    return merged;
+  }
+
+  const target = merged[planetIndex];
+  if (!target) throw new Error("This planet no longer exists.");
+  if (action === "regeneratePlanet") {
+    merged[planetIndex] = refined;
+    return merged;
+  }
+  const moons = target.moons || [];
+  target.moons = [...moons, ...refined.moons.slice(first.moonIndex)].slice(
+    0,
+    Math.max(moons.length, MAX_MOONS)
+  );
+  return merged;
+}
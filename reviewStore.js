@@ -0,0 +1,131 @@
+// --- REVIEW STORE ---
+// Saves each user's learning progress, keyed by card ID: the flashcard review
+// schedule (see spacedRepetition.js) and the mastery level of each body (see
+// mastery.js). Progress belongs to the user, not to a galaxy, so it follows the
+// user between their own galaxy and shared ones.
+
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  setDoc,
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+/**
+ * @typedef {object} ReviewStore
+ * @property {() => Promise<Map<string, import("./spacedRepetition.js").ReviewState>>} loadAll
+ * @property {(cardId: string, state: import("./spacedRepetition.js").ReviewState) => Promise<void>} save
+ * @property {() => Promise<Map<string, string>>} loadMastery Levels by card ID.
+ * @property {(cardId: string, level: string) => Promise<void>} saveMastery
+ * @property {(cardIds: string[]) => Promise<void>} removeCards Forgets the
+ *   reviews and mastery levels of cards whose content was replaced.
+ */
+
+// --- FIRESTORE IMPLEMENTATION ---
+
+/**
+ * Stores reviews under `artifacts/{appId}/users/{userId}/reviews` and mastery
+ * levels under `.../mastery`, next to the user's galaxy and covered by the same
+ * rules.
+ * @param {import("firebase/firestore").Firestore} db
+ * @param {string} appId
+ * @param {string} userId
+ * @returns {ReviewStore}
+ */
+export function createFirestoreReviewStore(db, appId, userId) {
+  const reviewsCollection = collection(
+    db,
+    "artifacts",
+    appId,
+    "users",
+    userId,
+    "reviews"
+  );
+  const masteryCollection = collection(
+    db,
+    "artifacts",
+    appId,
+    "users",
+    userId,
+    "mastery"
+  );
+
+  return {
+    async loadAll() {
+      const snapshot = await getDocs(reviewsCollection);
+      return new Map(snapshot.docs.map((d) => [d.id, d.data()]));
+    },
+
+    async save(cardId, state) {
+      await setDoc(doc(reviewsCollection, cardId), state);
+    },
+
+    async loadMastery() {
+      const snapshot = await getDocs(masteryCollection);
+      return new Map(snapshot.docs.map((d) => [d.id, d.data().level]));
+    },
+
+    async saveMastery(cardId, level) {
+      await setDoc(doc(masteryCollection, cardId), {
+        level,
+        updatedAt: Date.now(),
+      });
+    },
+
+    async removeCards(cardIds) {
+      await Promise.all(
+        cardIds.flatMap((cardId) => [
+          deleteDoc(doc(reviewsCollection, cardId)),
+          deleteDoc(doc(masteryCollection, cardId)),
+        ])
+      );
+    },
+  };
+}
+
+// --- LOCAL IMPLEMENTATION ---
+
+/**
+ * Keeps reviews and mastery levels in localStorage for mock mode.
+ * @param {string} userId
+ * @returns {ReviewStore}
+ */
+export function createLocalReviewStore(userId) {
+  const read = (key) => JSON.parse(localStorage.getItem(key) || "{}");
+  const write = (key, cardId, value) =>
+    localStorage.setItem(
+      key,
+      JSON.stringify({ ...read(key), [cardId]: value })
+    );
+  const remove = (key, cardIds) => {
+    const entries = read(key);
+    cardIds.forEach((cardId) => delete entries[cardId]);
+    localStorage.setItem(key, JSON.stringify(entries));
+  };
+  const reviewsKey = `yoursol-reviews-${userId}`;
+  const masteryKey = `yoursol-mastery-${userId}`;
+
+  return {
+    async loadAll() {
+      return new Map(Object.entries(read(reviewsKey)));
+    },
+
+    async save(cardId, state) {
+      write(reviewsKey, cardId, state);
+    },
+
+    async loadMastery() {
+      return new Map(Object.entries(read(masteryKey)));
+    },
+
+    async saveMastery(cardId, level) {
+      write(masteryKey, cardId, level);
+    },
+
+    async removeCards(cardIds) {
+      remove(reviewsKey, cardIds);
+      remove(masteryKey, cardIds);
+    },
+  };
+}
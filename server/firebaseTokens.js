@@ -0,0 +1,104 @@
+// --- FIREBASE ID TOKENS ---
+// Verifies the Firebase ID tokens that the browser sends with each request, as
+// described in Firebase's "Verify ID tokens using a third-party JWT library":
+// the token must be signed by one of Google's current keys and issued for our
+// project. Uses only node:crypto, so the proxy needs no Admin SDK or service
+// account.
+
+import { createPublicKey, verify } from "node:crypto";
+
+const CERTS_URL =
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+// Allowed difference between our clock and Google's
+const CLOCK_SKEW_SECONDS = 5 * 60;
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.projectId The Firebase project the tokens are for.
+ * @param {boolean} [config.emulator] Accept the unsigned tokens of the Auth
+ *   emulator. Never set this for a proxy that is reachable from outside.
+ */
+export function createIdTokenVerifier({ projectId, emulator = false }) {
+  let certs = null;
+  let certsExpireAt = 0;
+
+  /** Google's public keys by key ID, cached as long as Google allows. */
+  async function getPublicKeys() {
+    if (certs && Date.now() < certsExpireAt) return certs;
+    const response = await fetch(CERTS_URL);
+    if (!response.ok) {
+      throw new Error(`Could not load Google's keys (${response.status}).`);
+    }
+    const maxAge = /max-age=(\d+)/.exec(
+      response.headers.get("Cache-Control") ?? ""
+    );
+    certs = new Map(
+      Object.entries(await response.json()).map(([kid, pem]) => [
+        kid,
+        createPublicKey(pem),
+      ])
+    );
+    certsExpireAt = Date.now() + (maxAge ? Number(maxAge[1]) : 3600) * 1000;
+    return certs;
+  }
+
+  return {
+    /**
+     * @param {string} token
+     * @returns {Promise<{uid: string, claims: object}>}
+     * @throws If the token is malformed, expired, for another project or not
+     *   signed by Google.
+     */
+    async verify(token) {
+      const segments = String(token).split(".");
+      if (segments.length !== 3) throw new Error("Malformed ID token.");
+      let header, claims;
+      try {
+        header = decodeSegment(segments[0]);
+        claims = decodeSegment(segments[1]);
+      } catch {
+        throw new Error("Malformed ID token.");
+      }
+
+      if (!emulator) {
+        if (header.alg !== "RS256") {
+          throw new Error("Unexpected token algorithm.");
+        }
+        const key = (await getPublicKeys()).get(header.kid);
+        if (!key) throw new Error("ID token signed with an unknown key.");
+        const signed = verify(
+          "RSA-SHA256",
+          Buffer.from(`${segments[0]}.${segments[1]}`),
+          key,
+          Buffer.from(segments[2], "base64url")
+        );
+        if (!signed) throw new Error("Invalid ID token signature.");
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      if (claims.aud !== projectId) {
+        throw new Error("ID token is for another project.");
+      }
+      if (claims.iss !== `https://securetoken.google.com/${projectId}`) {
+        throw new Error("ID token has an unexpected issuer.");
+      }
+      if (typeof claims.sub !== "string" || !claims.sub) {
+        throw new Error("ID token has no user.");
+      }
+      if (!(claims.exp > now - CLOCK_SKEW_SECONDS)) {
+        throw new Error("ID token has expired.");
+      }
+      if (
+        !(claims.iat <= now + CLOCK_SKEW_SECONDS) ||
+        !(claims.auth_time <= now + CLOCK_SKEW_SECONDS)
+      ) {
+        throw new Error("ID token is from the future.");
+      }
+      return { uid: claims.sub, claims };
+    },
+  };
+}
@@ -0,0 +1,427 @@
+// --- GENERATION PROXY ---
+// A small server that calls the language model for the browser, so the model's
+// API key never ships in the site's JavaScript. Every request must carry the
+// user's Firebase ID token, and each user gets a limited number of requests
+// per hour. The browser never sends a prompt: new star systems are requested
+// by topic and options, follow-ups (chat, quiz questions, refinements) by the
+// system and the body or question they are about, and every prompt is built
+// here with the same functions the browser uses. Answers are streamed back as
+// server-sent events, which the "proxy" provider in llmProviders.js reads.
+//
+// Configuration (environment variables, never prefixed with VITE_):
+// - LLM_PROVIDER: "gemini" (default), "openai" or "fixture".
+// - LLM_API_KEY, LLM_MODEL, LLM_BASE_URL: as VITE_LLM_* in .env.example.
+// - FIREBASE_PROJECT_ID: whose ID tokens are accepted (default yoursol-da249).
+// - PROXY_ACCEPT_EMULATOR_TOKENS: "true" accepts the Auth emulator's unsigned
+//   tokens, for local work with `npm run emulators`. Refused unless every
+//   allowed origin is on localhost.
+// - PROXY_PORT: default 8787, or PORT if the host sets it (e.g. Cloud Run).
+// - PROXY_ALLOWED_ORIGINS: comma-separated origins that may call the proxy,
+//   e.g. https://example.github.io. Defaults to the Vite dev server.
+// - PROXY_RATE_LIMIT: requests per user per hour (default 30).
+// - PROXY_GLOBAL_RATE_LIMIT: requests per hour for everyone together (default
+//   500), since anonymous accounts cost nothing to create.
+//
+// Run with `npm run proxy`.
+//
+// Hosting: the proxy needs only Node 20 and this repository (it has no
+// dependencies of its own), so any Node host works, e.g. Cloud Run, Fly.io or a
+// small VM behind an HTTPS reverse proxy. Run `npm run proxy` there with
+// LLM_API_KEY set as a secret of that host and PROXY_ALLOWED_ORIGINS set to
+// the site's origin (e.g. https://<user>.github.io). Then set the proxy's
+// public https URL as the VITE_LLM_PROXY_URL repository variable, which the
+// deploy workflow (.github/workflows/deploy.yml) passes to the build. Delete
+// the old VITE_GEMINI_API_KEY secret: deployed builds refuse to include a key.
+
+import { createServer } from "node:http";
+import { createLlmProvider } from "../llmProviders.js";
+import {
+  MAX_MOONS,
+  MAX_PLANETS,
+  normalizeGenerationOptions,
+} from "../generationOptions.js";
+import {
+  MAX_DESCRIPTION_LENGTH,
+  MAX_NAME_LENGTH,
+  truncateText,
+  validateStarSystem,
+} from "../starSystemSchema.js";
+import { buildStarSystemRequest } from "../starSystemPrompt.js";
+import {
+  REFINEMENT_ACTIONS,
+  buildRefinementRequest,
+  canRefine,
+} from "../planetRefinement.js";
+import { buildQuizRequest, buildStudyCards } from "../studyCards.js";
+import {
+  MAX_CHAT_HISTORY,
+  buildChatSystemPrompt,
+  trimChatHistory,
+} from "../starChat.js";
+import { createIdTokenVerifier } from "./firebaseTokens.js";
+import { createRateLimiter } from "./rateLimiter.js";
+
+const env = process.env;
+const PORT = Number(env.PROXY_PORT || env.PORT) || 8787;
+const ALLOWED_ORIGINS = (env.PROXY_ALLOWED_ORIGINS || "http://localhost:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const HOUR_MS = 60 * 60 * 1000;
+const LOCAL_HOSTNAMES = new Set(["localhost", "127.0.0.1", "[::1]"]);
+// Enough for the largest system (see validateStarSystem) and a conversation
+const MAX_BODY_BYTES = 512 * 1024;
+const MAX_QUESTION_LENGTH = 2000;
+
+if (env.LLM_PROVIDER === "proxy") {
+  throw new Error('LLM_PROVIDER cannot be "proxy" on the proxy itself.');
+}
+const provider = createLlmProvider({
+  VITE_LLM_PROVIDER: env.LLM_PROVIDER || "gemini",
+  VITE_LLM_API_KEY: env.LLM_API_KEY,
+  VITE_LLM_MODEL: env.LLM_MODEL,
+  VITE_LLM_BASE_URL: env.LLM_BASE_URL,
+});
+// Unsigned tokens let anyone claim any user, so they are an explicit opt-in
+// that only works for a proxy serving a local site
+const acceptEmulatorTokens = env.PROXY_ACCEPT_EMULATOR_TOKENS === "true";
+if (acceptEmulatorTokens && !ALLOWED_ORIGINS.every(isLocalOrigin)) {
+  throw new Error(
+    "PROXY_ACCEPT_EMULATOR_TOKENS is only allowed when PROXY_ALLOWED_ORIGINS lists localhost origins only."
+  );
+}
+const tokenVerifier = createIdTokenVerifier({
+  projectId: env.FIREBASE_PROJECT_ID || "yoursol-da249",
+  emulator: acceptEmulatorTokens,
+});
+const userLimiter = createRateLimiter({
+  limit: Number(env.PROXY_RATE_LIMIT) || 30,
+  windowMs: HOUR_MS,
+});
+const globalLimiter = createRateLimiter({
+  limit: Number(env.PROXY_GLOBAL_RATE_LIMIT) || 500,
+  windowMs: HOUR_MS,
+});
+
+function isLocalOrigin(origin) {
+  try {
+    return LOCAL_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * An error that is answered with `status` and its message. Other errors, e.g.
+ * from the model's API, are answered with a 502 and a generic message.
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status, expose: true });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, "Request body too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(httpError(400, "Request body must be JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function requireString(value, name, maxLength) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw httpError(400, `${name} is required.`);
+  }
+  if (value.length > maxLength) throw httpError(400, `${name} is too long.`);
+  return value;
+}
+
+// --- REQUESTS ---
+// Each turns a request body into what is passed to the provider, keeping only
+// the fields the provider needs.
+
+function parseStarSystemRequest({ topic, options, context, variantOfPlanets }) {
+  const extras = {};
+  if (context) {
+    extras.context = {
+      parentStar: {
+        name: truncateText(
+          String(context.parentStar?.name ?? ""),
+          MAX_NAME_LENGTH
+        ),
+        description: truncateText(
+          String(context.parentStar?.description ?? ""),
+          MAX_DESCRIPTION_LENGTH
+        ),
+      },
+      body: {
+        type: context.body?.type === "moon" ? "moon" : "planet",
+        description: truncateText(
+          String(context.body?.description ?? ""),
+          MAX_DESCRIPTION_LENGTH
+        ),
+      },
+    };
+  }
+  if (Array.isArray(variantOfPlanets)) {
+    extras.variantOfPlanets = variantOfPlanets
+      .slice(0, MAX_PLANETS)
+      .map((name) => truncateText(String(name), MAX_NAME_LENGTH));
+  }
+  return buildStarSystemRequest(
+    requireString(topic, "topic", MAX_NAME_LENGTH).trim(),
+    normalizeGenerationOptions(options),
+    extras
+  );
+}
+
+/**
+ * A system sent along with a follow-up request, checked and shortened like a
+ * generated one, so its size (and so the prompt's) stays within the limits.
+ */
+function parseSystem(system) {
+  try {
+    const { data } = validateStarSystem(system, {
+      planetCount: MAX_PLANETS,
+      maxMoons: MAX_MOONS,
+    });
+    return {
+      ...data,
+      generationOptions: normalizeGenerationOptions(system.generationOptions),
+    };
+  } catch (error) {
+    throw httpError(400, `system: ${error.message}`);
+  }
+}
+
+function requireIndex(value, length, name) {
+  if (!Number.isInteger(value) || value < 0 || value >= length) {
+    throw httpError(400, `${name} is out of range.`);
+  }
+  return value;
+}
+
+function parseRefinementRequest({ system, action, planetIndex }) {
+  const systemData = parseSystem(system);
+  if (!Object.hasOwn(REFINEMENT_ACTIONS, action)) {
+    throw httpError(400, "Unknown refinement action.");
+  }
+  if (action !== "addPlanet") {
+    requireIndex(planetIndex, systemData.planets.length, "planetIndex");
+  }
+  if (!canRefine(systemData, action, planetIndex)) {
+    throw httpError(400, "The system is already at its size limit.");
+  }
+  return buildRefinementRequest(systemData, action, planetIndex);
+}
+
+function parseQuizRequest({ system, systemId, cardIds }) {
+  const systemData = parseSystem(system);
+  const ids = new Set(Array.isArray(cardIds) ? cardIds : []);
+  const cards = buildStudyCards(
+    requireString(systemId, "systemId", MAX_NAME_LENGTH),
+    systemData
+  ).filter((card) => ids.has(card.id));
+  if (!cards.length) throw httpError(400, "cardIds match no cards.");
+  return buildQuizRequest(systemData, cards);
+}
+
+function parseChatRequest({ system, body, messages }) {
+  const systemData = parseSystem(system);
+  const planetIndex = requireIndex(
+    body?.planetIndex ?? 0,
+    systemData.planets.length,
+    "planetIndex"
+  );
+  const planet = systemData.planets[planetIndex];
+  let bodyData;
+  if (body?.type === "star") {
+    bodyData = { type: "star", name: systemData.star.name };
+  } else if (body?.type === "planet") {
+    bodyData = { type: "planet", name: planet.name };
+  } else if (body?.type === "moon") {
+    const moonIndex = requireIndex(
+      body.moonIndex,
+      planet.moons.length,
+      "moonIndex"
+    );
+    bodyData = {
+      type: "moon",
+      name: planet.moons[moonIndex].name,
+      parentPlanetName: planet.name,
+    };
+  } else {
+    throw httpError(400, "Unknown body type.");
+  }
+
+  if (
+    !Array.isArray(messages) ||
+    !messages.length ||
+    messages.length > MAX_CHAT_HISTORY
+  ) {
+    throw httpError(400, `Send 1 to ${MAX_CHAT_HISTORY} messages.`);
+  }
+  const question = messages[messages.length - 1];
+  if (question?.role !== "user") {
+    throw httpError(400, "The last message must be the question.");
+  }
+  requireString(question.text, "The question", MAX_QUESTION_LENGTH);
+  return {
+    systemPrompt: buildChatSystemPrompt(systemData, bodyData),
+    messages: trimChatHistory(messages),
+  };
+}
+
+const ROUTES = {
+  "/generate/star-system": {
+    parse: parseStarSystemRequest,
+    run: (request, onText) => provider.streamJson(request, onText),
+  },
+  "/generate/refinement": {
+    parse: parseRefinementRequest,
+    run: (request, onText) => provider.streamJson(request, onText),
+  },
+  "/generate/quiz": {
+    parse: parseQuizRequest,
+    run: (request, onText) => provider.streamJson(request, onText),
+  },
+  "/generate/chat": {
+    parse: parseChatRequest,
+    run: (request, onText) => provider.streamText(request, onText),
+  },
+};
+
+// --- SERVER ---
+
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Authorization, Content-Type"
+    );
+    res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+    res.setHeader("Access-Control-Expose-Headers", "Retry-After");
+  }
+}
+
+async function authenticate(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization ?? "");
+  if (!match) throw httpError(401, "Sign in to generate star systems.");
+  try {
+    return await tokenVerifier.verify(match[1]);
+  } catch (error) {
+    throw httpError(401, error.message);
+  }
+}
+
+function checkRateLimits(uid) {
+  const user = userLimiter.take(uid);
+  const global = user.allowed ? globalLimiter.take("*") : user;
+  if (!user.allowed || !global.allowed) {
+    if (user.allowed) userLimiter.release(uid);
+    throw Object.assign(httpError(429, "Too many requests; try again later."), {
+      retryAfterMs: Math.max(user.retryAfterMs, global.retryAfterMs),
+    });
+  }
+}
+
+async function handleRequest(req, res) {
+  setCorsHeaders(req, res);
+  if (req.method === "OPTIONS") {
+    res.writeHead(204).end();
+    return;
+  }
+  const route = ROUTES[new URL(req.url, "http://localhost").pathname];
+  if (!route) throw httpError(404, "Not found.");
+  if (req.method !== "POST") throw httpError(405, "Use POST.");
+
+  const { uid } = await authenticate(req);
+  // Stop the model when the browser goes away, e.g. a cancelled queue topic
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+  const request = {
+    ...route.parse(await readBody(req)),
+    signal: controller.signal,
+  };
+  checkRateLimits(uid);
+
+  const startStream = () => {
+    if (res.headersSent) return;
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+    });
+  };
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  let sentLength = 0;
+  const onText = (text) => {
+    startStream();
+    send({ delta: text.slice(sentLength) });
+    sentLength = text.length;
+  };
+
+  try {
+    await route.run(request, onText);
+    startStream();
+    send({ done: true });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return res.end();
+    if (error.expose) throw error;
+    console.error(`Generation failed for ${uid}:`, error);
+    // Once streaming has started, the status can no longer change
+    if (res.headersSent) {
+      send({ error: "The model could not answer." });
+      res.end();
+    } else if (error.status === 429) {
+      // The model's own rate limit; the browser pauses like for ours
+      throw Object.assign(
+        httpError(429, "The model is busy; try again later."),
+        {
+          retryAfterMs: error.retryAfterMs,
+        }
+      );
+    } else {
+      throw httpError(502, "The model could not answer.");
+    }
+  }
+}
+
+createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    const status = error.expose ? error.status : 500;
+    if (!error.expose) console.error(error);
+    if (res.headersSent) return res.end();
+    const headers = { "Content-Type": "application/json" };
+    if (error.retryAfterMs) {
+      headers["Retry-After"] = String(Math.ceil(error.retryAfterMs / 1000));
+    }
+    res.writeHead(status, headers).end(
+      JSON.stringify({
+        error: error.expose ? error.message : "Internal server error.",
+      })
+    );
+  });
+}).listen(PORT, () => {
+  console.log(
+    `Generation proxy (${provider.name}) on http://localhost:${PORT}`
+  );
+});
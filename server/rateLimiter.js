@@ -0,0 +1,45 @@
+// --- RATE LIMITER ---
+// Counts requests per key (a user ID, or "*" for everyone) over a sliding
+// window, so one user cannot spend the whole model budget. Kept in memory: a
+// restart forgets the counts, which is fine for a single small proxy.
+
+/**
+ * @param {{limit: number, windowMs: number}} config At most `limit` requests
+ *   per key within any `windowMs` milliseconds.
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  // Request times by key, oldest first
+  const requests = new Map();
+
+  const prune = (now) => {
+    requests.forEach((times, key) => {
+      while (times.length && times[0] <= now - windowMs) times.shift();
+      if (!times.length) requests.delete(key);
+    });
+  };
+
+  return {
+    /**
+     * Counts a request if the key is still under its limit.
+     * @param {string} key
+     * @param {number} [now]
+     * @returns {{allowed: boolean, retryAfterMs: number}} When not allowed,
+     *   how long until the oldest counted request leaves the window.
+     */
+    take(key, now = Date.now()) {
+      prune(now);
+      const times = requests.get(key) ?? [];
+      if (times.length >= limit) {
+        return { allowed: false, retryAfterMs: times[0] + windowMs - now };
+      }
+      times.push(now);
+      requests.set(key, times);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+
+    /** Uncounts the latest request of a key, e.g. when it was never sent on. */
+    release(key) {
+      requests.get(key)?.pop();
+    },
+  };
+}
@@ -0,0 +1,231 @@
+// --- SHARED GALAXIES ---
+// Galaxies that several people build together. Each shared galaxy has an owner
+// and members with a role: editors can add, change and delete systems, viewers
+// can only look. Anyone who opens an invite link joins as a viewer; the owner
+// decides who becomes an editor. Members also publish which system they are
+// looking at, so the others can see it in the scene.
+
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  onSnapshot,
+  query,
+  where,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+const INVITE_URL_PARAM = "join";
+
+// Presence older than this is treated as someone who left without saying so
+const PRESENCE_TIMEOUT_MS = 2 * 60 * 1000;
+const PRESENCE_HEARTBEAT_MS = 60 * 1000;
+
+export const GALAXY_ROLES = {
+  owner: "Owner",
+  editor: "Editor",
+  viewer: "Viewer",
+};
+
+/**
+ * @typedef {object} SharedGalaxy
+ * @property {string} id
+ * @property {string} name
+ * @property {string} ownerId
+ * @property {Object<string, "owner" | "editor" | "viewer">} members Roles by UID.
+ * @property {Object<string, string>} memberNames Display names by UID.
+ */
+
+export function canEditGalaxy(role) {
+  return role === "owner" || role === "editor";
+}
+
+/**
+ * The name other members see for a user.
+ * @param {import("firebase/auth").User} user
+ */
+export function getMemberName(user) {
+  return (
+    user.displayName ||
+    user.email ||
+    `Guest ${user.uid.substring(0, 4).toUpperCase()}`
+  );
+}
+
+function galaxiesCollection(db, appId) {
+  return collection(db, "artifacts", appId, "public", "data", "galaxies");
+}
+
+function galaxyDoc(db, appId, galaxyId) {
+  return doc(galaxiesCollection(db, appId), galaxyId);
+}
+
+function toSharedGalaxy(snapshot) {
+  return { id: snapshot.id, ...snapshot.data() };
+}
+
+/**
+ * Creates a shared galaxy owned by `user`.
+ * @returns {Promise<string>} The new galaxy's ID.
+ */
+export async function createSharedGalaxy(db, appId, user, name) {
+  const ref = doc(galaxiesCollection(db, appId));
+  await setDoc(ref, {
+    name,
+    ownerId: user.uid,
+    members: { [user.uid]: "owner" },
+    memberIds: [user.uid],
+    memberNames: { [user.uid]: getMemberName(user) },
+    createdAt: serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/**
+ * Calls `onChange` with every shared galaxy the user is a member of, now and
+ * whenever that list changes. Returns an unsubscribe function.
+ * @param {(galaxies: SharedGalaxy[]) => void} onChange
+ */
+export function subscribeToMemberGalaxies(
+  db,
+  appId,
+  userId,
+  onChange,
+  onError
+) {
+  return onSnapshot(
+    query(
+      galaxiesCollection(db, appId),
+      where("memberIds", "array-contains", userId)
+    ),
+    (snapshot) => onChange(snapshot.docs.map(toSharedGalaxy)),
+    onError
+  );
+}
+
+/**
+ * Adds the user to a shared galaxy as a viewer. Members keep their role.
+ * @returns {Promise<SharedGalaxy | null>} Null if the galaxy does not exist.
+ */
+export async function joinSharedGalaxy(db, appId, galaxyId, user) {
+  const ref = galaxyDoc(db, appId, galaxyId);
+  const snapshot = await getDoc(ref);
+  if (!snapshot.exists()) return null;
+  if (!snapshot.data().members[user.uid]) {
+    await updateDoc(ref, {
+      [`members.${user.uid}`]: "viewer",
+      [`memberNames.${user.uid}`]: getMemberName(user),
+      memberIds: arrayUnion(user.uid),
+    });
+  }
+  return toSharedGalaxy(await getDoc(ref));
+}
+
+/**
+ * Changes a member's role. Only the owner may do this.
+ * @param {"editor" | "viewer"} role
+ */
+export async function setMemberRole(db, appId, galaxyId, memberId, role) {
+  await updateDoc(galaxyDoc(db, appId, galaxyId), {
+    [`members.${memberId}`]: role,
+  });
+}
+
+/**
+ * Removes a member from a shared galaxy. Only the owner may do this.
+ */
+export async function removeMember(db, appId, galaxyId, memberId) {
+  await updateDoc(galaxyDoc(db, appId, galaxyId), {
+    [`members.${memberId}`]: deleteField(),
+    [`memberNames.${memberId}`]: deleteField(),
+    memberIds: arrayRemove(memberId),
+  });
+}
+
+/**
+ * The link that adds whoever opens it to a shared galaxy.
+ */
+export function getInviteUrl(galaxyId) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(INVITE_URL_PARAM, galaxyId);
+  return url.toString();
+}
+
+/**
+ * The galaxy ID in the current invite URL, or null.
+ */
+export function getInvitedGalaxyIdFromUrl() {
+  return new URLSearchParams(window.location.search).get(INVITE_URL_PARAM);
+}
+
+// --- PRESENCE ---
+
+/**
+ * Publishes which system the user is viewing in a shared galaxy and reports
+ * where the other members are.
+ * @param {import("firebase/auth").User} user
+ * @returns {{setViewing: (systemId: string | null) => void, subscribe: (onChange: (viewers: Array<{userId: string, name: string, systemId: string}>) => void) => () => void, leave: () => Promise<void>}}
+ */
+export function createPresence(db, appId, galaxyId, user) {
+  const presenceCollection = collection(
+    galaxyDoc(db, appId, galaxyId),
+    "presence"
+  );
+  const ownDoc = doc(presenceCollection, user.uid);
+  const name = getMemberName(user);
+  let systemId = null;
+
+  const publish = () =>
+    setDoc(ownDoc, { name, systemId, updatedAt: serverTimestamp() }).catch(
+      (error) => console.error("Failed to update presence:", error)
+    );
+  // Refreshed regularly so others can tell an idle viewer from one who left
+  const heartbeat = setInterval(publish, PRESENCE_HEARTBEAT_MS);
+
+  return {
+    setViewing(nextSystemId) {
+      if (nextSystemId === systemId) return;
+      systemId = nextSystemId;
+      publish();
+    },
+
+    subscribe(onChange) {
+      return onSnapshot(
+        presenceCollection,
+        (snapshot) => {
+          const now = Date.now();
+          onChange(
+            snapshot.docs
+              .filter((d) => d.id !== user.uid)
+              .map((d) => {
+                const data = d.data({ serverTimestamps: "estimate" });
+                return {
+                  userId: d.id,
+                  name: data.name,
+                  systemId: data.systemId,
+                  updatedAt: data.updatedAt?.toMillis() ?? now,
+                };
+              })
+              .filter(
+                (viewer) =>
+                  viewer.systemId &&
+                  now - viewer.updatedAt < PRESENCE_TIMEOUT_MS
+              )
+          );
+        },
+        (error) => console.error("Failed to load presence:", error)
+      );
+    },
+
+    async leave() {
+      clearInterval(heartbeat);
+      await deleteDoc(ownDoc);
+    },
+  };
+}
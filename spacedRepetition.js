@@ -0,0 +1,97 @@
+// --- SPACED REPETITION ---
+// Schedules flashcard reviews with a simplified SM-2: every card has an ease
+// factor, and each successful review multiplies the wait until the next one by
+// it. Forgotten cards start over and come back the same day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * How well a card was remembered, from the study buttons. Quiz answers map to
+ * "good" (correct) or "again" (wrong).
+ */
+export const REVIEW_GRADES = {
+  again: "Again",
+  hard: "Hard",
+  good: "Good",
+  easy: "Easy",
+};
+
+/**
+ * @typedef {object} ReviewState
+ * @property {number} repetitions Successful reviews in a row.
+ * @property {number} intervalDays Days between the last review and the next.
+ * @property {number} ease Interval multiplier, at least 1.3.
+ * @property {number} lapses How often the card was forgotten.
+ * @property {number} lastReviewedAt Milliseconds since the epoch.
+ * @property {number} dueAt Milliseconds since the epoch.
+ */
+
+/**
+ * Schedules a card's next review.
+ * @param {ReviewState | undefined} previous Undefined for a card never reviewed.
+ * @param {keyof REVIEW_GRADES} grade
+ * @param {number} [now]
+ * @returns {ReviewState}
+ */
+export function scheduleReview(previous, grade, now = Date.now()) {
+  let {
+    repetitions = 0,
+    intervalDays = 0,
+    ease = INITIAL_EASE,
+    lapses = 0,
+  } = previous ?? {};
+
+  if (grade === "again") {
+    return {
+      repetitions: 0,
+      intervalDays: 0,
+      ease: Math.max(MIN_EASE, ease - 0.2),
+      lapses: previous ? lapses + 1 : 0,
+      lastReviewedAt: now,
+      dueAt: now + RELEARN_DELAY_MS,
+    };
+  }
+
+  if (grade === "hard") {
+    ease = Math.max(MIN_EASE, ease - 0.15);
+    intervalDays = Math.max(1, Math.round(intervalDays * 1.2));
+  } else {
+    if (repetitions === 0) intervalDays = 1;
+    else if (repetitions === 1) intervalDays = 3;
+    else intervalDays = Math.round(intervalDays * ease);
+    if (grade === "easy") {
+      ease += 0.15;
+      intervalDays = Math.round(intervalDays * 1.3) + 1;
+    }
+  }
+  return {
+    repetitions: repetitions + 1,
+    intervalDays,
+    ease,
+    lapses,
+    lastReviewedAt: now,
+    dueAt: now + intervalDays * DAY_MS,
+  };
+}
+
+/**
+ * The end of the local day, so "due today" includes cards due this evening.
+ * @param {number} [now]
+ */
+export function getEndOfToday(now = Date.now()) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end.getTime();
+}
+
+/**
+ * Whether a reviewed card is due by the end of today. Cards that were never
+ * reviewed are new, not due.
+ * @param {ReviewState | undefined} state
+ */
+export function isDueToday(state, now = Date.now()) {
+  return !!state && state.dueAt <= getEndOfToday(now);
+}
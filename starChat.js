@@ -0,0 +1,149 @@
+// --- ASK THE STAR ---
+// Follow-up questions about a star, planet or moon, answered by the configured
+// LLM provider. The whole system is sent along as an outline, so answers build
+// on what the system already says, in the voice it was generated in. Answers can
+// be kept as new moons, which lets a conversation grow the system.
+
+import { toMarkdown } from "./outlineExport.js";
+import {
+  AUDIENCE_LEVELS,
+  TONES,
+  normalizeGenerationOptions,
+} from "./generationOptions.js";
+import {
+  MAX_NAME_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  makeUniqueName,
+  truncateText,
+} from "./starSystemSchema.js";
+import { toSystemInput } from "./starSystemPrompt.js";
+
+// Keeps answers short enough to be saved as a moon's description
+const ANSWER_WORD_LIMIT = 150;
+// Only the latest messages of a long conversation are sent, which keeps the
+// cost of a question bounded; each message is shortened to the same end
+export const MAX_CHAT_HISTORY = 20;
+export const MAX_CHAT_MESSAGE_LENGTH = 4000;
+const SAVED_MOON_SCALE = 0.5;
+
+/**
+ * @typedef {{role: "user" | "assistant", text: string}} ChatMessage
+ */
+
+/**
+ * Describes which body a question is about, e.g. `the moon "Key Vocabulary" of
+ * the planet "Fundamental Concepts"`.
+ * @param {object} body The body's userData (type, name, parent names).
+ */
+function describeBody(body) {
+  if (body.type === "star") return `the star "${body.name}" itself`;
+  if (body.type === "planet") return `the planet "${body.name}"`;
+  return `the moon "${body.name}" of the planet "${body.parentPlanetName}"`;
+}
+
+/**
+ * The system prompt for a conversation about one body of a star system.
+ * @param {object} systemData The system's full data.
+ * @param {object} body The body's userData.
+ */
+export function buildChatSystemPrompt(systemData, body) {
+  // Answers match how the system was generated; older systems use the defaults
+  const options = normalizeGenerationOptions(systemData.generationOptions);
+  return `You answer follow-up questions about a knowledge map shaped like a star system: the star is the core topic, planets are its sub-topics and moons are details of their planet.
+
+This is the whole system:
+
+${toMarkdown([systemData])}
+The user is looking at ${describeBody(body)}. Answer their questions about it.
+Build on the content above instead of repeating it, and say so when a question goes beyond what you reliably know.
+Write for ${AUDIENCE_LEVELS[options.audience]}. The tone should be ${
+    TONES[options.tone]
+  }. Answer in ${options.language}.
+Keep each answer under ${ANSWER_WORD_LIMIT} words of plain text, without headings or lists.`;
+}
+
+/**
+ * The latest messages of a conversation, shortened, starting with a question.
+ * @param {ChatMessage[]} messages
+ * @returns {ChatMessage[]}
+ */
+export function trimChatHistory(messages) {
+  const recent = messages.slice(-MAX_CHAT_HISTORY);
+  while (recent.length > 1 && recent[0].role !== "user") recent.shift();
+  return recent.map(({ role, text }) => ({
+    role: role === "assistant" ? "assistant" : "user",
+    text: truncateText(String(text), MAX_CHAT_MESSAGE_LENGTH),
+  }));
+}
+
+/**
+ * Asks the provider about a body and streams the answer.
+ * @param {import("./llmProviders.js").LlmProvider} provider
+ * @param {{systemData: object, body: object, messages: ChatMessage[]}} conversation
+ *   The conversation so far, ending with the new question.
+ * @param {(text: string) => void} onText Called with the answer received so far.
+ * @returns {Promise<string>} The full answer.
+ */
+export async function askAboutBody(
+  provider,
+  { systemData, body, messages },
+  onText
+) {
+  const { type, planetIndex, moonIndex } = body;
+  const answer = await provider.streamText(
+    {
+      systemPrompt: buildChatSystemPrompt(systemData, body),
+      messages: trimChatHistory(messages),
+      task: {
+        kind: "chat",
+        input: {
+          system: toSystemInput(systemData),
+          body: { type, planetIndex, moonIndex },
+        },
+      },
+    },
+    onText
+  );
+  return answer.trim();
+}
+
+/**
+ * Which planet an answer about a body is saved to: the planet itself, or the
+ * planet a moon orbits. Questions about the star have no obvious planet.
+ * @returns {number | null} The planet's index, or null for the star.
+ */
+export function getPlanetIndexForAnswer(body) {
+  return body.type === "star" ? null : body.planetIndex;
+}
+
+/**
+ * Turns an answer into moon data. The name is shortened and made unique among
+ * the system's moons, and the answer becomes the description.
+ * @param {object} systemData The system the moon is added to.
+ * @param {string} name The moon's name, e.g. as confirmed by the user.
+ * @param {string} answer
+ */
+export function createMoonFromAnswer(systemData, name, answer) {
+  const takenNames = new Set(
+    systemData.planets.flatMap((planet) =>
+      (planet.moons || []).map((moon) => moon.name.toLowerCase())
+    )
+  );
+  return {
+    name: makeUniqueName(
+      truncateText(name.trim(), MAX_NAME_LENGTH),
+      takenNames
+    ),
+    description: truncateText(answer, MAX_DESCRIPTION_LENGTH),
+    scale: SAVED_MOON_SCALE,
+  };
+}
+
+/**
+ * The name suggested for a moon saved from an answer: the question, without its
+ * question mark.
+ * @param {string} question
+ */
+export function suggestMoonName(question) {
+  return truncateText(question.trim().replace(/[?？]+$/, ""), MAX_NAME_LENGTH);
+}
@@ -0,0 +1,215 @@
+// --- STAR SYSTEM FIXTURES ---
+// Bad model responses collected from real failures, shared by anything that
+// needs to exercise validateStarSystem: the fixture provider can return one of
+// them (VITE_LLM_FIXTURE), and checks of the validator can run over all of them.
+// `repairable` says whether validateStarSystem should repair the response or
+// reject it.
+
+const moon = (name, scale = 0.5) => ({
+  name,
+  description: `A detail called ${name}.`,
+  scale,
+});
+
+export const BAD_STAR_SYSTEM_RESPONSES = {
+  "missing-moons": {
+    about: "Planets without a moons array.",
+    repairable: true,
+    response: {
+      star: {
+        name: "Volcanoes",
+        description: "How volcanoes work.",
+        scale: 1.5,
+      },
+      planets: [
+        {
+          name: "Magma",
+          description: "Molten rock below the surface.",
+          scale: 1,
+        },
+        {
+          name: "Eruptions",
+          description: "What happens when pressure escapes.",
+          scale: 1.2,
+          moons: null,
+        },
+      ],
+    },
+  },
+
+  "bad-scales": {
+    about: "Scales out of range, as strings, or missing.",
+    repairable: true,
+    response: {
+      star: { name: "Rivers", description: "Flowing water.", scale: 40 },
+      planets: [
+        {
+          name: "Sources",
+          description: "Where rivers begin.",
+          scale: "1.3",
+          moons: [moon("Springs", -2), moon("Glaciers", "big")],
+        },
+        { name: "Deltas", description: "Where rivers end.", moons: [] },
+      ],
+    },
+  },
+
+  "empty-names": {
+    about: "Empty or whitespace-only names and missing descriptions.",
+    repairable: true,
+    response: {
+      star: { name: "  ", description: "A topic with no name.", scale: 1 },
+      planets: [
+        {
+          name: "",
+          description: "A planet with no name.",
+          scale: 1,
+          moons: [],
+        },
+        {
+          name: "Named",
+          scale: 1,
+          moons: [{ name: " ", description: "", scale: 0.5 }],
+        },
+      ],
+    },
+  },
+
+  "duplicate-names": {
+    about:
+      "Repeated planet names and moon names repeated across planets, which break name-based lookups.",
+    repairable: true,
+    response: {
+      star: { name: "Music Theory", description: "How music works.", scale: 1 },
+      planets: [
+        {
+          name: "Harmony",
+          description: "Chords and their relations.",
+          scale: 1,
+          moons: [moon("Intervals"), moon("Intervals")],
+        },
+        {
+          name: "harmony",
+          description: "The same planet again.",
+          scale: 1,
+          moons: [moon("Intervals")],
+        },
+      ],
+    },
+  },
+
+  "long-text": {
+    about: "Names and descriptions far longer than the UI can show.",
+    repairable: true,
+    response: {
+      star: {
+        name: "Photosynthesis ".repeat(10).trim(),
+        description: "Light becomes sugar. ".repeat(200).trim(),
+        scale: 1,
+      },
+      planets: [
+        {
+          name: "Light Reactions",
+          description: "Chlorophyll absorbs light. ".repeat(100).trim(),
+          scale: 1,
+          moons: [moon("Photosystem II")],
+        },
+      ],
+    },
+  },
+
+  "junk-entries": {
+    about: "Non-object planets and moons mixed in with valid ones.",
+    repairable: true,
+    response: {
+      star: { name: "Cells", description: "The unit of life.", scale: 1 },
+      planets: [
+        "Membrane",
+        null,
+        {
+          name: "Nucleus",
+          description: "Holds the DNA.",
+          scale: 1,
+          moons: [42, moon("Chromatin")],
+        },
+      ],
+    },
+  },
+
+  "too-many-bodies": {
+    about: "More planets and moons than requested (3 planets, up to 3 moons).",
+    repairable: true,
+    response: {
+      star: { name: "Chess", description: "A board game.", scale: 1 },
+      planets: ["Openings", "Middlegame", "Endgame", "History", "Engines"].map(
+        (name) => ({
+          name,
+          description: `The ${name.toLowerCase()} of chess.`,
+          scale: 1,
+          moons: [
+            moon(`${name} A`),
+            moon(`${name} B`),
+            moon(`${name} C`),
+            moon(`${name} D`),
+          ],
+        })
+      ),
+    },
+  },
+
+  "markup-names": {
+    about:
+      "HTML in names and descriptions, which must show as text and never run.",
+    repairable: true,
+    response: {
+      star: {
+        name: '<img src=x onerror="alert(1)">',
+        description: "Line one<br>line two\n<script>alert(2)</script>",
+        scale: 1,
+      },
+      planets: [
+        {
+          name: "<b>Bold</b>",
+          description: '<a href="javascript:alert(3)">A link</a>',
+          scale: 1,
+          moons: [moon('<svg onload="alert(4)">')],
+        },
+      ],
+    },
+  },
+
+  "no-planets": {
+    about: "An empty planet list.",
+    repairable: false,
+    response: {
+      star: { name: "Empty", description: "Nothing here.", scale: 1 },
+      planets: [],
+    },
+  },
+
+  "no-star": {
+    about: "Planets without a star.",
+    repairable: false,
+    response: {
+      planets: [
+        {
+          name: "Orphan",
+          description: "No star to orbit.",
+          scale: 1,
+          moons: [],
+        },
+      ],
+    },
+  },
+
+  "wrapped-array": {
+    about: "The system wrapped in an array, as the old prompt asked for.",
+    repairable: false,
+    response: [
+      {
+        star: { name: "Wrapped", description: "Inside an array.", scale: 1 },
+        planets: [],
+      },
+    ],
+  },
+};
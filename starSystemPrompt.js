@@ -0,0 +1,108 @@
+// --- STAR SYSTEM PROMPT ---
+// Builds the generation request for a new star system from its topic and
+// options. Shared by the browser and the generation proxy in server/: when the
+// proxy is used, the browser only sends the topic and options (see
+// StarSystemInput), and the prompt is built on the server. Follow-up requests
+// about a saved system (chat, quiz questions, refinements) send the system as
+// a SystemInput instead.
+
+import {
+  buildGenerationInstructions,
+  buildResponseSchema,
+} from "./generationOptions.js";
+import { MAX_GENERATED_REFERENCES } from "./bodyReferences.js";
+
+/**
+ * What a star system is generated from. This is all the generation proxy
+ * accepts for a new system.
+ * @typedef {object} StarSystemInput
+ * @property {string} topic The core topic of the new system.
+ * @property {object} options The normalized generation options.
+ * @property {{parentStar: {name: string, description: string}, body: {type: string, description: string}}} [context]
+ *   The body the topic was expanded from, if any.
+ * @property {string[]} [variantOfPlanets] The planets of a system on the same
+ *   topic that the new one should differ from.
+ */
+
+/**
+ * The parts of a saved system that follow-up prompts use, which is all of the
+ * system the generation proxy receives.
+ * @typedef {object} SystemInput
+ * @property {{name: string, description: string, scale: number}} star
+ * @property {Array<{name: string, description: string, scale: number, moons: object[]}>} planets
+ * @property {object} [generationOptions]
+ */
+
+/**
+ * @param {object} systemData A saved system's full data.
+ * @returns {SystemInput}
+ */
+export function toSystemInput(systemData) {
+  const pick = ({ name, description, scale }) => ({ name, description, scale });
+  return {
+    star: pick(systemData.star),
+    planets: systemData.planets.map((planet) => ({
+      ...pick(planet),
+      moons: (planet.moons || []).map(pick),
+    })),
+    generationOptions: systemData.generationOptions,
+  };
+}
+
+/**
+ * @param {string} topic
+ * @param {object} options The normalized generation options.
+ * @param {{context?: object, variantOfPlanets?: string[]}} [extras]
+ * @returns {import("./llmProviders.js").GenerationRequest & StarSystemInput}
+ */
+export function buildStarSystemRequest(
+  topic,
+  options,
+  { context, variantOfPlanets } = {}
+) {
+  const systemPrompt = `You are a helpful knowledge structuring engine. Your task is to take a core topic and break it down into a structured JSON format representing a star system:
+- The **star** is the main Core Idea/Topic.
+- **Planets** are the main sub-topics or conceptual pillars.
+- **Moons** are specific details, examples, or supporting points for their parent planet.
+
+${buildGenerationInstructions(options)}
+Ensure the name and description are concise and relevant to the topic.
+The 'scale' property should be a float between 0.5 and 2.0.
+For the star and each planet and moon, list up to ${MAX_GENERATED_REFERENCES} well-known sources for further reading in 'references', each with a title, its full URL and its type. Only list sources you are confident exist at that URL; leave the list empty otherwise.
+
+Your response MUST be a single JSON object following this schema. Do not include any text, markdown formatting, or explanations outside the JSON block.`;
+
+  let userQuery = `Core Topic: "${topic}"`;
+  if (context) {
+    userQuery += `
+
+Context: This topic is a ${context.body.type} within the broader topic "${context.parentStar.name}" (${context.parentStar.description}).
+Its current summary is: "${context.body.description}"
+Go deeper than that summary and stay focused on this topic as part of "${context.parentStar.name}".`;
+  }
+  if (variantOfPlanets?.length) {
+    userQuery += `
+
+This galaxy already has a system on this topic, with the planets ${variantOfPlanets
+      .map((name) => `"${name}"`)
+      .join(", ")}.
+Take a different angle on the topic and choose different planets.`;
+  }
+
+  return {
+    systemPrompt,
+    userPrompt: userQuery,
+    schema: buildResponseSchema(options),
+    topic,
+    options,
+    // Only what the prompt uses, so the proxy receives no more than it needs
+    context: context && {
+      parentStar: {
+        name: context.parentStar.name,
+        description: context.parentStar.description,
+      },
+      body: { type: context.body.type, description: context.body.description },
+    },
+    variantOfPlanets,
+  };
+}
@@ -0,0 +1,196 @@
+// --- STAR SYSTEM SCHEMA ---
+// Checks generated star system data before it reaches the scene and Firestore.
+// Models do not always follow the response schema, so whatever can be repaired
+// is repaired: scales are clamped, missing fields get defaults, duplicate names
+// are made unique, overlong text is shortened and references without a valid
+// link are dropped. Each repair is reported, so the caller can log what the
+// model got wrong.
+
+import { cleanReferences } from "./bodyReferences.js";
+
+export const SCALE_RANGE = { min: 0.2, max: 2 };
+export const MAX_NAME_LENGTH = 80;
+export const MAX_DESCRIPTION_LENGTH = 1200;
+
+const DEFAULT_SCALES = { star: 1, planet: 1, moon: 0.5 };
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {{star: object, planets: object[]}} data A clean copy of the system.
+ * @property {string[]} fixes What was repaired, one readable line per repair.
+ */
+
+/**
+ * Shortens text to `maxLength` characters, at a word boundary where possible.
+ */
+export function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (
+    (lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd() + "…"
+  );
+}
+
+/**
+ * Returns `name`, or `name (2)`, `name (3)`... if it is already taken.
+ * @param {string} name
+ * @param {Set<string>} takenNames Lower-cased names already in use.
+ */
+export function makeUniqueName(name, takenNames) {
+  const key = (candidate) => candidate.toLowerCase();
+  if (!takenNames.has(key(name))) return name;
+  let n = 2;
+  while (takenNames.has(key(`${name} (${n})`))) n++;
+  return `${name} (${n})`;
+}
+
+/**
+ * Validates and repairs generated star system data.
+ * @param {any} raw The parsed model response.
+ * @param {{planetCount: number, maxMoons: number}} [options] When given, extra
+ *   planets and moons beyond the requested counts are dropped.
+ * @returns {ValidationResult}
+ * @throws {Error} If there is no star or not a single usable planet.
+ */
+export function validateStarSystem(raw, options) {
+  const fixes = [];
+  if (!raw || typeof raw !== "object") {
+    throw new Error("The response is not a star system object.");
+  }
+  if (!raw.star || typeof raw.star !== "object") {
+    throw new Error("The response has no star.");
+  }
+  if (!Array.isArray(raw.planets)) {
+    throw new Error("The response has no planet list.");
+  }
+
+  const cleanBody = (body, type, label, fallbackName) => {
+    let name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) {
+      name = fallbackName;
+      fixes.push(`${label} had no name; named it "${name}".`);
+    } else if (name.length > MAX_NAME_LENGTH) {
+      name = truncateText(name, MAX_NAME_LENGTH);
+      fixes.push(
+        `${label} had a name longer than ${MAX_NAME_LENGTH} characters.`
+      );
+    }
+
+    let description =
+      typeof body.description === "string" ? body.description.trim() : "";
+    if (typeof body.description !== "string") {
+      fixes.push(`"${name}" had no description.`);
+    } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+      description = truncateText(description, MAX_DESCRIPTION_LENGTH);
+      fixes.push(
+        `"${name}" had a description longer than ${MAX_DESCRIPTION_LENGTH} characters.`
+      );
+    }
+
+    let scale = Number(body.scale);
+    if (
+      body.scale === undefined ||
+      body.scale === null ||
+      !Number.isFinite(scale)
+    ) {
+      scale = DEFAULT_SCALES[type];
+      fixes.push(`"${name}" had no valid scale; used ${scale}.`);
+    } else if (scale < SCALE_RANGE.min || scale > SCALE_RANGE.max) {
+      const clamped = Math.min(
+        SCALE_RANGE.max,
+        Math.max(SCALE_RANGE.min, scale)
+      );
+      fixes.push(`"${name}" had scale ${scale}; clamped to ${clamped}.`);
+      scale = clamped;
+    }
+    const { references, dropped } = cleanReferences(body.references);
+    if (dropped) {
+      fixes.push(
+        `Dropped ${dropped} invalid or repeated references of "${name}".`
+      );
+    }
+    return references.length
+      ? { name, description, scale, references }
+      : { name, description, scale };
+  };
+
+  // Names are looked up per body type across the whole system, e.g. by the
+  // system navigator, so planet names and moon names must each be unique
+  const usedNames = { planet: new Set(), moon: new Set() };
+  const makeUnique = (body, type) => {
+    const unique = makeUniqueName(body.name, usedNames[type]);
+    if (unique !== body.name) {
+      fixes.push(`Renamed a duplicate ${type} "${body.name}" to "${unique}".`);
+      body.name = unique;
+    }
+    usedNames[type].add(unique.toLowerCase());
+    return body;
+  };
+
+  const star = cleanBody(raw.star, "star", "The star", "Unnamed Star");
+
+  let rawPlanets = raw.planets.filter((planet, index) => {
+    if (planet && typeof planet === "object") return true;
+    fixes.push(`Dropped planet ${index + 1}, which was not an object.`);
+    return false;
+  });
+  if (options && rawPlanets.length > options.planetCount) {
+    fixes.push(
+      `Dropped ${rawPlanets.length - options.planetCount} planets beyond the ${
+        options.planetCount
+      } requested.`
+    );
+    rawPlanets = rawPlanets.slice(0, options.planetCount);
+  }
+  if (rawPlanets.length === 0) {
+    throw new Error("The response has no usable planets.");
+  }
+
+  const planets = rawPlanets.map((rawPlanet, planetIndex) => {
+    const planetLabel = `Planet ${planetIndex + 1}`;
+    const planet = makeUnique(
+      cleanBody(rawPlanet, "planet", planetLabel, planetLabel),
+      "planet"
+    );
+
+    let rawMoons = rawPlanet.moons;
+    if (!Array.isArray(rawMoons)) {
+      fixes.push(`"${planet.name}" had no moon list.`);
+      rawMoons = [];
+    }
+    rawMoons = rawMoons.filter((moon, index) => {
+      if (moon && typeof moon === "object") return true;
+      fixes.push(
+        `Dropped moon ${index + 1} of "${
+          planet.name
+        }", which was not an object.`
+      );
+      return false;
+    });
+    if (options && rawMoons.length > options.maxMoons) {
+      fixes.push(
+        `Dropped ${rawMoons.length - options.maxMoons} moons of "${
+          planet.name
+        }" beyond the ${options.maxMoons} requested.`
+      );
+      rawMoons = rawMoons.slice(0, options.maxMoons);
+    }
+
+    planet.moons = rawMoons.map((rawMoon, moonIndex) => {
+      const moonLabel = `Moon ${moonIndex + 1} of "${planet.name}"`;
+      return makeUnique(
+        cleanBody(
+          rawMoon,
+          "moon",
+          moonLabel,
+          `${planet.name} Detail ${moonIndex + 1}`
+        ),
+        "moon"
+      );
+    });
+    return planet;
+  });
+
+  return { data: { star, planets }, fixes };
+}
@@ -0,0 +1,232 @@
+// --- STUDY CARDS ---
+// Turns a star system's planets and moons into flashcards and multiple-choice
+// questions. Questions are either built from the descriptions (offline, and
+// always available) or written by the configured LLM provider; generated ones
+// that do not check out are replaced by built ones.
+
+import { stripMarkdown } from "./outlineExport.js";
+import { toSystemInput } from "./starSystemPrompt.js";
+import {
+  AUDIENCE_LEVELS,
+  normalizeGenerationOptions,
+} from "./generationOptions.js";
+
+const CHOICE_COUNT = 4;
+
+/**
+ * @typedef {object} StudyCard
+ * @property {string} id Stable across sessions: system ID plus the body's place.
+ * @property {string} systemId
+ * @property {"planet" | "moon"} type
+ * @property {number} planetIndex
+ * @property {number | null} moonIndex
+ * @property {string} name
+ * @property {string} description
+ * @property {string} systemName
+ * @property {string | null} planetName The planet a moon orbits.
+ */
+
+/**
+ * @typedef {object} QuizQuestion
+ * @property {string} cardId
+ * @property {string} question
+ * @property {string[]} choices
+ * @property {number} answerIndex
+ */
+
+/**
+ * The card ID for a body, e.g. "abc123:moon:0:2".
+ */
+export function getCardId(systemId, { type, planetIndex, moonIndex }) {
+  return type === "moon"
+    ? `${systemId}:moon:${planetIndex}:${moonIndex}`
+    : `${systemId}:planet:${planetIndex}`;
+}
+
+/**
+ * One card per planet and moon that has a description to learn.
+ * @param {string} systemId
+ * @param {object} systemData
+ * @returns {StudyCard[]}
+ */
+export function buildStudyCards(systemId, systemData) {
+  const cards = [];
+  const add = (body, type, planetIndex, moonIndex, planetName) => {
+    if (!body.description) return;
+    cards.push({
+      id: getCardId(systemId, { type, planetIndex, moonIndex }),
+      systemId,
+      type,
+      planetIndex,
+      moonIndex,
+      name: body.name,
+      description: stripMarkdown(body.description),
+      systemName: systemData.star.name,
+      planetName,
+    });
+  };
+  systemData.planets.forEach((planet, planetIndex) => {
+    add(planet, "planet", planetIndex, null, null);
+    (planet.moons || []).forEach((moon, moonIndex) =>
+      add(moon, "moon", planetIndex, moonIndex, planet.name)
+    );
+  });
+  return cards;
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Builds a "which body is described here?" question, with the names of other
+ * bodies of the same kind as wrong answers. The name is blanked out of the
+ * description so it does not give the answer away.
+ * @param {StudyCard} card
+ * @param {StudyCard[]} cards Where the wrong answers come from.
+ * @param {() => number} [random]
+ * @returns {QuizQuestion | null} Null if there are no other bodies to choose from.
+ */
+export function buildDescriptionQuestion(card, cards, random = Math.random) {
+  const others = [
+    ...new Set(
+      cards
+        .filter((c) => c.type === card.type && c.name !== card.name)
+        .map((c) => c.name)
+    ),
+  ];
+  if (others.length === 0) return null;
+
+  const choices = shuffle(
+    [card.name, ...shuffle(others, random).slice(0, CHOICE_COUNT - 1)],
+    random
+  );
+  const namePattern = new RegExp(
+    card.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    "gi"
+  );
+  return {
+    cardId: card.id,
+    question: `Which ${card.type} of "${
+      card.systemName
+    }" is this? "${card.description.replace(namePattern, "___")}"`,
+    choices,
+    answerIndex: choices.indexOf(card.name),
+  };
+}
+
+function isValidQuestion(question, cardIds) {
+  const { cardId, choices, answerIndex } = question ?? {};
+  return (
+    cardIds.has(cardId) &&
+    typeof question.question === "string" &&
+    question.question.trim().length > 0 &&
+    Array.isArray(choices) &&
+    choices.length >= 2 &&
+    choices.every((choice) => typeof choice === "string" && choice.trim()) &&
+    new Set(choices).size === choices.length &&
+    Number.isInteger(answerIndex) &&
+    answerIndex >= 0 &&
+    answerIndex < choices.length
+  );
+}
+
+const QUIZ_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    questions: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          cardId: { type: "STRING" },
+          question: { type: "STRING" },
+          choices: {
+            type: "ARRAY",
+            minItems: CHOICE_COUNT,
+            maxItems: CHOICE_COUNT,
+            items: { type: "STRING" },
+          },
+          answerIndex: { type: "INTEGER" },
+        },
+        propertyOrdering: ["cardId", "question", "choices", "answerIndex"],
+      },
+    },
+  },
+  propertyOrdering: ["questions"],
+};
+
+/**
+ * The request for one multiple-choice question per card.
+ * @param {object} systemData The system the cards come from, for its options.
+ * @param {StudyCard[]} cards Cards of that system (see buildStudyCards).
+ * @param {Map<string, QuizQuestion>} builtQuestions What the fixture provider
+ *   answers with.
+ * @returns {import("./llmProviders.js").GenerationRequest}
+ */
+export function buildQuizRequest(
+  systemData,
+  cards,
+  builtQuestions = new Map()
+) {
+  const options = normalizeGenerationOptions(systemData.generationOptions);
+  return {
+    systemPrompt: `You write multiple-choice quiz questions that check whether a learner remembers the details of a topic.
+Write exactly one question for each card you are given, and keep its cardId.
+Each question has ${CHOICE_COUNT} short choices; answerIndex is the position of the correct one, starting at 0.
+The wrong choices must be plausible but clearly wrong according to the card.
+Write for ${AUDIENCE_LEVELS[options.audience]}, in ${options.language}.`,
+    userPrompt: JSON.stringify(
+      cards.map(({ id, type, name, description, planetName }) => ({
+        cardId: id,
+        type,
+        name,
+        planet: planetName ?? undefined,
+        description,
+      }))
+    ),
+    schema: QUIZ_SCHEMA,
+    fixtureResponse: { questions: [...builtQuestions.values()] },
+    task: {
+      kind: "quiz",
+      input: {
+        system: toSystemInput(systemData),
+        systemId: cards[0]?.systemId,
+        cardIds: cards.map((card) => card.id),
+      },
+    },
+  };
+}
+
+/**
+ * Asks the provider for one multiple-choice question per card. Cards the model
+ * skipped or answered with an invalid question get a question built from
+ * their description instead.
+ * @param {import("./llmProviders.js").LlmProvider} provider
+ * @param {object} systemData The system the cards come from, for its options.
+ * @param {StudyCard[]} cards
+ * @returns {Promise<Map<string, QuizQuestion>>} Questions by card ID.
+ */
+export async function generateQuizQuestions(provider, systemData, cards) {
+  const builtQuestions = new Map();
+  cards.forEach((card) => {
+    const question = buildDescriptionQuestion(card, cards);
+    if (question) builtQuestions.set(card.id, question);
+  });
+
+  const result = await provider.generateJson(
+    buildQuizRequest(systemData, cards, builtQuestions)
+  );
+
+  const cardIds = new Set(cards.map((card) => card.id));
+  const questions = new Map(builtQuestions);
+  (Array.isArray(result?.questions) ? result.questions : [])
+    .filter((question) => isValidQuestion(question, cardIds))
+    .forEach((question) => questions.set(question.cardId, question));
+  return questions;
+}
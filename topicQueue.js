@@ -0,0 +1,190 @@
+// --- TOPIC QUEUE ---
+// Generates a star system for each of many topics, e.g. a reading list or a
+// syllabus, while the galaxy stays usable. A few topics run at once. When the
+// provider reports a rate limit, the queue pauses as long as it was asked to and
+// tries the topic again, instead of failing every topic that is still waiting.
+
+import { getRetryAfterMs, isRateLimitError } from "./llmProviders.js";
+
+export const QUEUE_STATUSES = {
+  pending: "Waiting",
+  running: "Generating",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+const DEFAULT_CONCURRENCY = 2;
+// How long to pause after a rate limit without a Retry-After header; doubles
+// with every further rate limit until a topic succeeds
+const INITIAL_BACKOFF_MS = 5 * 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+/**
+ * Splits pasted text or a file into topics: one per line, without list markers
+ * ("-", "*", "1.") and without blank or repeated lines.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTopicList(text) {
+  const seen = new Set();
+  return text
+    .split(/\r?\n/)
+    .map((line) =>
+      line
+        .trim()
+        .replace(/^(?:[-*•]|\d+[.)])\s+/, "")
+        .trim()
+    )
+    .filter((topic) => {
+      const key = topic.toLowerCase();
+      if (!topic || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * @typedef {object} QueueItem
+ * @property {number} id
+ * @property {string} topic
+ * @property {keyof QUEUE_STATUSES} status
+ * @property {string} [error] Why the topic failed.
+ * @property {*} [result] What `run` resolved with, e.g. the new system's ID.
+ */
+
+/**
+ * @param {object} config
+ * @param {(topic: string, signal: AbortSignal) => Promise<*>} config.run
+ *   Generates one topic; the signal is aborted when the topic is cancelled.
+ * @param {(items: QueueItem[], pausedUntil: number) => void} config.onChange
+ *   Called with a copy of the items after every change. `pausedUntil` is when a
+ *   rate-limit pause ends, in milliseconds since the epoch, or 0.
+ * @param {number} [config.concurrency] How many topics run at once.
+ */
+export function createTopicQueue({
+  run,
+  onChange,
+  concurrency = DEFAULT_CONCURRENCY,
+}) {
+  const items = [];
+  // Abort controllers of the running items, by item ID
+  const controllers = new Map();
+  let nextId = 1;
+  let pausedUntil = 0;
+  let backoffMs = INITIAL_BACKOFF_MS;
+  let resumeTimer = null;
+
+  const notify = () =>
+    onChange(
+      items.map((item) => ({ ...item })),
+      pausedUntil
+    );
+
+  /** Starts waiting topics until the concurrency limit is reached. */
+  function startNext() {
+    const waitMs = pausedUntil - Date.now();
+    if (waitMs > 0) {
+      resumeTimer ??= setTimeout(() => {
+        resumeTimer = null;
+        startNext();
+      }, waitMs);
+      return;
+    }
+    if (pausedUntil) {
+      pausedUntil = 0;
+      notify();
+    }
+    while (controllers.size < concurrency) {
+      const item = items.find((i) => i.status === "pending");
+      if (!item) return;
+      runItem(item);
+    }
+  }
+
+  async function runItem(item) {
+    const controller = new AbortController();
+    controllers.set(item.id, controller);
+    item.status = "running";
+    item.error = undefined;
+    notify();
+
+    try {
+      item.result = await run(item.topic, controller.signal);
+      item.status = "done";
+      backoffMs = INITIAL_BACKOFF_MS;
+    } catch (error) {
+      if (controller.signal.aborted) {
+        item.status = "cancelled";
+      } else if (isRateLimitError(error)) {
+        // Not the topic's fault: pause the whole queue, then try it again
+        item.status = "pending";
+        const delay = getRetryAfterMs(error) ?? backoffMs;
+        backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        console.warn(`Rate limited; pausing the topic queue for ${delay}ms.`);
+      } else {
+        console.error(`Failed to generate "${item.topic}":`, error);
+        item.status = "failed";
+        item.error = error.message;
+      }
+    } finally {
+      controllers.delete(item.id);
+    }
+    notify();
+    startNext();
+  }
+
+  return {
+    /**
+     * Adds topics to the end of the queue.
+     * @param {string[]} topics
+     */
+    add(topics) {
+      topics.forEach((topic) =>
+        items.push({ id: nextId++, topic, status: "pending" })
+      );
+      notify();
+      startNext();
+    },
+
+    /** Cancels a waiting or running topic. */
+    cancel(id) {
+      const item = items.find((i) => i.id === id);
+      if (item?.status === "pending") {
+        item.status = "cancelled";
+        notify();
+      } else if (item?.status === "running") {
+        controllers.get(id).abort();
+      }
+    },
+
+    /** Queues a failed or cancelled topic again. */
+    retry(id) {
+      const item = items.find((i) => i.id === id);
+      if (item?.status !== "failed" && item?.status !== "cancelled") return;
+      item.status = "pending";
+      item.error = undefined;
+      notify();
+      startNext();
+    },
+
+    /** Cancels every waiting and running topic, e.g. when the galaxy changes. */
+    cancelAll() {
+      items
+        .filter((item) => item.status === "pending")
+        .forEach((item) => (item.status = "cancelled"));
+      controllers.forEach((controller) => controller.abort());
+      notify();
+    },
+
+    /** Removes the topics that are done, failed or cancelled. */
+    clearFinished() {
+      const active = items.filter(
+        (item) => item.status === "pending" || item.status === "running"
+      );
+      items.splice(0, items.length, ...active);
+      notify();
+    },
+  };
+}
@@ -1,7 +1,25 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
+
+// Model API keys must stay on the generation proxy (server/index.js): anything
+// in a VITE_ variable is bundled into the site for every visitor to read
+const CLIENT_KEY_VARIABLES = ["VITE_LLM_API_KEY", "VITE_GEMINI_API_KEY"];
 
 // This configuration is necessary for deploying to GitHub Pages
-export default defineConfig({
-  // TODO: Replace 'your-repo-name' with the actual name of your GitHub repository for this project.
-  base: "/YourSol/",
+export default defineConfig(({ command, mode }) => {
+  const env = loadEnv(mode, process.cwd());
+  // Same rule as isDeployed in main.js
+  const isDeployed = env.VITE_APP_MODE
+    ? env.VITE_APP_MODE === "deployed"
+    : mode === "production";
+  const keyVariable = CLIENT_KEY_VARIABLES.find((name) => env[name]);
+  if (command === "build" && isDeployed && keyVariable) {
+    throw new Error(
+      `${keyVariable} is set for a deployed build. Use the generation proxy (VITE_LLM_PROXY_URL) instead.`
+    );
+  }
+
+  return {
+    // TODO: Replace 'your-repo-name' with the actual name of your GitHub repository for this project.
+    base: "/YourSol/",
+  };
 });